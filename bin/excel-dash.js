@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+/**
+ * excel-dash: the dashboard's parsing + KPIs without the server (see lib/analyze.js).
+ *
+ *   excel-dash analyze <file|folder|glob>... [options]
+ *
+ * Globs are expanded here as well as by the shell ("clients/*.xlsx"; "**" also matches sub-folders),
+ * so quoted patterns work the same on Windows.
+ * Exit codes: 0 every file parsed, 1 at least one file failed, 2 bad usage / nothing matched.
+ */
+const path = require("path");
+const fs = require("fs");
+const {
+  WORKBOOK_EXTENSIONS,
+  GRANULARITIES,
+  readWorkbookFile,
+  resolveWorkbookLimits,
+  resolveNumberSettings,
+  normalizeFxRates,
+  parseFxCsv,
+  analyzeWorkbook,
+} = require("../lib/analyze");
+
+const FORMATS = ["json", "csv", "md"];
+
+const USAGE = `Usage: excel-dash analyze <file|folder|glob>... [options]
+
+Options:
+  --sheet <name>          Sheet to read (default: "Overview", else the first one that parses)
+  --format <json|csv|md>  Output format (default: json)
+  --granularity <g>       Row-per-date tables: ${GRANULARITIES.join(" | ")} (default: month)
+  --locale <locale>       Number parsing + formatting locale (default: en-PH)
+  --currency <code>       Reporting currency (default: PHP)
+  --mapping <json|file>   Row names for metrics, e.g. '{"spent":"Ad Cost"}'
+  --fx <rates.csv>        Monthly FX rates (month,from,to,rate) for mixed-currency rows
+  -r, --recursive         Include workbooks in sub-folders of folder arguments
+  -o, --output <file>     Write to a file instead of stdout
+  -h, --help              Show this help
+
+The server's UPLOAD_MAX_MB, UPLOAD_MAX_SHEETS, UPLOAD_MAX_ROWS, UPLOAD_MAX_CELLS and UPLOAD_MAX_UNZIPPED_MB
+environment variables raise (or lower) the per-file limits here too.
+`;
+
+const LIMITS = resolveWorkbookLimits(process.env);
+
+class UsageError extends Error {}
+
+// -------------------------
+// Arguments
+// -------------------------
+const VALUE_OPTIONS = {
+  "--sheet": "sheet",
+  "--format": "format",
+  "--granularity": "granularity",
+  "--locale": "locale",
+  "--currency": "currency",
+  "--mapping": "mapping",
+  "--fx": "fx",
+  "--output": "output",
+  "-o": "output",
+};
+
+function parseArgs(argv) {
+  const opts = { format: "json", granularity: "month", recursive: false, help: false, inputs: [] };
+  const args = [...argv];
+  const command = args.shift();
+
+  while (args.length) {
+    const arg = args.shift();
+    const eq = arg.startsWith("--") ? arg.indexOf("=") : -1; // --format=csv
+    const flag = eq > 0 ? arg.slice(0, eq) : arg;
+    const inline = eq > 0 ? arg.slice(eq + 1) : undefined;
+
+    if (flag === "-h" || flag === "--help") opts.help = true;
+    else if (flag === "-r" || flag === "--recursive") opts.recursive = true;
+    else if (VALUE_OPTIONS[flag]) {
+      const value = inline !== undefined ? inline : args.shift();
+      if (value === undefined || value === "") throw new UsageError(`${flag} needs a value.`);
+      opts[VALUE_OPTIONS[flag]] = value;
+    } else if (flag.startsWith("-") && flag !== "-") throw new UsageError(`Unknown option ${flag}.`);
+    else opts.inputs.push(arg);
+  }
+
+  if (command === "-h" || command === "--help" || opts.help) return { ...opts, help: true };
+  if (command !== "analyze") throw new UsageError(command ? `Unknown command "${command}".` : "Missing command.");
+  if (!FORMATS.includes(opts.format)) throw new UsageError(`--format must be one of: ${FORMATS.join(", ")}`);
+  if (!GRANULARITIES.includes(opts.granularity)) {
+    throw new UsageError(`--granularity must be one of: ${GRANULARITIES.join(", ")}`);
+  }
+  if (!opts.inputs.length) throw new UsageError("No workbooks given.");
+  return opts;
+}
+
+// Inline JSON or a path to a .json file
+function readMapping(value) {
+  if (!value) return {};
+  const text = value.trim().startsWith("{") ? value : fs.readFileSync(value, "utf8");
+  let mapping;
+  try {
+    mapping = JSON.parse(text);
+  } catch {
+    throw new UsageError("--mapping must be a JSON object or a .json file.");
+  }
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new UsageError("--mapping must be a JSON object or a .json file.");
+  }
+  return mapping;
+}
+
+function readFxRates(file) {
+  if (!file) return [];
+  const { rates, errors } = normalizeFxRates(parseFxCsv(fs.readFileSync(file, "utf8")));
+  if (errors.length) throw new UsageError(`--fx ${file}:\n  ${errors.join("\n  ")}`);
+  return rates;
+}
+
+// -------------------------
+// Inputs: files, folders and globs
+// -------------------------
+const isWorkbook = (file) => WORKBOOK_EXTENSIONS.includes(path.extname(file).toLowerCase());
+const hasGlob = (s) => /[*?]/.test(s);
+
+// "*" and "?" stay inside one folder, "**/" spans any number of them
+function globToRegExp(pattern) {
+  let re = "";
+  for (let i = 0; i < pattern.length; i += 1) {
+    const ch = pattern[i];
+    if (ch === "*" && pattern[i + 1] === "*") {
+      const slash = pattern[i + 2] === "/";
+      re += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (ch === "*") re += "[^/]*";
+    else if (ch === "?") re += "[^/]";
+    else re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function walk(dir, recursive) {
+  const files = [];
+  fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((entry) => {
+      if (entry.name.startsWith(".") || entry.name.startsWith("~$")) return; // lock files from Excel
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive) files.push(...walk(full, recursive));
+      } else if (entry.isFile()) files.push(full);
+    });
+  return files;
+}
+
+function expandGlob(pattern) {
+  const normalized = pattern.split(path.sep).join("/");
+  const parts = normalized.split("/");
+  const firstGlob = parts.findIndex(hasGlob);
+  const base = parts.slice(0, firstGlob).join("/") || (normalized.startsWith("/") ? "/" : ".");
+  if (!fs.existsSync(base)) return [];
+
+  const matcher = globToRegExp(parts.slice(firstGlob).join("/"));
+  const deep = parts.slice(firstGlob).length > 1 || normalized.includes("**");
+  return walk(base, deep).filter((file) => {
+    const rel = path.relative(base, file).split(path.sep).join("/");
+    return matcher.test(rel) && isWorkbook(file);
+  });
+}
+
+// Returns { files, missing }; folders only pick up spreadsheet extensions, explicit files are kept as given
+function expandInputs(inputs, { recursive }) {
+  const files = [];
+  const missing = [];
+  inputs.forEach((input) => {
+    if (hasGlob(input)) {
+      const matched = expandGlob(input);
+      if (!matched.length) missing.push(input);
+      files.push(...matched);
+    } else if (!fs.existsSync(input)) {
+      missing.push(input);
+    } else if (fs.statSync(input).isDirectory()) {
+      const matched = walk(input, recursive).filter(isWorkbook);
+      if (!matched.length) missing.push(input);
+      files.push(...matched);
+    } else files.push(input);
+  });
+  return { files: [...new Set(files)], missing };
+}
+
+// -------------------------
+// Analyze
+// -------------------------
+function analyzeFile(file, { sheet, granularity, settings, mapping, fxRates }) {
+  try {
+    const wb = readWorkbookFile(file, path.basename(file), settings.numberFormat, LIMITS);
+    const payload = analyzeWorkbook(wb, { mapping, granularity, sheet, settings, fxRates });
+    const { tablePreview, ...rest } = payload; // the grid preview is for the browser
+    return { file, ok: true, ...rest };
+  } catch (err) {
+    const result = { file, ok: false, error: err.message };
+    if (err.extra?.code) result.code = err.extra.code;
+    if (err.extra?.sheets) result.sheets = err.extra.sheets;
+    return result;
+  }
+}
+
+// -------------------------
+// Output
+// -------------------------
+const CSV_COLUMNS = [
+  ["file", (r) => r.file],
+  ["sheet", (r) => r.sheetName],
+  ["mode", (r) => r.mode],
+  ["periods", (r) => r.labels?.length],
+  ["first_period", (r) => r.labels?.[0]],
+  ["last_period", (r) => r.labels?.[r.labels.length - 1]],
+  ["currency", (r) => r.currency],
+  ["spent", (r) => r.kpis?.totals.spent],
+  ["messages", (r) => r.kpis?.totals.messages],
+  ["revenue", (r) => r.kpis?.totals.revenue],
+  ["customers", (r) => r.kpis?.totals.customers],
+  ["cost_per_message", (r) => r.kpis?.kpis.costPerMessage],
+  ["cac", (r) => r.kpis?.kpis.cac],
+  ["roas", (r) => r.kpis?.kpis.roas],
+  ["anomalies", (r) => r.anomalies?.length],
+  ["error", (r) => r.error],
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "number" ? (Number.isFinite(value) ? String(value) : "") : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(results) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(",")];
+  results.forEach((r) => lines.push(CSV_COLUMNS.map(([, pick]) => csvCell(pick(r))).join(",")));
+  return lines.join("\n") + "\n";
+}
+
+function formatters({ locale, currency }) {
+  const fmt = (value, options) => (Number.isFinite(value) ? value.toLocaleString(locale, options) : "—");
+  return {
+    money: (v) => fmt(v, { style: "currency", currency, maximumFractionDigits: 2 }),
+    number: (v) => fmt(v, { maximumFractionDigits: 0 }),
+    ratio: (v) => (Number.isFinite(v) ? `${fmt(v, { maximumFractionDigits: 2 })}x` : "—"),
+  };
+}
+
+function toMarkdown(results) {
+  const sections = results.map((r) => {
+    if (!r.ok) return `## ${r.file}\n\n**Failed:** ${r.error}\n`;
+
+    const f = formatters(r);
+    const { totals, averagesPerMonth: avg, kpis } = r.kpis;
+    const lines = [
+      `## ${r.file}`,
+      "",
+      `Sheet **${r.sheetName}** (${r.mode}), ${r.labels.length} periods: ${r.labels[0]} – ${r.labels[r.labels.length - 1]}, ${r.currency}`,
+      "",
+      "| Metric | Total | Avg / period |",
+      "| --- | ---: | ---: |",
+      `| Ad spend | ${f.money(totals.spent)} | ${f.money(avg.spent)} |`,
+      `| Messages | ${f.number(totals.messages)} | ${f.number(avg.messages)} |`,
+      `| Revenue | ${f.money(totals.revenue)} | ${f.money(avg.revenue)} |`,
+      `| Customers | ${f.number(totals.customers)} | ${f.number(avg.customers)} |`,
+      "",
+      `Cost / message **${f.money(kpis.costPerMessage)}** · CAC **${f.money(kpis.cac)}** · ROAS **${f.ratio(kpis.roas)}**`,
+    ];
+    if (r.unresolvedMetrics?.length) lines.push("", `Not found: ${r.unresolvedMetrics.join(", ")}`);
+    if (r.anomalies?.length) {
+      lines.push("", "Anomalies:", ...r.anomalies.map((a) => `- ${a.explanation}`));
+    }
+    return lines.join("\n") + "\n";
+  });
+  return sections.join("\n");
+}
+
+const WRITERS = {
+  json: (results) => JSON.stringify(results, null, 2) + "\n",
+  csv: toCsv,
+  md: toMarkdown,
+};
+
+// -------------------------
+// Main
+// -------------------------
+function main(argv) {
+  let opts;
+  let settings;
+  let mapping;
+  let fxRates;
+  try {
+    opts = parseArgs(argv);
+    if (opts.help) {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+    settings = resolveNumberSettings({ locale: opts.locale, currency: opts.currency });
+    mapping = readMapping(opts.mapping);
+    fxRates = readFxRates(opts.fx);
+  } catch (err) {
+    process.stderr.write(`excel-dash: ${err.message}\n`);
+    if (err instanceof UsageError) process.stderr.write(`\n${USAGE}`);
+    return 2;
+  }
+
+  const { files, missing } = expandInputs(opts.inputs, opts);
+  missing.forEach((input) => process.stderr.write(`excel-dash: no workbooks match ${input}\n`));
+  if (!files.length) return 2;
+
+  const { sheet, granularity } = opts;
+  const results = files.map((file) => analyzeFile(file, { sheet, granularity, settings, mapping, fxRates }));
+  results
+    .filter((r) => !r.ok)
+    .forEach((r) => process.stderr.write(`excel-dash: ${r.file}: ${r.error}\n`));
+
+  const output = WRITERS[opts.format](results);
+  if (opts.output) fs.writeFileSync(opts.output, output);
+  else process.stdout.write(output);
+
+  return results.some((r) => !r.ok) || missing.length ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,1426 @@
+/**
+ * Workbook parsing + KPIs, shared by server.js and the excel-dash CLI (bin/excel-dash.js).
+ *
+ * - readWorkbookFile / readWorkbookBuffer: xlsx, xls, ods and CSV (encoding + delimiter detection),
+ *   checked against the workbook limits first (size, ZIP/OLE container, zip bombs, sheets/rows/cells)
+ * - analyzeWorkbook: every sheet parsed (Overview-style grid, else a row-per-date table) and the
+ *   dashboard payload built for the selected one: labels, series, kpis, calculated, metricKeys,
+ *   fx, diagnostics, anomalies, tablePreview
+ * - analyzeSeries: the same payload for { labels, series } that didn't come from a sheet
+ * - computeKPIsFromSeries, resolveMetricKeys, parseOverviewStyle, parseTidyStyle for callers that
+ *   only need one step
+ *
+ * Nothing here touches DATA_DIR; FX rates and workbook limits are passed in by the caller.
+ */
+const path = require("path");
+const fs = require("fs");
+const zlib = require("zlib");
+const XLSX = require("xlsx");
+const Formulas = require("../public/formulas");
+
+// Spreadsheet formats SheetJS can read for us (CSV goes through readCsvText)
+const WORKBOOK_EXTENSIONS = [".xlsx", ".xlsm", ".xls", ".ods", ".csv"];
+
+// Errors carry an HTTP status (400 bad options, 422 undetected format) and `extra` fields for the
+// JSON error body (e.g. sheets, tablePreview); bin/excel-dash.js turns them into exit codes instead
+function httpError(status, message, extra) {
+  const err = new Error(message);
+  err.status = status;
+  if (extra) err.extra = extra;
+  return err;
+}
+
+// -------------------------
+// Workbook limits: file size, container check, zip bombs, sheet/row/cell caps
+// -------------------------
+// Every breach is an httpError with a stable `code` (and the limit that was hit) so callers can explain it
+const DEFAULT_WORKBOOK_LIMITS = {
+  maxFileBytes: 10 * 1024 * 1024,
+  maxSheets: 50,
+  maxRows: 100000, // per sheet
+  maxCells: 2000000, // whole workbook
+  maxUnzippedBytes: 100 * 1024 * 1024, // xlsx / ods contents once decompressed
+  maxZipRatio: 200, // per entry, uncompressed : compressed
+  maxZipEntries: 2000,
+};
+
+const LIMIT_ERRORS = {
+  FILE_TOO_LARGE: (name, l) => [413, `${name} is larger than ${formatBytes(l.maxFileBytes)}.`, { limit: l.maxFileBytes }],
+  INVALID_CONTENT: (name) => [415, `${name} doesn't look like the spreadsheet its extension says it is.`, {}],
+  UNZIPPED_TOO_LARGE: (name, l) => [
+    413,
+    `${name} expands to more than ${formatBytes(l.maxUnzippedBytes)} (or is compressed suspiciously well) once unzipped.`,
+    { limit: l.maxUnzippedBytes },
+  ],
+  TOO_MANY_SHEETS: (name, l) => [422, `${name} has more than ${l.maxSheets} sheets.`, { limit: l.maxSheets }],
+  TOO_MANY_ROWS: (name, l) => [422, `Sheet "${name}" has more than ${l.maxRows} rows.`, { limit: l.maxRows }],
+  TOO_MANY_CELLS: (name, l) => [422, `${name} has more than ${l.maxCells} filled cells.`, { limit: l.maxCells }],
+};
+
+function limitError(code, name, limits) {
+  const [status, message, extra] = LIMIT_ERRORS[code](name, limits);
+  return httpError(status, message, { code, ...extra });
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${+(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// Env-style overrides (UPLOAD_MAX_MB, UPLOAD_MAX_SHEETS, UPLOAD_MAX_ROWS, UPLOAD_MAX_CELLS, UPLOAD_MAX_UNZIPPED_MB);
+// missing or non-positive values keep the default
+function resolveWorkbookLimits(env = {}) {
+  const pick = (value, fallback, scale = 1) => (Number(value) > 0 ? Math.floor(Number(value) * scale) : fallback);
+  const d = DEFAULT_WORKBOOK_LIMITS;
+  return {
+    ...d,
+    maxFileBytes: pick(env.UPLOAD_MAX_MB, d.maxFileBytes, 1024 * 1024),
+    maxSheets: pick(env.UPLOAD_MAX_SHEETS, d.maxSheets),
+    maxRows: pick(env.UPLOAD_MAX_ROWS, d.maxRows),
+    maxCells: pick(env.UPLOAD_MAX_CELLS, d.maxCells),
+    maxUnzippedBytes: pick(env.UPLOAD_MAX_UNZIPPED_MB, d.maxUnzippedBytes, 1024 * 1024),
+  };
+}
+
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_MAGIC = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// "zip" (xlsx, xlsm, ods), "ole" (xls), else "text" / "binary" judged on the first 4 KB
+function sniffContainer(buf) {
+  if (buf.subarray(0, 4).equals(ZIP_MAGIC)) return "zip";
+  if (buf.subarray(0, 8).equals(OLE_MAGIC)) return "ole";
+  const sample = decodeCsvBuffer(buf.subarray(0, 4096));
+  const odd = (sample.match(/[\u0000-\u0008\u000e-\u001f\ufffd]/g) || []).length;
+  return odd <= sample.length * 0.02 ? "text" : "binary";
+}
+
+// Size + container checks before SheetJS sees the bytes. SheetJS sniffs xlsx vs xls itself, so either
+// container is fine for the binary extensions; CSV has to be text
+function checkWorkbookBuffer(buf, name, limits) {
+  if (buf.length > limits.maxFileBytes) throw limitError("FILE_TOO_LARGE", name, limits);
+  const container = sniffContainer(buf);
+  const isCsv = path.extname(name).toLowerCase() === ".csv";
+  if (isCsv ? container !== "text" : container !== "zip" && container !== "ole") {
+    throw limitError("INVALID_CONTENT", name, limits);
+  }
+  if (container === "zip") checkZipEntries(buf, name, limits);
+}
+
+const ZIP_END = 0x06054b50;
+const ZIP_CENTRAL = 0x02014b50;
+const ZIP_LOCAL = 0x04034b50;
+
+// Walks the ZIP central directory: entry count, declared sizes and ratios against the limits, then inflates
+// each entry with the declared size as a hard cap, so headers that lie about their size are caught too
+function checkZipEntries(buf, name, limits) {
+  const invalid = () => limitError("INVALID_CONTENT", name, limits);
+  const bomb = () => limitError("UNZIPPED_TOO_LARGE", name, limits);
+
+  // End of central directory: the last 22 bytes, plus a comment of up to 64 KB
+  let end = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === ZIP_END) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw invalid();
+
+  const count = buf.readUInt16LE(end + 10);
+  if (count > limits.maxZipEntries) throw bomb();
+
+  let offset = buf.readUInt32LE(end + 16);
+  let total = 0;
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > buf.length || buf.readUInt32LE(offset) !== ZIP_CENTRAL) throw invalid();
+    const method = buf.readUInt16LE(offset + 10);
+    const compressed = buf.readUInt32LE(offset + 20);
+    const size = buf.readUInt32LE(offset + 24);
+    const local = buf.readUInt32LE(offset + 42);
+    offset += 46 + buf.readUInt16LE(offset + 28) + buf.readUInt16LE(offset + 30) + buf.readUInt16LE(offset + 32);
+
+    // 0xffffffff = ZIP64 sizes, i.e. 4 GB+; no spreadsheet we accept gets there
+    if (size === 0xffffffff || compressed === 0xffffffff) throw bomb();
+    total += size;
+    if (total > limits.maxUnzippedBytes) throw bomb();
+    if (size > 1024 * 1024 && size > compressed * limits.maxZipRatio) throw bomb();
+
+    if (local + 30 > buf.length || buf.readUInt32LE(local) !== ZIP_LOCAL) throw invalid();
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const data = buf.subarray(start, start + compressed);
+    if (method === 0 && data.length !== size) throw invalid();
+    if (method !== 8) continue;
+    try {
+      zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    } catch (err) {
+      if (err.code === "ERR_BUFFER_TOO_LARGE") throw bomb();
+      throw invalid();
+    }
+  }
+}
+
+function checkSheetCount(count, name, limits) {
+  if (count > limits.maxSheets) throw limitError("TOO_MANY_SHEETS", name, limits);
+}
+
+// Rows per sheet (read with sheetRows = maxRows + 1, so one row too many means the sheet is over) + filled cells
+function checkWorkbookSize(workbook, name, limits) {
+  checkSheetCount(workbook.SheetNames.length, name, limits);
+  let cells = 0;
+  for (const sheetName of workbook.SheetNames) {
+    const ws = workbook.Sheets[sheetName];
+    if (!ws?.["!ref"]) continue;
+    const range = XLSX.utils.decode_range(ws["!ref"]);
+    if (range.e.r - range.s.r + 1 > limits.maxRows) throw limitError("TOO_MANY_ROWS", sheetName, limits);
+    for (const key in ws) if (key[0] !== "!") cells++;
+    if (cells > limits.maxCells) throw limitError("TOO_MANY_CELLS", name, limits);
+  }
+}
+
+// -------------------------
+// CSV decoding (encoding + delimiter detection)
+// -------------------------
+function decodeCsvBuffer(buf) {
+  // BOMs first
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) return buf.slice(3).toString("utf8");
+  if (buf[0] === 0xff && buf[1] === 0xfe) return buf.slice(2).toString("utf16le");
+  if (buf[0] === 0xfe && buf[1] === 0xff) return swapBytes(buf.slice(2)).toString("utf16le");
+
+  // No BOM: Excel "Unicode text" without BOM still shows as every other byte being 0
+  const sample = buf.slice(0, 512);
+  let zeroEven = 0;
+  let zeroOdd = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] !== 0) continue;
+    if (i % 2 === 0) zeroEven++;
+    else zeroOdd++;
+  }
+  const half = sample.length / 2;
+  if (half && zeroOdd / half > 0.3) return buf.toString("utf16le");
+  if (half && zeroEven / half > 0.3) return swapBytes(buf).toString("utf16le");
+
+  return buf.toString("utf8");
+}
+
+function swapBytes(buf) {
+  const out = Buffer.from(buf.slice(0, buf.length - (buf.length % 2)));
+  return out.swap16();
+}
+
+function detectDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim()).slice(0, 20);
+  const candidates = [",", ";", "\t"];
+
+  let best = ",";
+  let bestScore = 0;
+  for (const d of candidates) {
+    const counts = lines.map((line) => {
+      let n = 0;
+      let inQuotes = false;
+      for (const ch of line) {
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (ch === d && !inQuotes) n++;
+      }
+      return n;
+    });
+    // Prefer delimiters that appear on every line (consistent column count)
+    const min = Math.min(...counts);
+    const total = counts.reduce((a, b) => a + b, 0);
+    const score = min > 0 ? total + min * lines.length : 0;
+    if (score > bestScore) {
+      best = d;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function readCsvText(text, numberFormat = DEFAULT_NUMBER_FORMAT, { sheetRows = 0 } = {}) {
+  // Excel writes a "sep=;" hint line in some locales; SheetJS understands it
+  const FS = text.startsWith("sep=") ? undefined : detectDelimiter(text);
+  // SheetJS reads "1.234" as 1.234; comma-decimal locales keep cells as text for toNumber()
+  const raw = numberFormat.decimal === ",";
+  return XLSX.read(text, { type: "string", FS, cellDates: true, raw, sheetRows });
+}
+
+function readWorkbookBuffer(buf, originalName, numberFormat, limits = DEFAULT_WORKBOOK_LIMITS) {
+  const name = path.basename(originalName || "workbook");
+  const ext = path.extname(name).toLowerCase();
+  checkWorkbookBuffer(buf, name, limits);
+
+  // sheetRows one past the cap, so an oversized sheet shows up without parsing all of it
+  const sheetRows = limits.maxRows + 1;
+  let workbook;
+  try {
+    if (ext === ".csv") {
+      workbook = readCsvText(decodeCsvBuffer(buf), numberFormat, { sheetRows });
+    } else {
+      const { SheetNames } = XLSX.read(buf, { type: "buffer", bookSheets: true });
+      checkSheetCount(SheetNames.length, name, limits);
+      // cellNF keeps number formats ("$"#,##0.00) around for row currency detection
+      workbook = XLSX.read(buf, { type: "buffer", cellDates: true, cellNF: true, sheetRows });
+    }
+  } catch (err) {
+    if (err.status) throw err;
+    throw httpError(422, `Could not read ${name} as a spreadsheet (${err.message}).`, { code: "UNREADABLE_WORKBOOK" });
+  }
+  checkWorkbookSize(workbook, name, limits);
+  return workbook;
+}
+
+function readWorkbookFile(filePath, originalName, numberFormat, limits = DEFAULT_WORKBOOK_LIMITS) {
+  const name = originalName || filePath;
+  // stat first so an oversized file is never read into memory
+  const { size } = fs.statSync(filePath);
+  if (size > limits.maxFileBytes) throw limitError("FILE_TOO_LARGE", path.basename(name), limits);
+  return readWorkbookBuffer(fs.readFileSync(filePath), name, numberFormat, limits);
+}
+
+// -------------------------
+// Currency / locale (number parsing on upload)
+// -------------------------
+const DEFAULT_LOCALE = "en-PH";
+const DEFAULT_CURRENCY = "PHP";
+const CURRENCY_RE = /^[A-Z]{3}$/;
+
+// Separators for a locale, e.g. de-DE -> { decimal: ",", group: "." }
+function numberFormatFor(locale = DEFAULT_LOCALE) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return {
+    locale,
+    decimal: parts.find((p) => p.type === "decimal")?.value || ".",
+    group: parts.find((p) => p.type === "group")?.value || ",",
+  };
+}
+
+const DEFAULT_NUMBER_FORMAT = numberFormatFor(DEFAULT_LOCALE);
+
+function isValidLocale(locale) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch {
+    return false; // RangeError for malformed tags
+  }
+}
+
+// Upload options -> { locale, currency, numberFormat }; throws httpError(400) on bad values
+function resolveNumberSettings({ locale, currency } = {}) {
+  const loc = String(locale || DEFAULT_LOCALE).trim();
+  if (!isValidLocale(loc)) throw httpError(400, `Unsupported locale "${loc}".`);
+  const cur = String(currency || DEFAULT_CURRENCY).trim().toUpperCase();
+  if (!CURRENCY_RE.test(cur)) throw httpError(400, "Currency must be a 3-letter ISO code (e.g. PHP, USD).");
+  return { locale: loc, currency: cur, numberFormat: numberFormatFor(loc) };
+}
+
+// Decide which of "." / "," is the decimal mark in an already-stripped numeric string
+function normalizeSeparators(text, numberFormat) {
+  const hasDot = text.includes(".");
+  const hasComma = text.includes(",");
+  let decimal = null;
+
+  if (hasDot && hasComma) {
+    decimal = text.lastIndexOf(".") > text.lastIndexOf(",") ? "." : ","; // "1.234,56" / "1,234.56"
+  } else if (hasDot || hasComma) {
+    const sep = hasDot ? "." : ",";
+    const once = text.split(sep).length === 2;
+    decimal = once && sep === numberFormat.decimal ? sep : null; // repeated => thousands
+  }
+
+  const group = decimal === "." ? "," : decimal === "," ? "." : hasDot ? "." : ",";
+  const [intPart, fraction] = decimal ? text.split(decimal) : [text, undefined];
+  // "1.2.3" or "1,5" (en) are not thousands groups
+  if (intPart.includes(group) && !new RegExp(`^\\d{1,3}(\\${group}\\d{3})+$`).test(intPart)) return null;
+
+  const digits = intPart.split(group).join("");
+  return fraction === undefined ? digits : `${digits}.${fraction}`;
+}
+
+const NUMERIC_RE = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * ✅ FIXED toNumber: empty string does NOT become 0
+ * Text cells: currency symbols/codes ("€1.234,56", "USD 1,200"), accounting negatives "(500)",
+ * trailing minus "500-" and percentages ("2.5%" -> 2.5, same units as the CTR target).
+ */
+function toNumber(v, numberFormat = DEFAULT_NUMBER_FORMAT) {
+  if (v === null || v === undefined) return null;
+
+  if (typeof v === "string") {
+    const raw = v.trim();
+    if (!raw || raw === "-" || raw === "—") return null;
+  }
+
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+
+  let text = String(v)
+    .trim()
+    .replace(/[\s\u00a0\u202f'’]/g, "") // spaces / NBSP / Swiss apostrophe grouping
+    .replace(/\p{Sc}/gu, "") // currency symbols
+    .replace(/−/g, "-");
+  // one ISO code before or after the amount: "USD 1,200", "(EUR 500)", "1.200 CHF". Only real codes in capitals,
+  // so "Day 5" or "top 3" stay text
+  const code = text.match(/^[^A-Za-z]*([A-Z]{3})[^A-Za-z]*$/);
+  if (code && ISO_CURRENCIES.has(code[1])) text = text.replace(code[1], "");
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/^-/.test(text) || /-$/.test(text)) {
+    negative = !negative;
+    text = text.replace(/^-|-$/g, "");
+  }
+  text = text.replace(/%$/, "");
+
+  const cleaned = normalizeSeparators(text, numberFormat);
+  if (!cleaned || !NUMERIC_RE.test(cleaned)) return null;
+
+  const n = Number(cleaned);
+  if (!Number.isFinite(n)) return null;
+  return negative ? -n : n;
+}
+
+function safeDivide(a, b) {
+  if (!Number.isFinite(a) || !Number.isFinite(b) || b === 0) return null;
+  return a / b;
+}
+
+function sumFinite(arr) {
+  return (arr || []).filter(Number.isFinite).reduce((a, b) => a + b, 0);
+}
+function countFinite(arr) {
+  return (arr || []).filter(Number.isFinite).length;
+}
+function avgFinite(arr) {
+  // ✅ ignore zeros too (blank months sometimes end up as 0 in messy files)
+  const nums = (arr || []).filter((n) => Number.isFinite(n) && n > 0);
+  if (!nums.length) return null;
+  return nums.reduce((a, b) => a + b, 0) / nums.length;
+}
+
+function parseOverviewStyle(aoa, numberFormat) {
+  let headerRowIndex = -1;
+
+  for (let r = 0; r < Math.min(aoa.length, 60); r++) {
+    const row = aoa[r] || [];
+    const dateLikeCount = row.slice(1).filter((cell) => {
+      if (cell instanceof Date) return true;
+      if (typeof cell === "number") return cell > 20000 && cell < 60000;
+      if (typeof cell === "string") return /\b(20\d{2}|19\d{2})\b/.test(cell);
+      return false;
+    }).length;
+
+    if (dateLikeCount >= 3) {
+      headerRowIndex = r;
+      break;
+    }
+  }
+
+  if (headerRowIndex === -1) return null;
+
+  const headerRow = aoa[headerRowIndex] || [];
+  const labels = headerRow.slice(1).map(overviewHeaderLabel);
+
+  const series = {};
+  const rowIndex = {}; // metric -> aoa row (for currency detection from the source cells)
+  for (let r = headerRowIndex + 1; r < aoa.length; r++) {
+    const row = aoa[r] || [];
+    const metricName = String(row[0] ?? "").trim();
+    if (!metricName) continue;
+
+    const values = row.slice(1).map((v) => toNumber(v, numberFormat));
+    if (!values.some((v) => Number.isFinite(v))) continue;
+
+    series[metricName] = values;
+    rowIndex[metricName] = r;
+  }
+
+  const periodMonths = headerRow.slice(1).map(monthKeyOf);
+  const sourceCells = (name) => (aoa[rowIndex[name]] || []).slice(1).map((_, i) => [rowIndex[name], i + 1]);
+  return { labels, series, periodMonths, sourceCells, headerRowIndex };
+}
+
+// One label format for every period column: date cells, serials and month-only text ("Jan 2024", "January 2024",
+// "Jun-24", "2024-05") all read "Jan 24", since CSV readers turn only some of those into dates. Other headers
+// ("Q1 2024", "Wk 3") are kept as typed
+const MONTH_HEADER_RE = /^(?:[A-Za-z]{3,9}\.?[\s\-'’]*(?:\d{4}|\d{2})|\d{4}-\d{1,2})$/;
+
+function overviewHeaderLabel(cell) {
+  if (cell instanceof Date) return periodLabel(cell, "month");
+  if (typeof cell === "number") {
+    const d = XLSX.SSF.parse_date_code(cell);
+    if (d) return periodLabel(new Date(d.y, d.m - 1, d.d), "month");
+  }
+  const text = String(cell ?? "").trim();
+  const month = MONTH_HEADER_RE.test(text) ? monthKeyOf(text) : null;
+  if (month) return periodLabel(new Date(Number(month.slice(0, 4)), Number(month.slice(5)) - 1, 1), "month");
+  return text || "—";
+}
+
+// -------------------------
+// Tidy (row-per-day / row-per-campaign) layout
+// -------------------------
+const GRANULARITIES = ["month", "week", "day"];
+// First to last date, gaps included: ten years of days
+const MAX_TIDY_PERIODS = 3660;
+
+// Ratio-type columns are averaged per period instead of summed (the rule calculated metrics use, public/formulas.js)
+const AVERAGED_COLUMN_RE = Formulas.AVERAGED_RE;
+const DATE_HEADER_RE = /date|day|week|month|period/i;
+
+function cellToDate(cell, allowSerial) {
+  if (cell instanceof Date) return Number.isNaN(cell.getTime()) ? null : cell;
+  if (typeof cell === "number") {
+    if (!allowSerial || cell <= 20000 || cell >= 60000) return null;
+    const d = XLSX.SSF.parse_date_code(cell);
+    return d ? new Date(d.y, d.m - 1, d.d) : null;
+  }
+  if (typeof cell === "string") {
+    const raw = cell.trim();
+    if (!/^\d{4}-\d{1,2}-\d{1,2}/.test(raw) && !/^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(raw)) return null;
+    const d = new Date(raw.length === 10 && raw[4] === "-" ? `${raw}T00:00:00` : raw);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  return null;
+}
+
+function periodStart(date, granularity) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (granularity === "month") return new Date(d.getFullYear(), d.getMonth(), 1);
+  if (granularity === "week") {
+    // weeks start on Monday
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  }
+  return d;
+}
+
+// Period starts from `first` to `last` (both already period starts); 422 TOO_MANY_PERIODS past MAX_TIDY_PERIODS
+function periodRange(first, last, granularity, dateColumn) {
+  const starts = [];
+  for (const d = new Date(first); d <= last; ) {
+    if (starts.length === MAX_TIDY_PERIODS) {
+      throw httpError(
+        422,
+        `The dates in "${String(dateColumn ?? "").trim()}" span more than ${MAX_TIDY_PERIODS} ${granularity}s.`,
+        { code: "TOO_MANY_PERIODS", limit: MAX_TIDY_PERIODS }
+      );
+    }
+    starts.push(new Date(d));
+    if (granularity === "month") d.setMonth(d.getMonth() + 1);
+    else d.setDate(d.getDate() + (granularity === "week" ? 7 : 1));
+  }
+  return starts;
+}
+
+function periodLabel(date, granularity) {
+  if (granularity === "month") {
+    return date.toLocaleString("en-US", { month: "short", year: "2-digit" });
+  }
+  const day = date.toLocaleString("en-US", { month: "short", day: "numeric", year: "2-digit" });
+  return granularity === "week" ? `Wk ${day}` : day;
+}
+
+// Finds a header row with a column that holds dates in (almost) every row below it
+function detectTidyLayout(aoa) {
+  for (let r = 0; r < Math.min(aoa.length, 20); r++) {
+    const header = aoa[r] || [];
+    const headerCells = header.filter((c) => c !== null && c !== undefined && String(c).trim());
+    if (headerCells.length < 2) continue;
+    if (!header.every((c) => c === null || c === undefined || typeof c === "string")) continue;
+
+    const body = aoa.slice(r + 1).filter((row) => (row || []).some((c) => c !== null && c !== undefined && c !== ""));
+    if (body.length < 2) continue;
+
+    for (let c = 0; c < header.length; c++) {
+      const allowSerial = DATE_HEADER_RE.test(String(header[c] ?? ""));
+      const filled = body.filter((row) => row[c] !== null && row[c] !== undefined && row[c] !== "");
+      const dates = filled.filter((row) => cellToDate(row[c], allowSerial));
+      if (filled.length >= 2 && dates.length / filled.length >= 0.8) {
+        return { headerRowIndex: r, dateCol: c, allowSerial };
+      }
+    }
+  }
+  return null;
+}
+
+function parseTidyStyle(aoa, granularity = "month", numberFormat) {
+  const layout = detectTidyLayout(aoa);
+  if (!layout) return null;
+
+  const { headerRowIndex, dateCol, allowSerial } = layout;
+  const header = aoa[headerRowIndex];
+  const rows = aoa.slice(headerRowIndex + 1);
+
+  // Metric columns: mostly numeric among non-empty cells
+  const metricCols = [];
+  header.forEach((name, c) => {
+    const metricName = String(name ?? "").trim();
+    if (c === dateCol || !metricName) return;
+    const filled = rows.map((row) => (row || [])[c]).filter((v) => v !== null && v !== undefined && v !== "");
+    const numeric = filled.filter((v) => Number.isFinite(toNumber(v, numberFormat)));
+    if (numeric.length && numeric.length / filled.length >= 0.5) metricCols.push({ c, name: metricName });
+  });
+  if (!metricCols.length) return null;
+
+  const periods = new Map();
+  rows.forEach((row) => {
+    const date = cellToDate((row || [])[dateCol], allowSerial);
+    if (!date) return;
+    const start = periodStart(date, granularity);
+    const key = start.getTime();
+    if (!periods.has(key)) periods.set(key, { start, values: metricCols.map(() => []) });
+    const bucket = periods.get(key);
+    metricCols.forEach((col, i) => {
+      const n = toNumber(row[col.c], numberFormat);
+      if (Number.isFinite(n)) bucket.values[i].push(n);
+    });
+  });
+
+  // every period between the first and last date, so weeks without rows stay in as blanks instead of making
+  // periods weeks apart look adjacent (charts, forecasts and the anomaly window go by index)
+  const starts = [...periods.values()].map((p) => p.start).sort((a, b) => a - b);
+  const ordered = periodRange(starts[0], starts[starts.length - 1], granularity, header[dateCol]).map(
+    (start) => periods.get(start.getTime()) || { start, values: metricCols.map(() => []) }
+  );
+  const labels = ordered.map((p) => periodLabel(p.start, granularity));
+
+  const series = {};
+  metricCols.forEach((col, i) => {
+    const averaged = AVERAGED_COLUMN_RE.test(col.name);
+    const values = ordered.map((p) => {
+      const nums = p.values[i];
+      if (!nums.length) return null;
+      const total = nums.reduce((a, b) => a + b, 0);
+      return averaged ? total / nums.length : total;
+    });
+    if (values.some((v) => Number.isFinite(v))) series[col.name] = values;
+  });
+
+  const columnOf = Object.fromEntries(metricCols.map((col) => [col.name, col.c]));
+  const sourceCells = (name) => rows.map((_, i) => [headerRowIndex + 1 + i, columnOf[name]]);
+  return {
+    labels,
+    series,
+    periodMonths: ordered.map((p) => monthKeyOf(p.start)),
+    sourceCells,
+    dateColumn: String(header[dateCol]).trim(),
+    granularity,
+    headerRowIndex,
+    dateCol,
+    allowSerial,
+    metricCols,
+  };
+}
+
+// Canonical metrics and the row names we recognize for them (first match wins)
+const METRIC_ALIASES = {
+  spent: ["Total Ad Spent", "Amount spent", "Ad Spent"],
+  messages: ["No. of Messages", "Messages"],
+  revenue: ["Total Revenue", "Revenue"],
+  customers: ["No. of Customers", "Customers"],
+  cac: ["CAC"],
+  ctr: ["CTR", "Link CTR", "CTR (Link)"],
+};
+
+/**
+ * Resolve each canonical metric to a series key.
+ * `mapping` ({ spent: "Spend (PHP)", ... }) wins over the alias lookup when it names a real row.
+ */
+function resolveMetricKeys(series, mapping = {}) {
+  const keys = Object.keys(series || {});
+  const findKey = (name) => {
+    const target = name.toLowerCase();
+    return (
+      keys.find((k) => k.toLowerCase() === target) ||
+      keys.find((k) => k.toLowerCase().includes(target))
+    );
+  };
+
+  const resolved = {};
+  for (const [metric, aliases] of Object.entries(METRIC_ALIASES)) {
+    const mapped = mapping?.[metric];
+    if (mapped && keys.includes(mapped)) {
+      resolved[metric] = mapped;
+      continue;
+    }
+    resolved[metric] = aliases.map(findKey).find(Boolean) || null;
+  }
+  return resolved;
+}
+
+// Which canonical metrics are missing, and which rows the user could map them to
+function describeMetricResolution(series, metricKeys) {
+  const used = new Set(Object.values(metricKeys).filter(Boolean));
+  return {
+    unresolvedMetrics: Object.keys(metricKeys).filter((m) => !metricKeys[m]),
+    candidateRows: Object.keys(series).filter((k) => !used.has(k)),
+  };
+}
+
+function computeKPIsFromSeries(labels, series, mapping = {}) {
+  const metricKeys = resolveMetricKeys(series, mapping);
+  const keySpent = metricKeys.spent;
+  const keyMsgs = metricKeys.messages;
+  const keyRevenue = metricKeys.revenue;
+  const keyCustomers = metricKeys.customers;
+  const keyCAC = metricKeys.cac; // ✅ CAC row
+
+  const spentArr = keySpent ? series[keySpent] : [];
+  const msgArr = keyMsgs ? series[keyMsgs] : [];
+  const revArr = keyRevenue ? series[keyRevenue] : [];
+  const custArr = keyCustomers ? series[keyCustomers] : [];
+  const cacArr = keyCAC ? series[keyCAC] : [];
+
+  const spent = keySpent ? sumFinite(spentArr) : null;
+  const messages = keyMsgs ? sumFinite(msgArr) : null;
+  const revenue = keyRevenue ? sumFinite(revArr) : null;
+  const customers = keyCustomers ? sumFinite(custArr) : null;
+
+  // per-metric month counts
+  const spentMonths = Math.max(countFinite(spentArr), 1);
+  const msgMonths = Math.max(countFinite(msgArr), 1);
+  const revMonths = Math.max(countFinite(revArr), 1);
+  const custMonths = Math.max(countFinite(custArr), 1);
+
+  const costPerMessage = safeDivide(spent, messages);
+  const roas = safeDivide(revenue, spent);
+
+  // ✅ FORCE CAC = Excel average of CAC row values (sum ÷ count of months with CAC)
+  const cacExcelStyle = avgFinite(cacArr);
+  const cacBlended = safeDivide(spent, customers);
+
+  return {
+    totals: { spent, messages, revenue, customers },
+    averagesPerMonth: {
+      spent: spent !== null ? spent / spentMonths : null,
+      messages: messages !== null ? messages / msgMonths : null,
+      revenue: revenue !== null ? revenue / revMonths : null,
+      customers: customers !== null ? customers / custMonths : null,
+    },
+    kpis: {
+      costPerMessage,
+      roas,
+      cac: Number.isFinite(cacExcelStyle) ? cacExcelStyle : cacBlended,
+    },
+  };
+}
+
+/**
+ * Calculated metrics (client-defined formulas, see public/formulas.js) over the same series:
+ * [{ id, name, formula, format, display, series: [per period], value: whole range, error }]
+ */
+function computeCalculatedMetrics(labels, series, metricKeys, definitions = []) {
+  if (!definitions.length) return [];
+  return Formulas.evaluateMetrics(definitions, { labels, series, metricKeys });
+}
+
+// -------------------------
+// Multi-currency: row currency tags + monthly FX rate table
+// -------------------------
+const ISO_CURRENCIES = new Set(Intl.supportedValuesOf("currency").filter((c) => c !== "ALL")); // "ALL" reads as a word
+// Longest first so "US$" wins over "$"; a bare "$" is taken as USD
+const CURRENCY_SYMBOLS = [
+  ["US$", "USD"],
+  ["HK$", "HKD"],
+  ["NZ$", "NZD"],
+  ["A$", "AUD"],
+  ["S$", "SGD"],
+  ["C$", "CAD"],
+  ["R$", "BRL"],
+  ["₱", "PHP"],
+  ["€", "EUR"],
+  ["£", "GBP"],
+  ["¥", "JPY"],
+  ["₹", "INR"],
+  ["₩", "KRW"],
+  ["฿", "THB"],
+  ["₫", "VND"],
+  ["$", "USD"],
+];
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const MONTH_KEY_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+function monthKeyFromParts(year, monthIndex) {
+  if (!Number.isFinite(year) || monthIndex < 0 || monthIndex > 11) return null;
+  return `${year < 100 ? 2000 + year : year}-${String(monthIndex + 1).padStart(2, "0")}`;
+}
+
+// Date cell, serial or label ("Jan 24", "January 2024", "2024-01", "Wk Jan 1, 24") -> "YYYY-MM"
+function monthKeyOf(value) {
+  const date = cellToDate(value, true);
+  if (date) return monthKeyFromParts(date.getFullYear(), date.getMonth());
+  if (typeof value !== "string") return null;
+
+  const text = value.trim();
+  const iso = text.match(/^(\d{4})-(\d{1,2})\b/);
+  if (iso) return monthKeyFromParts(Number(iso[1]), Number(iso[2]) - 1);
+
+  const named = text.match(/([A-Za-z]{3})[a-z]*\.?[\s\-'’]*(?:\d{1,2},\s*)?(\d{4}|\d{2})\s*$/);
+  if (named) return monthKeyFromParts(Number(named[2]), MONTH_NAMES.indexOf(named[1].toLowerCase()));
+  return null;
+}
+
+// Currency named in a label, number format or text cell. Codes only count where they read as a currency:
+// next to the amount ("USD 1,200", "#,##0 \"CHF\"", "[$USD-409]") or in header position ("Spend (USD)",
+// "Spend - EUR", "GBP: Revenue"), so row labels like "TOP accounts" or "World CUP" don't tag one. Symbols
+// count anywhere ("₱1,200", "[$€-407]")
+function detectCurrencyInText(text) {
+  const raw = String(text ?? "");
+  if (!raw) return null;
+
+  const code = codeWithAmount(raw) || codeInHeader(raw);
+  if (code) return code;
+
+  const excelCurrency = raw.match(/\[\$([^\]-]+)/); // [$USD-409], [$€-407]
+  const symbolText = excelCurrency ? excelCurrency[1] : raw.replace(/\[\$-[^\]]*\]/g, "");
+  const hit = CURRENCY_SYMBOLS.find(([sym]) => symbolText.includes(sym));
+  return hit ? hit[1] : null;
+}
+
+// An uppercase code and an amount or number format, no other words ("[Red]" and "[$USD-409]" sections aside)
+function codeWithAmount(raw) {
+  const code = raw.match(/\[\$([A-Z]{3})-/)?.[1] || raw.match(/\b([A-Z]{3})\b/)?.[1];
+  if (!ISO_CURRENCIES.has(code)) return null;
+  const rest = raw.replace(/\[[^\]]*\]/g, "").split(code).join("");
+  return /[\d#]/.test(rest) && !/[A-Za-z]/.test(rest) ? code : null;
+}
+
+// "(USD)" / "[eur]", a code closing the label after a separator or "in" ("Spend - EUR", "Revenue in GBP"),
+// or one opening it before a separator ("USD: Spend")
+function codeInHeader(raw) {
+  const bracketed = raw.match(/[([]\s*([A-Za-z]{3})\s*[)\]]/)?.[1].toUpperCase();
+  const found = [
+    bracketed,
+    raw.match(/(?:\bin|[-–—:/|,])\s*([A-Z]{3})\s*$/)?.[1],
+    raw.match(/^\s*([A-Z]{3})\s*[-–—:/|,]/)?.[1],
+  ];
+  return found.find((c) => ISO_CURRENCIES.has(c)) || null;
+}
+
+// { currency, source: "manual" | "label" | "format" | "cell" } for one series row, or null
+function detectRowCurrency(name, cells, manual) {
+  if (manual) return manual === "none" ? null : { currency: manual, source: "manual" };
+
+  const fromLabel = detectCurrencyInText(name);
+  if (fromLabel) return { currency: fromLabel, source: "label" };
+
+  const counts = {};
+  cells.forEach((cell) => {
+    if (!cell) return;
+    const byFormat = cell.t === "n" ? detectCurrencyInText(cell.z || cell.w) : null;
+    const byText = cell.t === "s" ? detectCurrencyInText(cell.v) : null;
+    const found = byFormat ? ["format", byFormat] : byText ? ["cell", byText] : null;
+    if (found) counts[found.join(":")] = (counts[found.join(":")] || 0) + 1;
+  });
+  const best = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  if (!best) return null;
+  const [source, currency] = best[0].split(":");
+  return { currency, source };
+}
+
+// rows: [{ month, from, to, rate }] -> { rates, errors } (errors like validatePack: "rates[2].rate: ...")
+function normalizeFxRates(rows) {
+  const errors = [];
+  const rates = [];
+  if (!Array.isArray(rows)) return { rates, errors: ["rates: must be an array"] };
+
+  rows.forEach((row, i) => {
+    const at = `rates[${i}]`;
+    const month = monthKeyOf(row?.month instanceof Date ? row.month : String(row?.month ?? ""));
+    const from = String(row?.from ?? "").trim().toUpperCase();
+    const to = String(row?.to ?? "").trim().toUpperCase();
+    const rate = toNumber(row?.rate);
+
+    if (!month || !MONTH_KEY_RE.test(month)) errors.push(`${at}.month: expected YYYY-MM (got "${row?.month ?? ""}")`);
+    if (!CURRENCY_RE.test(from)) errors.push(`${at}.from: 3-letter currency code`);
+    if (!CURRENCY_RE.test(to)) errors.push(`${at}.to: 3-letter currency code`);
+    if (from && from === to) errors.push(`${at}: from and to are the same currency`);
+    if (!Number.isFinite(rate) || rate <= 0) errors.push(`${at}.rate: positive number`);
+    rates.push({ month, from, to, rate });
+  });
+
+  // last one wins for duplicate month/pair rows
+  const unique = new Map(rates.map((r) => [`${r.month}|${r.from}|${r.to}`, r]));
+  return { rates: [...unique.values()].sort((a, b) => a.month.localeCompare(b.month)), errors };
+}
+
+// CSV with a header row: month,from,to,rate
+function parseFxCsv(text) {
+  const wb = readCsvText(text);
+  const aoa = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1, raw: true, blankrows: false });
+  const header = (aoa[0] || []).map((h) => String(h ?? "").trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  if (["month", "from", "to", "rate"].some((name) => col(name) === -1)) {
+    throw httpError(400, "FX CSV needs a header row with month, from, to and rate columns.");
+  }
+  return aoa.slice(1).map((row) => ({
+    month: row[col("month")],
+    from: row[col("from")],
+    to: row[col("to")],
+    rate: row[col("rate")],
+  }));
+}
+
+/**
+ * Rate for from -> to in `month` ("YYYY-MM" or null when the period has no date).
+ * Exact month first (direct, then inverse), else the closest earlier month, else the closest
+ * later one; undated periods use the latest rate. Returns { rate, month, basis } or null.
+ */
+function findFxRate(rates, from, to, month) {
+  const byMonth = new Map();
+  rates.forEach((r) => {
+    if (r.from === to && r.to === from && !byMonth.has(r.month)) byMonth.set(r.month, { month: r.month, rate: 1 / r.rate, inverse: true });
+  });
+  rates.forEach((r) => {
+    if (r.from === from && r.to === to) byMonth.set(r.month, { month: r.month, rate: r.rate, inverse: false });
+  });
+  if (!byMonth.size) return null;
+
+  const sorted = [...byMonth.values()].sort((a, b) => a.month.localeCompare(b.month));
+  if (!month) return { ...sorted[sorted.length - 1], basis: "latest" };
+  if (byMonth.has(month)) return { ...byMonth.get(month), basis: "exact" };
+
+  const earlier = sorted.filter((r) => r.month < month).pop();
+  return { ...(earlier || sorted.find((r) => r.month > month)), basis: "nearest" };
+}
+
+function formatRate(n) {
+  return Number(n.toPrecision(6)).toString();
+}
+
+/**
+ * Converts tagged rows to the reporting currency, period by period, before KPIs are computed.
+ * Rows without a usable rate stay as they are and get flagged in fx.assumptions.
+ */
+function applyCurrencyConversion(parsed, { tags, reportingCurrency, rates }) {
+  const series = { ...parsed.series };
+  const conversions = [];
+  const assumptions = [];
+
+  Object.entries(tags).forEach(([row, tag]) => {
+    if (tag.currency === reportingCurrency) return;
+    const from = tag.currency;
+    const values = series[row];
+
+    if (!findFxRate(rates, from, reportingCurrency, null)) {
+      conversions.push({ row, from, to: reportingCurrency, converted: false });
+      assumptions.push(
+        `${row}: no ${from}→${reportingCurrency} rate in the FX table; values left in ${from} (ratios using this row mix currencies).`
+      );
+      return;
+    }
+
+    const used = values.map((v, i) =>
+      Number.isFinite(v) ? findFxRate(rates, from, reportingCurrency, parsed.periodMonths[i] || null) : null
+    );
+    series[row] = values.map((v, i) => (used[i] ? v * used[i].rate : v));
+
+    const periods = used.map((u, i) => (u ? { period: parsed.labels[i], ...u } : null));
+    conversions.push({ row, from, to: reportingCurrency, converted: true, periods });
+
+    const distinct = [...new Set(periods.filter(Boolean).map((p) => formatRate(p.rate)))];
+    const fallbacks = periods.filter((p) => p && p.basis !== "exact").map((p) => `${p.period} used the ${p.month} rate`);
+    assumptions.push(
+      `${row}: ${from}→${reportingCurrency} at ${distinct.length === 1 ? distinct[0] : `${distinct.length} monthly rates`}` +
+        ` (currency from ${tag.source})` +
+        (fallbacks.length ? `; ${fallbacks.join(", ")}` : "") +
+        "."
+    );
+  });
+
+  return { series, fx: { reportingCurrency, conversions, assumptions } };
+}
+
+// -------------------------
+// Data quality diagnostics (what the parser skipped or read as blank)
+// -------------------------
+const DIAGNOSTIC_LIST_LIMIT = 200; // per list; diagnostics.counts keeps the real totals
+const ERROR_VALUE_RE = /^(#(DIV\/0!|N\/A|VALUE!|REF!|NAME\?|NUM!|NULL!|SPILL!|CALC!)|Err:\d{3})$/i; // Err:NNN: LibreOffice
+const PLACEHOLDER_VALUES = ["-", "—", "–"];
+
+function isBlankCell(v) {
+  return v === null || v === undefined || (typeof v === "string" && !v.trim());
+}
+
+// .xlsx errors come through as t:"e"; SheetJS reads .ods error cells as text that keeps its formula
+function isErrorCell(cell) {
+  if (cell?.t === "e") return true;
+  return cell?.t === "s" && Boolean(cell.f) && ERROR_VALUE_RE.test(String(cell.v).trim());
+}
+
+function nonNumericReason(v) {
+  const text = String(v).trim();
+  if (PLACEHOLDER_VALUES.includes(text)) return "placeholder";
+  if (ERROR_VALUE_RE.test(text)) return "error value";
+  return "not a number";
+}
+
+// Daily tidy data only: month key -> distinct days present, so short months can be flagged
+function dailyCoverage(aoa, parsed) {
+  const dates = aoa
+    .slice(parsed.headerRowIndex + 1)
+    .map((row) => cellToDate((row || [])[parsed.dateCol], parsed.allowSerial))
+    .filter(Boolean);
+  const days = [...new Set(dates.map((d) => periodStart(d, "day").getTime()))].sort((a, b) => a - b);
+  const gaps = days.slice(1).map((t, i) => Math.round((t - days[i]) / 86400000));
+  const daily = gaps.length && gaps.filter((g) => g === 1).length / gaps.length >= 0.5;
+  if (!daily) return null;
+
+  const coverage = new Map();
+  days.forEach((t) => {
+    const key = monthKeyOf(new Date(t));
+    coverage.set(key, (coverage.get(key) || 0) + 1);
+  });
+  return coverage;
+}
+
+/**
+ * Explains how one sheet was read: header row, skipped rows, cells read as blank, periods with
+ * missing metrics, duplicate metric names and cached formula errors (#DIV/0! etc.).
+ * Cell refs carry the sheet address plus r/c into the aoa, which is also the tablePreview grid.
+ */
+function diagnoseSheet(sheet, aoa, parsed, { mode, origin, metricKeys, numberFormat }) {
+  const address = (r, c) => XLSX.utils.encode_cell({ r: origin.r + r, c: origin.c + c });
+  const cellRef = (r, c) => ({ address: address(r, c), r, c });
+  const { headerRowIndex } = parsed;
+
+  const metricRows = {}; // overview: aoa row -> metric name
+  const metricColumns = Object.fromEntries((parsed.metricCols || []).map((col) => [col.c, col.name])); // tidy
+  const metricAt = (r, c) => (mode === "tidy" ? (r > headerRowIndex ? metricColumns[c] : null) : metricRows[r]) || null;
+
+  // SheetJS hands .xlsx error cells to sheet_to_json as blanks (.ods ones as text), so they come from the sheet itself
+  const errorCells = [];
+  Object.keys(sheet).forEach((key) => {
+    if (key[0] === "!" || !isErrorCell(sheet[key])) return;
+    const pos = XLSX.utils.decode_cell(key);
+    errorCells.push({ cell: sheet[key], r: pos.r - origin.r, c: pos.c - origin.c });
+  });
+  const errorAt = new Set(errorCells.map(({ r, c }) => `${r}:${c}`));
+
+  const skippedRows = [];
+  const nonNumericCells = [];
+  const namedAt = {}; // metric name -> every row/column header cell that carries it
+
+  const checkCell = (r, c, metric) => {
+    const v = (aoa[r] || [])[c];
+    if (isBlankCell(v) || errorAt.has(`${r}:${c}`) || Number.isFinite(toNumber(v, numberFormat))) return;
+    nonNumericCells.push({ ...cellRef(r, c), metric, value: String(v), reason: nonNumericReason(v) });
+  };
+  const skipRow = (r, c, reason, name) =>
+    skippedRows.push({ ...cellRef(r, c), rowNumber: origin.r + r + 1, ...(name ? { name } : {}), reason });
+
+  if (mode === "tidy") {
+    parsed.metricCols.forEach((col) => (namedAt[col.name] ||= []).push(cellRef(headerRowIndex, col.c)));
+    for (let r = headerRowIndex + 1; r < aoa.length; r++) {
+      const row = aoa[r] || [];
+      if (row.every(isBlankCell)) continue;
+      if (!cellToDate(row[parsed.dateCol], parsed.allowSerial)) {
+        skipRow(r, parsed.dateCol, `no date in "${parsed.dateColumn}"`);
+        continue;
+      }
+      parsed.metricCols.forEach((col) => checkCell(r, col.c, col.name));
+    }
+  } else {
+    for (let r = headerRowIndex + 1; r < aoa.length; r++) {
+      const row = aoa[r] || [];
+      if (row.every(isBlankCell)) continue;
+
+      const name = String(row[0] ?? "").trim();
+      if (!name) {
+        skipRow(r, 0, "no metric name in the first column");
+        continue;
+      }
+      if (!row.slice(1).some((v) => Number.isFinite(toNumber(v, numberFormat)))) {
+        skipRow(r, 0, "no numeric values", name);
+        continue;
+      }
+      metricRows[r] = name;
+      (namedAt[name] ||= []).push(cellRef(r, 0));
+      for (let c = 1; c < row.length; c++) checkCell(r, c, name);
+    }
+  }
+
+  // Same name twice: the parser keeps the last one
+  const duplicateMetrics = Object.entries(namedAt)
+    .filter(([, cells]) => cells.length > 1)
+    .map(([name, cells]) => ({ name, cells, used: cells[cells.length - 1].address }));
+
+  const formulaErrors = errorCells
+    .sort((a, b) => a.r - b.r || a.c - b.c)
+    .map(({ cell, r, c }) => ({
+      ...cellRef(r, c),
+      metric: metricAt(r, c),
+      error: cell.w || "#ERROR",
+      formula: cell.f ? `=${cell.f}` : null,
+    }));
+
+  // Periods where a KPI input (spent, messages, revenue, ...) has no value
+  const tracked = [...new Set(Object.values(metricKeys).filter(Boolean))];
+  const coverage = mode === "tidy" && parsed.granularity === "month" ? dailyCoverage(aoa, parsed) : null;
+  const partialPeriods = [];
+  parsed.labels.forEach((label, i) => {
+    const missing = tracked.filter((name) => !Number.isFinite(parsed.series[name]?.[i]));
+    const reasons = [];
+    if (missing.length) reasons.push(missing.length === tracked.length ? "no data" : `no ${missing.join(", ")}`);
+
+    const month = parsed.periodMonths?.[i];
+    if (coverage && month) {
+      const [y, m] = month.split("-").map(Number);
+      const inMonth = new Date(y, m, 0).getDate();
+      if ((coverage.get(month) || 0) < inMonth) reasons.push(`${coverage.get(month) || 0} of ${inMonth} days`);
+    }
+    if (reasons.length) partialPeriods.push({ index: i, label, missing, reason: reasons.join("; ") });
+  });
+
+  // avgFinite() leaves zero / negative months out of the CAC average
+  const cacValues = metricKeys.cac ? parsed.series[metricKeys.cac] || [] : [];
+  const ignoredZeros = parsed.labels.filter((_, i) => Number.isFinite(cacValues[i]) && cacValues[i] <= 0);
+
+  const lists = { skippedRows, nonNumericCells, partialPeriods, duplicateMetrics, formulaErrors };
+  const diagnostics = {
+    headerRow: {
+      r: headerRowIndex,
+      rowNumber: origin.r + headerRowIndex + 1,
+      range: `${address(headerRowIndex, 0)}:${address(headerRowIndex, Math.max((aoa[headerRowIndex] || []).length - 1, 0))}`,
+    },
+    counts: {},
+    cacZeroPeriods: metricKeys.cac && ignoredZeros.length ? { metric: metricKeys.cac, periods: ignoredZeros } : null,
+  };
+  Object.entries(lists).forEach(([key, list]) => {
+    diagnostics[key] = list.slice(0, DIAGNOSTIC_LIST_LIMIT);
+    diagnostics.counts[key] = list.length;
+  });
+  return diagnostics;
+}
+
+// -------------------------
+// Anomaly detection (robust z-scores on every series)
+// -------------------------
+const ANOMALY_THRESHOLD = 3.5; // modified z-score cut-off (Iglewicz & Hoaglin)
+const ANOMALY_MIN_POINTS = 6;
+const ANOMALY_MIN_CHANGE = 0.2; // ignore points within 20% of the expected value
+const ANOMALY_NEIGHBOURS = 3; // periods either side for the local expectation
+const SEASONAL_MIN_PAIRS = 3; // same-month-last-year pairs needed for the seasonal comparison
+const ANOMALY_LIMIT = 50;
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Index of the same month a year earlier; null unless every period is a distinct month (weekly/daily
+// tidy periods share month keys)
+function yearAgoIndexes(periodMonths) {
+  const months = periodMonths || [];
+  if (!months.length || months.some((m) => !m) || new Set(months).size !== months.length) return null;
+  const at = new Map(months.map((m, i) => [m, i]));
+  return months.map((m) => {
+    const [y, mo] = m.split("-");
+    return at.has(`${Number(y) - 1}-${mo}`) ? at.get(`${Number(y) - 1}-${mo}`) : null;
+  });
+}
+
+// Median of the neighbouring periods (the point itself excluded)
+function localExpected(values) {
+  return values.map((v, i) => {
+    if (!Number.isFinite(v)) return null;
+    const around = [];
+    for (let k = Math.max(0, i - ANOMALY_NEIGHBOURS); k <= Math.min(values.length - 1, i + ANOMALY_NEIGHBOURS); k++) {
+      if (k !== i && Number.isFinite(values[k])) around.push(values[k]);
+    }
+    return around.length >= 2 ? median(around) : null;
+  });
+}
+
+// Same month a year earlier (or later) scaled by the median year-over-year change; null without enough pairs
+function seasonalExpected(values, yearAgo) {
+  if (!yearAgo) return null;
+  const ratios = yearAgo
+    .map((j, i) => (j !== null && values[i] > 0 && values[j] > 0 ? values[i] / values[j] : null))
+    .filter(Number.isFinite);
+  if (ratios.length < SEASONAL_MIN_PAIRS) return null;
+
+  const growth = median(ratios);
+  const yearAhead = [];
+  yearAgo.forEach((j, i) => j !== null && (yearAhead[j] = i));
+  return values.map((v, i) => {
+    if (!Number.isFinite(v)) return null;
+    const before = yearAgo[i];
+    if (before !== null && Number.isFinite(values[before])) return values[before] * growth;
+    const after = yearAhead[i];
+    return after !== undefined && Number.isFinite(values[after]) ? values[after] / growth : null;
+  });
+}
+
+// Modified z-score of each residual: 0.6745 · (e - median) / MAD, or the mean absolute deviation when MAD is 0
+function robustScores(values, expected) {
+  const residuals = values.map((v, i) => (Number.isFinite(v) && Number.isFinite(expected[i]) ? v - expected[i] : null));
+  const finite = residuals.filter(Number.isFinite);
+  if (finite.length < ANOMALY_MIN_POINTS - 1) return null;
+
+  const center = median(finite);
+  const mad = median(finite.map((e) => Math.abs(e - center)));
+  const meanAd = finite.reduce((a, e) => a + Math.abs(e - center), 0) / finite.length;
+  const scale = mad > 0 ? mad / 0.6745 : meanAd * 1.253314;
+  if (!(scale > 0)) return null;
+  return { method: mad > 0 ? "mad" : "meanad", scores: residuals.map((e) => (Number.isFinite(e) ? (e - center) / scale : null)) };
+}
+
+function formatAnomalyValue(n, locale) {
+  return Number.isFinite(n) ? n.toLocaleString(locale, { maximumFractionDigits: 2 }) : "—";
+}
+
+/**
+ * Flags points whose robust z-score against the neighbouring periods is above ANOMALY_THRESHOLD.
+ * With enough year-over-year pairs (monthly data, 12+ months) the point must also stand out
+ * against the same month in the other year, so recurring seasonal peaks are not flagged.
+ */
+function detectAnomalies(labels, series, { periodMonths, metricKeys = {}, locale = DEFAULT_LOCALE } = {}) {
+  const yearAgo = yearAgoIndexes(periodMonths);
+  const metricOf = Object.fromEntries(Object.entries(metricKeys).filter(([, key]) => key).map(([m, key]) => [key, m]));
+  const anomalies = [];
+
+  Object.entries(series || {}).forEach(([name, values]) => {
+    if (countFinite(values) < ANOMALY_MIN_POINTS) return;
+    const local = localExpected(values);
+    const localScores = robustScores(values, local);
+    if (!localScores) return;
+    const seasonal = seasonalExpected(values, yearAgo);
+    const seasonalScores = seasonal ? robustScores(values, seasonal) : null;
+
+    values.forEach((v, i) => {
+      const localScore = localScores.scores[i];
+      if (!Number.isFinite(localScore) || Math.abs(localScore) < ANOMALY_THRESHOLD) return;
+
+      const seasonalScore = seasonalScores?.scores[i];
+      const useSeasonal = Number.isFinite(seasonalScore);
+      if (useSeasonal && (Math.abs(seasonalScore) < ANOMALY_THRESHOLD || Math.sign(seasonalScore) !== Math.sign(localScore))) {
+        return;
+      }
+
+      // Report the weaker of the two signals
+      const score = useSeasonal && Math.abs(seasonalScore) < Math.abs(localScore) ? seasonalScore : localScore;
+      const expected = useSeasonal ? seasonal[i] : local[i];
+      const change = expected !== 0 ? (v - expected) / Math.abs(expected) : null;
+      if (change !== null && Math.abs(change) < ANOMALY_MIN_CHANGE) return;
+
+      const direction = v > expected ? "spike" : "drop";
+      const against = useSeasonal ? "the same month in the other year, adjusted for growth" : "neighbouring periods";
+      const pct = change !== null ? ` (${change > 0 ? "+" : "−"}${Math.abs(change * 100).toFixed(0)}%)` : "";
+      anomalies.push({
+        series: name,
+        metric: metricOf[name] || null,
+        index: i,
+        label: labels[i],
+        value: v,
+        expected,
+        score: Number(score.toFixed(2)),
+        direction,
+        method: (useSeasonal ? seasonalScores : localScores).method,
+        basis: useSeasonal ? "seasonal" : "local",
+        explanation:
+          `${name} ${direction === "spike" ? "jumped" : "dropped"} to ${formatAnomalyValue(v, locale)} in ${labels[i]}` +
+          ` vs ~${formatAnomalyValue(expected, locale)} expected from ${against}${pct}; robust z ${score.toFixed(1)}.`,
+      });
+    });
+  });
+
+  return anomalies.sort((a, b) => Math.abs(b.score) - Math.abs(a.score)).slice(0, ANOMALY_LIMIT);
+}
+
+// -------------------------
+// Sheet selection
+// -------------------------
+// Overview-style grids first; otherwise try the tidy (row-per-date) layout
+// settings: { locale, currency, numberFormat } from resolveNumberSettings()
+// currencyTags: manual row -> ISO code / "none"; fxRates: rows from the FX table
+// metrics: calculated metric definitions, evaluated into payload.calculated
+function parseSheet(
+  workbook,
+  sheetName,
+  { mapping, granularity, settings = resolveNumberSettings(), currencyTags = {}, fxRates = [], metrics = [] } = {}
+) {
+  const sheet = workbook.Sheets[sheetName];
+  const aoa = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true });
+  const tablePreview = { sheetName, rows: aoa.slice(0, 50) };
+
+  let mode = "overview-style";
+  let parsed = parseOverviewStyle(aoa, settings.numberFormat);
+  if (!parsed) {
+    mode = "tidy";
+    parsed = parseTidyStyle(aoa, granularity, settings.numberFormat);
+  }
+
+  if (!parsed) return { parsed: false, sheetName, tablePreview };
+
+  // aoa[r][c] is the cell at (origin.r + r, origin.c + c)
+  const origin = sheet["!ref"] ? XLSX.utils.decode_range(sheet["!ref"]).s : { r: 0, c: 0 };
+  const cellAt = ([r, c]) => sheet[XLSX.utils.encode_cell({ r: origin.r + r, c: origin.c + c })];
+  const tags = {};
+  Object.keys(parsed.series).forEach((name) => {
+    const tag = detectRowCurrency(name, parsed.sourceCells(name).slice(0, 24).map(cellAt), currencyTags[name]);
+    if (tag) tags[name] = tag;
+  });
+  const { series, fx } = applyCurrencyConversion(parsed, { tags, reportingCurrency: settings.currency, rates: fxRates });
+
+  const { labels } = parsed;
+  const kpis = computeKPIsFromSeries(labels, series, mapping);
+  const metricKeys = resolveMetricKeys(series, mapping);
+  const calculated = computeCalculatedMetrics(labels, series, metricKeys, metrics);
+  const diagnostics = diagnoseSheet(sheet, aoa, parsed, { mode, origin, metricKeys, numberFormat: settings.numberFormat });
+  const anomalies = detectAnomalies(labels, series, { periodMonths: parsed.periodMonths, metricKeys, locale: settings.locale });
+  const payload = {
+    mode,
+    sheetName,
+    labels,
+    series,
+    kpis,
+    calculated,
+    metricKeys,
+    ...describeMetricResolution(series, metricKeys),
+    currency: settings.currency,
+    locale: settings.locale,
+    periodMonths: parsed.periodMonths,
+    currencyTags: tags,
+    fx,
+    diagnostics,
+    anomalies,
+    tablePreview,
+  };
+  if (mode === "tidy") {
+    payload.granularity = parsed.granularity;
+    payload.dateColumn = parsed.dateColumn;
+  }
+  return { parsed: true, payload };
+}
+
+// -------------------------
+// Whole workbook / series -> dashboard payload
+// -------------------------
+function pickDefaultSheet(results) {
+  const overview = results.find((r) => r.name.toLowerCase() === "overview" && r.result.parsed);
+  return (overview || results.find((r) => r.result.parsed) || results[0]).name;
+}
+
+/**
+ * Parse every sheet and build the dashboard payload for the selected one.
+ * Throws httpError (400 bad options / 422 undetected format).
+ */
+function analyzeWorkbook(
+  workbook,
+  {
+    mapping = {},
+    granularity = "month",
+    sheet = null,
+    allSheets = false,
+    settings = resolveNumberSettings(),
+    currencyTags = {},
+    fxRates = [],
+    metrics = [],
+  } = {}
+) {
+  if (!GRANULARITIES.includes(granularity)) {
+    throw httpError(400, `Invalid granularity. Use one of: ${GRANULARITIES.join(", ")}`);
+  }
+
+  const results = workbook.SheetNames.map((name) => ({
+    name,
+    result: parseSheet(workbook, name, { mapping, granularity, settings, currencyTags, fxRates, metrics }),
+  }));
+  const sheets = results.map((r) => ({ name: r.name, parsed: r.result.parsed }));
+
+  if (sheet && !workbook.SheetNames.includes(sheet)) {
+    throw httpError(400, `Sheet "${sheet}" not found.`, { sheets });
+  }
+
+  const sheetName = sheet || pickDefaultSheet(results);
+  const selected = results.find((r) => r.name === sheetName).result;
+
+  if (!selected.parsed) {
+    throw httpError(
+      422,
+      "Could not detect an Overview-style grid or a row-per-date table. Please use the provided sample format.",
+      { sheets, tablePreview: selected.tablePreview }
+    );
+  }
+
+  const body = { ...selected.payload, sheets };
+  if (allSheets) {
+    body.sheetPayloads = {};
+    results
+      .filter((r) => r.result.parsed)
+      .forEach((r) => (body.sheetPayloads[r.name] = r.result.payload));
+  }
+  return body;
+}
+
+// Same payload shape as a parsed sheet, for series that arrive as JSON
+function analyzeSeries({ labels, series }, { mapping = {}, settings = resolveNumberSettings(), metrics = [] } = {}) {
+  const metricKeys = resolveMetricKeys(series, mapping);
+  const periodMonths = labels.map(monthKeyOf);
+  return {
+    mode: "series",
+    labels,
+    series,
+    kpis: computeKPIsFromSeries(labels, series, mapping),
+    calculated: computeCalculatedMetrics(labels, series, metricKeys, metrics),
+    metricKeys,
+    ...describeMetricResolution(series, metricKeys),
+    currency: settings.currency,
+    locale: settings.locale,
+    periodMonths,
+    anomalies: detectAnomalies(labels, series, { periodMonths, metricKeys, locale: settings.locale }),
+  };
+}
+
+module.exports = {
+  WORKBOOK_EXTENSIONS,
+  DEFAULT_LOCALE,
+  DEFAULT_CURRENCY,
+  CURRENCY_RE,
+  GRANULARITIES,
+  METRIC_ALIASES,
+  httpError,
+  // limits
+  DEFAULT_WORKBOOK_LIMITS,
+  resolveWorkbookLimits,
+  limitError,
+  sniffContainer,
+  // reading
+  decodeCsvBuffer,
+  readCsvText,
+  readWorkbookFile,
+  readWorkbookBuffer,
+  // numbers + locale
+  isValidLocale,
+  resolveNumberSettings,
+  toNumber,
+  safeDivide,
+  sumFinite,
+  avgFinite,
+  // layouts
+  parseOverviewStyle,
+  parseTidyStyle,
+  parseSheet,
+  // KPIs
+  resolveMetricKeys,
+  describeMetricResolution,
+  computeKPIsFromSeries,
+  computeCalculatedMetrics,
+  // currencies
+  monthKeyOf,
+  detectCurrencyInText,
+  normalizeFxRates,
+  parseFxCsv,
+  findFxRate,
+  formatRate,
+  applyCurrencyConversion,
+  // checks
+  diagnoseSheet,
+  detectAnomalies,
+  // whole workbook / series
+  analyzeWorkbook,
+  analyzeSeries,
+};
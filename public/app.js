@@ -1,35 +1,127 @@
 /**
  * Frontend logic:
- * - Upload Excel file to backend (/api/upload)
+ * - Upload Excel/CSV file to backend (/api/upload); limit errors explained from their `code`
  * - Render KPIs + charts + table
- * - Export as PDF (one long page) INCLUDING header
- * - Client name input (centered) autosaved + used in PDF filename
- *
- * ✅ PDF FIX:
- * Inputs sometimes render faint/blank in html2canvas.
- * Option 1: During export, replace input with a high-contrast "print label" div.
+ * - Export a paginated PDF report (A4/Letter) built with jsPDF (see pdf-report.js)
+ * - Export the computed dashboard as .xlsx (/api/export/xlsx, formulas kept live)
+ * - Client workspaces (/api/clients): the header switcher scopes uploads, notes, targets,
+ *   mappings and exports to the selected client profile
+ * - Signed-in user (/api/auth): name + role in the header, logout, password change; analysts only
+ *   get their assigned clients and can't edit shared settings (FX rates, rule packs)
+ * - Report history (/api/reports) to reopen past uploads
+ * - Watch folder inbox (/api/watch): spreadsheets the server picked up from WATCH_DIR, failures to retry
+ * - Row currency tags + FX rate table (/api/fx-rates) for sheets that mix currencies
+ * - Data quality panel: upload diagnostics listed and highlighted in the table preview
+ * - Forecast mode (see forecast.js): projected periods with confidence bands + projected ROAS/CAC
+ * - Anomaly markers on the charts + explained list (payload.anomalies from /api/upload)
+ * - Calculated metrics (see formulas.js): client-defined formulas shown as KPI cards and/or charts
+ * - Budget scenarios (see planner.js): "what if we spend X" estimates saved per client, side by side
  */
 
 // DOM Elements
 const excelFile = document.getElementById("excelFile");
 const uploadBtn = document.getElementById("uploadBtn");
+const uploadLimitsLabel = document.getElementById("uploadLimitsLabel");
 const statusEl = document.getElementById("status");
 const kpiGrid = document.getElementById("kpiGrid");
 const tableBody = document.getElementById("tableBody");
+const diagnosticsPanel = document.getElementById("diagnosticsPanel");
+const diagnosticsSummary = document.getElementById("diagnosticsSummary");
+const diagnosticsList = document.getElementById("diagnosticsList");
 const sheetLabel = document.getElementById("sheetLabel");
+const sheetSelect = document.getElementById("sheetSelect");
+const granularitySelect = document.getElementById("granularitySelect");
 
 const recommendationBox = document.getElementById("recommendationBox");
 const targetCacInput = document.getElementById("targetCacInput");
+const targetRoasInput = document.getElementById("targetRoasInput");
+const targetCtrInput = document.getElementById("targetCtrInput");
+const targetCpmRiseInput = document.getElementById("targetCpmRiseInput");
+const rulePackSelect = document.getElementById("rulePackSelect");
+const rulesEditor = document.getElementById("rulesEditor");
+const rulePackNameInput = document.getElementById("rulePackNameInput");
+const saveRulePackBtn = document.getElementById("saveRulePackBtn");
 
 const exportPdfBtn = document.getElementById("exportPdfBtn");
-const topHeader = document.getElementById("topHeader");
-const pdfRoot = document.getElementById("pdfRoot");
+const pdfFormatSelect = document.getElementById("pdfFormatSelect");
+const exportXlsxBtn = document.getElementById("exportXlsxBtn");
+
+const mappingPanel = document.getElementById("mappingPanel");
+const mappingFields = document.getElementById("mappingFields");
+const applyMappingBtn = document.getElementById("applyMappingBtn");
+const resetMappingBtn = document.getElementById("resetMappingBtn");
+const editMappingBtn = document.getElementById("editMappingBtn");
+const currencyTagFields = document.getElementById("currencyTagFields");
+const fxNotice = document.getElementById("fxNotice");
+
+const fxRatesEditor = document.getElementById("fxRatesEditor");
+const fxRatesFile = document.getElementById("fxRatesFile");
+const saveFxRatesBtn = document.getElementById("saveFxRatesBtn");
+const fxRatesStatus = document.getElementById("fxRatesStatus");
+
+const rangePresetSelect = document.getElementById("rangePresetSelect");
+const rangeStartSelect = document.getElementById("rangeStartSelect");
+const rangeEndSelect = document.getElementById("rangeEndSelect");
+
+const compareModeSelect = document.getElementById("compareModeSelect");
+const compareStartSelect = document.getElementById("compareStartSelect");
+const compareEndSelect = document.getElementById("compareEndSelect");
+const compareRangeWrap = document.getElementById("compareRangeWrap");
+const compareReportSelect = document.getElementById("compareReportSelect");
+const compareGhostToggle = document.getElementById("compareGhostToggle");
+
+const forecastModelSelect = document.getElementById("forecastModelSelect");
+const forecastHorizonSelect = document.getElementById("forecastHorizonSelect");
+const forecastConfidenceSelect = document.getElementById("forecastConfidenceSelect");
+
+const historyList = document.getElementById("historyList");
+const historyClientOnly = document.getElementById("historyClientOnly");
+const watchPanel = document.getElementById("watchPanel");
+const watchDirLabel = document.getElementById("watchDirLabel");
+const watchSummary = document.getElementById("watchSummary");
+const watchInboxList = document.getElementById("watchInboxList");
 
 const notesBox = document.getElementById("notesBox");
-const clientNameInput = document.getElementById("clientNameInput");
+
+const anomalyPanel = document.getElementById("anomalyPanel");
+const anomalySummary = document.getElementById("anomalySummary");
+const anomalyList = document.getElementById("anomalyList");
+
+const calculatedCharts = document.getElementById("calculatedCharts");
+const metricNameInput = document.getElementById("metricNameInput");
+const metricFormulaInput = document.getElementById("metricFormulaInput");
+const metricFormatSelect = document.getElementById("metricFormatSelect");
+const metricDisplaySelect = document.getElementById("metricDisplaySelect");
+const addMetricBtn = document.getElementById("addMetricBtn");
+const metricList = document.getElementById("metricList");
+
+const scenarioNameInput = document.getElementById("scenarioNameInput");
+const scenarioModeSelect = document.getElementById("scenarioModeSelect");
+const scenarioValueLabel = document.getElementById("scenarioValueLabel");
+const scenarioValueInput = document.getElementById("scenarioValueInput");
+const scenarioMonthsSelect = document.getElementById("scenarioMonthsSelect");
+const scenarioCurveToggle = document.getElementById("scenarioCurveToggle");
+const addScenarioBtn = document.getElementById("addScenarioBtn");
+const scenarioHead = document.getElementById("scenarioHead");
+const scenarioBody = document.getElementById("scenarioBody");
+const scenarioNotes = document.getElementById("scenarioNotes");
+const clientSelect = document.getElementById("clientSelect");
+const clientCurrencySelect = document.getElementById("clientCurrencySelect");
+const clientLocaleSelect = document.getElementById("clientLocaleSelect");
+const newClientBtn = document.getElementById("newClientBtn");
+const userMenu = document.getElementById("userMenu");
+const userLabel = document.getElementById("userLabel");
+const usersLink = document.getElementById("usersLink");
+const changePasswordBtn = document.getElementById("changePasswordBtn");
+const logoutBtn = document.getElementById("logoutBtn");
 
 // Keep latest uploaded payload for live updates
 window.latestPayload = null;
+// Full upload response (all parsed sheets) so the sheet picker can switch without re-uploading
+window.latestUpload = null;
+
+// Comparison baseline state (report payloads are fetched on demand and cached by id)
+const comparison = { reportPayloads: {}, reports: [] };
 
 let charts = {
   spent: null,
@@ -42,17 +134,41 @@ let charts = {
 // -------------------------
 // Helpers
 // -------------------------
-function formatPeso(n) {
+const DEFAULT_LOCALE = "en-PH";
+const DEFAULT_CURRENCY = "PHP";
+
+// Currency + locale of what's on screen: the report's own settings, else the client's
+function displayFormat() {
+  const payload = window.latestPayload;
+  const profile = clientState.profile;
+  return {
+    currency: payload?.currency || profile?.currency || DEFAULT_CURRENCY,
+    locale: payload?.locale || profile?.locale || DEFAULT_LOCALE,
+  };
+}
+
+const numberFormatters = new Map();
+function numberFormatter(options) {
+  const { currency, locale } = displayFormat();
+  const key = JSON.stringify([locale, currency, options]);
+  if (!numberFormatters.has(key)) {
+    const opts = options.style === "currency" ? { ...options, currency } : options;
+    numberFormatters.set(key, new Intl.NumberFormat(locale, opts));
+  }
+  return numberFormatters.get(key);
+}
+
+function formatMoney(n) {
   if (n === null || n === undefined || !Number.isFinite(n)) return "—";
-  return "₱" + n.toLocaleString("en-PH", { maximumFractionDigits: 2 });
+  return numberFormatter({ style: "currency", minimumFractionDigits: 0, maximumFractionDigits: 2 }).format(n);
 }
 function formatNumber(n) {
   if (n === null || n === undefined || !Number.isFinite(n)) return "—";
-  return n.toLocaleString("en-PH", { maximumFractionDigits: 2 });
+  return numberFormatter({ maximumFractionDigits: 2 }).format(n);
 }
 function formatROAS(n) {
   if (n === null || n === undefined || !Number.isFinite(n)) return "—";
-  return n.toLocaleString("en-PH", { maximumFractionDigits: 2 });
+  return numberFormatter({ maximumFractionDigits: 2 }).format(n);
 }
 
 function setStatus(msg, isError = false) {
@@ -67,18 +183,56 @@ function destroyCharts() {
   charts = { spent: null, revenue: null, messages: null, cpm: null, pie: null };
 }
 
-function createKpiCard({ title, value, sub }) {
+function createKpiCard({ title, value, sub, delta }) {
+  // delta: describeDelta() result (optional). Titles and subs can be client-defined (calculated metrics), so escape
   const div = document.createElement("div");
   div.className =
     "rounded-2xl border border-white/10 bg-slate-900/30 p-4 shadow-sm hover:bg-slate-900/40 transition";
   div.innerHTML = `
-    <div class="text-xs text-slate-400">${title}</div>
-    <div class="mt-2 text-2xl font-semibold">${value}</div>
-    <div class="mt-1 text-xs text-slate-400">${sub || ""}</div>
+    <div class="text-xs text-slate-400">${escapeHtml(title)}</div>
+    <div class="mt-2 text-2xl font-semibold">${escapeHtml(value)}</div>
+    <div class="mt-1 text-xs text-slate-400">${escapeHtml(sub)}</div>
+    ${formatDelta(delta)}
   `;
   return div;
 }
 
+/**
+ * Baseline delta as plain text + tone ("good" | "bad" | "neutral", or null when not comparable).
+ * better: "up" (higher is good), "down" (lower is good) or null (neutral coloring).
+ */
+function describeDelta(current, base, { better = "up", format = formatNumber } = {}) {
+  if (!Number.isFinite(current) || !Number.isFinite(base)) return { text: "vs baseline: —", tone: null };
+
+  const diff = current - base;
+  const pct = base !== 0 ? (diff / Math.abs(base)) * 100 : null;
+  const arrow = diff > 0 ? "▲" : diff < 0 ? "▼" : "■";
+
+  let tone = "neutral";
+  if (diff !== 0 && better) {
+    const good = better === "up" ? diff > 0 : diff < 0;
+    tone = good ? "good" : "bad";
+  }
+
+  const sign = diff > 0 ? "+" : diff < 0 ? "−" : "";
+  const pctText = pct === null ? "" : ` ${sign}${Math.abs(pct).toFixed(1)}%`;
+  return { text: `${arrow}${pctText} (${sign}${format(Math.abs(diff))}) vs baseline`, tone };
+}
+
+const DELTA_TONE_CLASSES = { good: "text-emerald-300", bad: "text-rose-300", neutral: "text-slate-400" };
+
+function formatDelta(delta) {
+  if (!delta) return "";
+  const color = DELTA_TONE_CLASSES[delta.tone] || "text-slate-500";
+  return `<div class="mt-1 text-xs ${color}">${escapeHtml(delta.text)}</div>`;
+}
+
+// Both server parsers return the same { labels, series } shape
+const PARSED_MODES = ["overview-style", "tidy"];
+function isParsedMode(payload) {
+  return !!payload && PARSED_MODES.includes(payload.mode);
+}
+
 function getSeriesKey(series, want) {
   const keys = Object.keys(series || {});
   const w = want.toLowerCase();
@@ -102,15 +256,27 @@ function avgFinite(arr) {
   return nums.reduce((a, b) => a + b, 0) / nums.length;
 }
 
+// Backend resolves canonical metrics (aliases + saved mapping); fall back to name lookup
+function metricKey(payload, metric, ...fallbackNames) {
+  const resolved = payload?.metricKeys?.[metric];
+  if (resolved) return resolved;
+  if (payload?.metricKeys) return null;
+  for (const name of fallbackNames) {
+    const key = getSeriesKey(payload?.series, name);
+    if (key) return key;
+  }
+  return null;
+}
+
 // ✅ Always treat backend as source of truth for CAC (but compute fallback)
 function computeCACLikeExcel(payload) {
-  if (!payload || payload.mode !== "overview-style") return null;
+  if (!isParsedMode(payload)) return null;
 
   const backendCAC = payload?.kpis?.kpis?.cac;
   if (Number.isFinite(backendCAC)) return backendCAC;
 
   const s = payload.series || {};
-  const keyCAC = getSeriesKey(s, "CAC");
+  const keyCAC = metricKey(payload, "cac", "CAC");
   if (keyCAC && Array.isArray(s[keyCAC])) {
     const avg = avgFinite(s[keyCAC]);
     if (Number.isFinite(avg)) return avg;
@@ -135,6 +301,58 @@ function computeCostPerMessageSeries(spentArr = [], msgArr = []) {
   return out;
 }
 
+function sumFinite(arr) {
+  return (arr || []).filter((v) => typeof v === "number" && Number.isFinite(v)).reduce((a, b) => a + b, 0);
+}
+function countFinite(arr) {
+  return (arr || []).filter((v) => typeof v === "number" && Number.isFinite(v)).length;
+}
+
+/**
+ * Same rules as computeKPIsFromSeries (lib/analyze.js), for baselines / label ranges
+ * computed in the browser. `metricKeys` comes from the backend resolution.
+ */
+function computeKPIsLikeServer(series, metricKeys = {}) {
+  const pick = (metric) => (metricKeys[metric] && series[metricKeys[metric]]) || null;
+  const spentArr = pick("spent");
+  const msgArr = pick("messages");
+  const revArr = pick("revenue");
+  const custArr = pick("customers");
+  const cacArr = pick("cac") || [];
+
+  const total = (arr) => (arr ? sumFinite(arr) : null);
+  const perMonth = (t, arr) => (t !== null ? t / Math.max(countFinite(arr), 1) : null);
+  const divide = (a, b) => (Number.isFinite(a) && Number.isFinite(b) && b !== 0 ? a / b : null);
+
+  const spent = total(spentArr);
+  const messages = total(msgArr);
+  const revenue = total(revArr);
+  const customers = total(custArr);
+
+  const cacExcelStyle = avgFinite(cacArr);
+
+  return {
+    totals: { spent, messages, revenue, customers },
+    averagesPerMonth: {
+      spent: perMonth(spent, spentArr),
+      messages: perMonth(messages, msgArr),
+      revenue: perMonth(revenue, revArr),
+      customers: perMonth(customers, custArr),
+    },
+    kpis: {
+      costPerMessage: divide(spent, messages),
+      roas: divide(revenue, spent),
+      cac: Number.isFinite(cacExcelStyle) ? cacExcelStyle : divide(spent, customers),
+    },
+  };
+}
+
+function sliceSeries(series, start, end) {
+  const out = {};
+  Object.entries(series || {}).forEach(([k, arr]) => (out[k] = (arr || []).slice(start, end + 1)));
+  return out;
+}
+
 // -------------------------
 // Data Preview helpers
 // -------------------------
@@ -152,179 +370,100 @@ function formatMonthYear(v) {
 function formatTableNumber(v) {
   const n = typeof v === "number" ? v : Number(String(v).replace(/,/g, "").trim());
   if (!Number.isFinite(n)) return null;
-  return n.toLocaleString("en-PH", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return numberFormatter({ minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(n);
 }
 
 // =========================
-// ✅ PDF EXPORT (ONE LONG PAGE) + CLIENT LABEL FIX (OPTION 1)
+// PDF REPORT (paginated, vector text + charts via pdf-report.js)
 // =========================
+// Mirrors fxRateRows in server.js so browser and server PDFs list the same rates
+function fxRateRows(fx) {
+  const rate = (n) => Number(n.toPrecision(6)).toString();
+  return (fx?.conversions || []).flatMap((c) =>
+    c.converted
+      ? c.periods
+          .filter(Boolean)
+          .map((p) => [c.row, `${c.from} → ${c.to}`, p.period, rate(p.rate), p.basis === "exact" ? p.month : `${p.month} (${p.basis})`])
+      : [[c.row, `${c.from} → ${c.to}`, "all", "—", "no rate, not converted"]]
+  );
+}
 
-let _printLabelEl = null;
-let _savedInputStyle = null;
-
-function mountExportPrintLabel() {
-  if (!clientNameInput) return;
-
-  const name = (clientNameInput.value || "").trim() || "Name/Company";
-
-  // Find the wrapper that contains the input
-  const wrapper = clientNameInput.parentElement; // <div class="w-full md:max-w-xs">
-  if (!wrapper) return;
-
-  // Save input styles so we can restore
-  _savedInputStyle = {
-    visibility: clientNameInput.style.visibility,
-    opacity: clientNameInput.style.opacity,
+function buildReportData(view) {
+  const { cards } = buildKpiCards(view);
+  const targets = getTargets();
+  const clientName = currentClientName();
+
+  const key = (metric) => view.metricKeys?.[metric];
+  const seriesOf = (metric) => (key(metric) ? view.series[key(metric)] || [] : []);
+  const spent = seriesOf("spent");
+  const messages = seriesOf("messages");
+  const revenue = seriesOf("revenue");
+  const cpm = computeCostPerMessageSeries(spent, messages);
+
+  return {
+    title: "Digital Homie Analytics",
+    clientName: clientName || "Client",
+    period: view.labels.length ? `${view.labels[0]} – ${view.labels[view.labels.length - 1]}` : "",
+    sheetName: view.sheetName,
+    generatedAt: new Date().toISOString(),
+    preparedBy: currentUser?.name || "",
+    ...displayFormat(),
+    kpis: cards.map((c) => ({
+      label: c.title,
+      value: c.value,
+      sub: [c.sub, c.delta?.text].filter(Boolean).join(" · "),
+    })),
+    targets: [
+      Number.isFinite(targets.cac) ? { label: "Target CAC", value: formatMoney(targets.cac) } : null,
+      { label: "Min ROAS", value: formatROAS(targets.roas) },
+      { label: "Min CTR", value: `${targets.ctr}%` },
+      { label: "Cost/Message rise alert", value: `+${targets.cpmRise}%` },
+    ].filter(Boolean),
+    recommendations: computeRecommendations(view) || [],
+    charts: [
+      { title: "Ad Spent", type: "line", labels: view.labels, datasets: [{ label: "Ad Spent", data: spent, color: "#60A5FA" }] },
+      { title: "Revenue", type: "line", labels: view.labels, datasets: [{ label: "Revenue", data: revenue, color: "#A78BFA" }] },
+      { title: "Messages", type: "bar", labels: view.labels, datasets: [{ label: "Messages", data: messages, color: "#34D399" }] },
+      { title: "Cost per Message", type: "line", labels: view.labels, datasets: [{ label: "Cost / Message", data: cpm, color: "#FBBF24" }] },
+      ...calculatedShownAs(view, "chart").map((m) => ({
+        title: m.name,
+        type: "line",
+        labels: view.labels,
+        datasets: [{ label: m.name, data: Formulas.chartValues(m), color: CALCULATED_COLOR }],
+      })),
+    ],
+    tables: [
+      {
+        title: "Monthly Breakdown",
+        head: ["Period", "Ad Spent", "Messages", "Revenue", "Cost/Message"],
+        rows: view.labels.map((label, i) => [
+          label,
+          formatMoney(spent[i]),
+          formatNumber(messages[i]),
+          formatMoney(revenue[i]),
+          formatMoney(cpm[i]),
+        ]),
+      },
+      { title: "FX rates used", head: ["Row", "Conversion", "Period", "Rate", "Rate month"], rows: fxRateRows(view.fx) },
+      scenarioReportTable(view),
+    ].filter(Boolean),
+    assumptions: view.fx?.assumptions || [],
+    notes: notesBox?.value || "",
   };
-
-  // Hide the real input (but keep layout)
-  clientNameInput.style.visibility = "hidden";
-  clientNameInput.style.opacity = "0";
-
-  // Create a print-only label on top
-  _printLabelEl = document.createElement("div");
-  _printLabelEl.id = "clientNamePrintLabel";
-  _printLabelEl.textContent = name;
-
-  // Strong high-contrast style for PDF
-  _printLabelEl.style.position = "absolute";
-  _printLabelEl.style.left = "0";
-  _printLabelEl.style.top = "0";
-  _printLabelEl.style.width = "100%";
-  _printLabelEl.style.height = "100%";
-  _printLabelEl.style.display = "flex";
-  _printLabelEl.style.alignItems = "center";
-  _printLabelEl.style.justifyContent = "center";
-  _printLabelEl.style.textAlign = "center";
-  _printLabelEl.style.padding = "10px 12px";
-  _printLabelEl.style.borderRadius = "12px";
-  _printLabelEl.style.background = "#0b1220"; // solid (no blur)
-  _printLabelEl.style.border = "1px solid rgba(255,255,255,0.18)";
-  _printLabelEl.style.color = "#ffffff";
-  _printLabelEl.style.fontWeight = "700";
-  _printLabelEl.style.fontSize = "14px";
-  _printLabelEl.style.letterSpacing = "0.2px";
-  _printLabelEl.style.lineHeight = "1.1";
-  _printLabelEl.style.boxShadow = "0 8px 30px rgba(0,0,0,0.35)";
-
-  // Ensure wrapper can position absolute child
-  const wrapperComputed = window.getComputedStyle(wrapper);
-  if (wrapperComputed.position === "static") {
-    wrapper.dataset._pos = wrapper.style.position;
-    wrapper.style.position = "relative";
-  }
-
-  wrapper.appendChild(_printLabelEl);
-}
-
-function unmountExportPrintLabel() {
-  if (clientNameInput && _savedInputStyle) {
-    clientNameInput.style.visibility = _savedInputStyle.visibility || "";
-    clientNameInput.style.opacity = _savedInputStyle.opacity || "";
-  }
-  _savedInputStyle = null;
-
-  if (_printLabelEl && _printLabelEl.parentElement) {
-    _printLabelEl.parentElement.removeChild(_printLabelEl);
-  }
-  _printLabelEl = null;
-
-  // restore wrapper position if we changed it
-  if (clientNameInput?.parentElement?.dataset?._pos !== undefined) {
-    clientNameInput.parentElement.style.position = clientNameInput.parentElement.dataset._pos || "";
-    delete clientNameInput.parentElement.dataset._pos;
-  }
-}
-
-function setExportMode(enable) {
-  // Expand scroll containers for capture
-  const scrollEls = document.querySelectorAll(".overflow-auto");
-  scrollEls.forEach((el) => {
-    if (enable) {
-      el.dataset._overflow = el.style.overflow;
-      el.dataset._maxHeight = el.style.maxHeight;
-      el.dataset._height = el.style.height;
-
-      el.style.overflow = "visible";
-      el.style.maxHeight = "none";
-      el.style.height = "auto";
-    } else {
-      el.style.overflow = el.dataset._overflow || "";
-      el.style.maxHeight = el.dataset._maxHeight || "";
-      el.style.height = el.dataset._height || "";
-
-      delete el.dataset._overflow;
-      delete el.dataset._maxHeight;
-      delete el.dataset._height;
-    }
-  });
-
-  // Keep header visible but remove sticky for clean capture
-  if (topHeader) {
-    if (enable) {
-      topHeader.dataset._position = topHeader.style.position;
-      topHeader.dataset._top = topHeader.style.top;
-      topHeader.dataset._z = topHeader.style.zIndex;
-      topHeader.dataset._bg = topHeader.style.background;
-
-      topHeader.style.position = "relative";
-      topHeader.style.top = "0";
-      topHeader.style.zIndex = "1";
-      // Force solid bg (backdrop blur can wash text in canvas)
-      topHeader.style.background = "#020617";
-    } else {
-      topHeader.style.position = topHeader.dataset._position || "";
-      topHeader.style.top = topHeader.dataset._top || "";
-      topHeader.style.zIndex = topHeader.dataset._z || "";
-      topHeader.style.background = topHeader.dataset._bg || "";
-
-      delete topHeader.dataset._position;
-      delete topHeader.dataset._top;
-      delete topHeader.dataset._z;
-      delete topHeader.dataset._bg;
-    }
-  }
-
-  // ✅ Option 1 print label
-  if (enable) mountExportPrintLabel();
-  else unmountExportPrintLabel();
 }
 
-async function exportDashboardOnePagePDF() {
-  if (!pdfRoot) return;
+function exportReportPDF() {
+  const view = window.latestView;
+  if (!isParsedMode(view)) return setStatus("Upload a file before exporting a report.", true);
 
   try {
-    setStatus("Exporting PDF (one long page)...");
-
-    setExportMode(true);
-
-    // Stabilize layout (charts)
-    window.dispatchEvent(new Event("resize"));
-    await new Promise((r) => setTimeout(r, 350));
-
-    const canvas = await html2canvas(pdfRoot, {
-      scale: 2,
-      useCORS: true,
-      backgroundColor: "#020617",
-      scrollX: 0,
-      scrollY: -window.scrollY,
-      logging: false,
-      allowTaint: false,
-    });
-
-    const imgData = canvas.toDataURL("image/png");
-    const { jsPDF } = window.jspdf;
-
-    const pdf = new jsPDF({
-      orientation: "portrait",
-      unit: "px",
-      format: [canvas.width, canvas.height],
-      compress: true,
-    });
+    setStatus("Building PDF report...");
 
-    pdf.addImage(imgData, "PNG", 0, 0, canvas.width, canvas.height, undefined, "FAST");
+    const report = buildReportData(view);
+    const format = pdfFormatSelect?.value || "a4";
+    const pdf = PdfReport.buildReportPdf(window.jspdf.jsPDF, report, { format });
 
-    const clientName = (clientNameInput?.value || "").trim();
+    const clientName = currentClientName();
     const safeClient = clientName
       ? clientName.replace(/[^\w\- ]+/g, "").replace(/\s+/g, "-")
       : "Client";
@@ -339,8 +478,54 @@ async function exportDashboardOnePagePDF() {
   } catch (err) {
     console.error(err);
     setStatus("Export failed: " + err.message, true);
-  } finally {
-    setExportMode(false);
+  }
+}
+
+// Workbook with KPI summary + series; the server keeps the formulas live
+async function exportReportXLSX() {
+  const view = window.latestView;
+  if (!isParsedMode(view)) return setStatus("Upload a file before exporting a report.", true);
+
+  try {
+    setStatus("Building XLSX export...");
+
+    const res = await fetch("/api/export/xlsx", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        clientId: clientState.profile?.id || undefined,
+        clientName: currentClientName(),
+        payload: {
+          labels: view.labels,
+          series: view.series,
+          metricKeys: view.metricKeys,
+          sheetName: view.sheetName,
+          currency: view.currency,
+        },
+      }),
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || `Export failed (${res.status})`);
+    }
+
+    const blob = await res.blob();
+    const fileName =
+      res.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || "Digital-Homie-Analytics.xlsx";
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+
+    setStatus("XLSX exported successfully ✅");
+  } catch (err) {
+    console.error(err);
+    setStatus("Export failed: " + err.message, true);
   }
 }
 
@@ -350,136 +535,535 @@ async function exportDashboardOnePagePDF() {
 function renderKPIs(payload) {
   kpiGrid.innerHTML = "";
 
-  if (payload.mode !== "overview-style") {
+  if (!isParsedMode(payload)) {
     kpiGrid.appendChild(
-      createKpiCard({ title: "KPIs", value: "—", sub: "Not in overview-style mode" })
+      createKpiCard({ title: "KPIs", value: "—", sub: "No labels/series detected" })
     );
     return;
   }
 
+  const { cards, baseline } = buildKpiCards(payload);
+  cards.forEach((card) => kpiGrid.appendChild(createKpiCard(card)));
+  if (payload.forecast) kpiGrid.appendChild(createKpiCard(forecastKpiCard(payload.forecast, payload)));
+
+  if (baseline) {
+    const note = document.createElement("div");
+    note.className = "self-center text-xs text-slate-400 max-w-[10rem]";
+    note.textContent = `Baseline: ${baseline.label}`;
+    kpiGrid.appendChild(note);
+  }
+}
+
+// KPI card contents, shared by the dashboard grid and the PDF report
+function buildKpiCards(payload) {
   const { totals, averagesPerMonth, kpis } = payload.kpis;
   const excelCAC = computeCACLikeExcel(payload);
+  const cacFromRow = Number.isFinite(avgFinite(payload.series?.[metricKey(payload, "cac", "CAC")] || []));
 
-  kpiGrid.appendChild(
-    createKpiCard({
-      title: "Ad Spent",
-      value: formatPeso(totals.spent),
-      sub: `Avg/mo ${formatPeso(averagesPerMonth.spent)}`,
-    })
-  );
+  const baseline = getBaseline(payload);
+  const delta = (current, pick, opts) =>
+    baseline ? describeDelta(current, pick(baseline.kpis), opts) : null;
 
-  kpiGrid.appendChild(
-    createKpiCard({
+  const cards = [
+    {
+      title: "Ad Spent",
+      value: formatMoney(totals.spent),
+      sub: `Avg/mo ${formatMoney(averagesPerMonth.spent)}`,
+      delta: delta(totals.spent, (b) => b.totals.spent, { better: null, format: formatMoney }),
+    },
+    {
       title: "Messages",
       value: formatNumber(totals.messages),
       sub: `Avg/mo ${formatNumber(averagesPerMonth.messages)}`,
-    })
-  );
-
-  kpiGrid.appendChild(
-    createKpiCard({
+      delta: delta(totals.messages, (b) => b.totals.messages),
+    },
+    {
       title: "Revenue",
-      value: formatPeso(totals.revenue),
-      sub: `Avg/mo ${formatPeso(averagesPerMonth.revenue)}`,
-    })
-  );
-
-  kpiGrid.appendChild(
-    createKpiCard({
+      value: formatMoney(totals.revenue),
+      sub: `Avg/mo ${formatMoney(averagesPerMonth.revenue)}`,
+      delta: delta(totals.revenue, (b) => b.totals.revenue, { format: formatMoney }),
+    },
+    {
       title: "Cost/Message",
-      value: formatPeso(kpis.costPerMessage),
+      value: formatMoney(kpis.costPerMessage),
       sub: "(Spent ÷ Messages)",
-    })
-  );
-
-  kpiGrid.appendChild(
-    createKpiCard({
+      delta: delta(kpis.costPerMessage, (b) => b.kpis.costPerMessage, { better: "down", format: formatMoney }),
+    },
+    {
       title: "ROAS",
       value: formatROAS(kpis.roas),
       sub: "(Revenue ÷ Spent)",
-    })
-  );
-
-  kpiGrid.appendChild(
-    createKpiCard({
+      delta: delta(kpis.roas, (b) => b.kpis.roas, { format: formatROAS }),
+    },
+    {
       title: "CAC",
-      value: formatPeso(excelCAC),
-      sub: "(Avg of CAC row values)",
-    })
-  );
-
-  kpiGrid.appendChild(
-    createKpiCard({
+      value: formatMoney(excelCAC),
+      sub: cacFromRow ? "(Avg of CAC row values)" : "(Spent ÷ Customers)",
+      delta: delta(excelCAC, (b) => b.kpis.cac, { better: "down", format: formatMoney }),
+    },
+    {
       title: "Customers",
       value: formatNumber(totals.customers),
       sub: `Avg/mo ${formatNumber(averagesPerMonth.customers)}`,
-    })
-  );
+      delta: delta(totals.customers, (b) => b.totals.customers),
+    },
+    ...calculatedShownAs(payload, "kpi").map((m) => ({
+      title: m.name,
+      value: formatCalculated(m, m.value),
+      sub: m.formula,
+    })),
+  ];
+
+  return { cards, baseline };
 }
 
 // -------------------------
-// Charts + recommendations (your existing logic)
+// Comparison baseline
 // -------------------------
-function renderCharts(payload) {
-  destroyCharts();
-  if (payload.mode !== "overview-style") return;
+function populateCompareRange(payload) {
+  if (!compareStartSelect || !compareEndSelect) return;
+  const labels = payload?.labels || [];
+
+  [compareStartSelect, compareEndSelect].forEach((select) => {
+    select.innerHTML = "";
+    labels.forEach((label, i) => {
+      const opt = document.createElement("option");
+      opt.value = String(i);
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+  });
+
+  // Default baseline: first half of the series
+  compareStartSelect.value = "0";
+  compareEndSelect.value = String(Math.max(Math.floor(labels.length / 2) - 1, 0));
+}
+
+function populateCompareReports(reports) {
+  if (!compareReportSelect) return;
+  const current = compareReportSelect.value;
+  comparison.reports = reports;
+
+  compareReportSelect.innerHTML = "";
+  reports.forEach((r) => {
+    const opt = document.createElement("option");
+    opt.value = r.id;
+    opt.textContent = `${r.clientName || "Unnamed"} · ${r.sheetName} · ${new Date(r.createdAt).toLocaleDateString()}`;
+    compareReportSelect.appendChild(opt);
+  });
+  if (reports.some((r) => r.id === current)) compareReportSelect.value = current;
+}
+
+function updateCompareControls() {
+  const mode = compareModeSelect?.value || "none";
+  compareRangeWrap?.classList.toggle("hidden", mode !== "range");
+  compareReportSelect?.classList.toggle("hidden", mode !== "report");
+}
+
+/**
+ * Resolve the selected baseline into { label, kpis, series, metricKeys }.
+ * Report baselines must already be cached (see onCompareChange).
+ */
+function getBaseline(payload) {
+  const mode = compareModeSelect?.value || "none";
+
+  if (mode === "range") {
+    const start = Number(compareStartSelect?.value);
+    const end = Number(compareEndSelect?.value);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || end < start) return null;
+
+    // Baseline indices refer to the full upload, not the filtered view
+    const source = payload.source || payload;
+    const series = sliceSeries(source.series, start, end);
+    const metricKeys = source.metricKeys || {};
+    return {
+      label: `${source.labels[start]} – ${source.labels[end]}`,
+      kpis: computeKPIsLikeServer(series, metricKeys),
+      series,
+      metricKeys,
+    };
+  }
+
+  if (mode === "report") {
+    const id = compareReportSelect?.value;
+    const base = comparison.reportPayloads[id];
+    if (!base || !isParsedMode(base)) return null;
+    const report = comparison.reports.find((r) => r.id === id);
+    return {
+      label: report ? `${report.fileName} (${new Date(report.createdAt).toLocaleDateString()})` : "Previous upload",
+      kpis: base.kpis,
+      series: base.series,
+      metricKeys: base.metricKeys || {},
+    };
+  }
+
+  return null;
+}
+
+function baselineMetric(baseline, metric) {
+  const key = baseline?.metricKeys?.[metric];
+  return key ? baseline.series[key] || [] : [];
+}
+
+// Dashed, unfilled copy of a line dataset aligned by period index
+function ghostDataset(label, data, length, color) {
+  const aligned = Array.from({ length }, (_, i) => (data[i] === undefined ? null : data[i]));
+  return {
+    label: `${label} (baseline)`,
+    data: aligned,
+    tension: 0.35,
+    borderWidth: 2,
+    borderDash: [6, 4],
+    pointRadius: 0,
+    borderColor: color,
+    fill: false,
+  };
+}
+
+async function onCompareChange() {
+  updateCompareControls();
+
+  if (compareModeSelect?.value === "report") {
+    const id = compareReportSelect?.value;
+    if (id && !comparison.reportPayloads[id]) {
+      try {
+        const res = await fetch(`/api/reports/${encodeURIComponent(id)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Could not load baseline report.");
+        comparison.reportPayloads[id] = data.payload;
+      } catch (err) {
+        console.error(err);
+        setStatus(err.message, true);
+      }
+    }
+  }
+
+  renderView();
+}
+
+// -------------------------
+// Date range filter
+// -------------------------
+function labelYear(label) {
+  const s = String(label ?? "");
+  const full = s.match(/\b(19|20)\d{2}\b/);
+  if (full) return Number(full[0]);
+  const short = s.match(/\b(\d{2})$/);
+  return short ? 2000 + Number(short[1]) : null;
+}
+
+function populateRangeSelects(payload) {
+  if (!rangeStartSelect || !rangeEndSelect) return;
+  const labels = payload?.labels || [];
+
+  [rangeStartSelect, rangeEndSelect].forEach((select) => {
+    select.innerHTML = "";
+    labels.forEach((label, i) => {
+      const opt = document.createElement("option");
+      opt.value = String(i);
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+  });
+
+  applyRangePreset(rangePresetSelect?.value || "all");
+}
+
+// Presets just move the start/end selects; "custom" leaves them alone
+function applyRangePreset(preset) {
+  const labels = window.latestPayload?.labels || [];
+  if (!labels.length || !rangeStartSelect || !rangeEndSelect) return;
+
+  const last = labels.length - 1;
+  let start = 0;
+  if (preset === "last3") start = Math.max(labels.length - 3, 0);
+  else if (preset === "last6") start = Math.max(labels.length - 6, 0);
+  else if (preset === "ytd") {
+    const year = labelYear(labels[last]);
+    const first = year === null ? -1 : labels.findIndex((l) => labelYear(l) === year);
+    start = first >= 0 ? first : 0;
+  } else if (preset === "custom") return;
+
+  rangeStartSelect.value = String(start);
+  rangeEndSelect.value = String(last);
+}
+
+function getSelectedRange(payload) {
+  const last = (payload?.labels?.length || 0) - 1;
+  let start = Number(rangeStartSelect?.value);
+  let end = Number(rangeEndSelect?.value);
+  if (!Number.isInteger(start) || start < 0 || start > last) start = 0;
+  if (!Number.isInteger(end) || end < 0 || end > last) end = last;
+  if (end < start) [start, end] = [end, start];
+  return { start, end };
+}
+
+/**
+ * The payload the dashboard actually shows: labels/series sliced to the selected
+ * range with KPIs recomputed. `source` keeps the full upload for baselines.
+ */
+function getViewPayload(payload) {
+  if (!isParsedMode(payload)) return payload;
+
+  const { start, end } = getSelectedRange(payload);
+  const isFull = start === 0 && end === payload.labels.length - 1;
+  if (isFull) return { ...payload, source: payload, range: { start, end } };
+
+  const series = sliceSeries(payload.series, start, end);
+  return {
+    ...payload,
+    labels: payload.labels.slice(start, end + 1),
+    series,
+    anomalies: (payload.anomalies || [])
+      .filter((a) => a.index >= start && a.index <= end)
+      .map((a) => ({ ...a, index: a.index - start })),
+    kpis: computeKPIsLikeServer(series, payload.metricKeys || {}),
+    source: payload,
+    range: { start, end },
+  };
+}
+
+function renderView() {
+  const payload = window.latestPayload;
+  if (!payload) return;
+
+  const view = getViewPayload(payload);
+  view.forecast = buildForecast(view);
+  view.calculated = evaluateCalculated(view);
+  window.latestView = view;
+  renderSheetLabel(view);
+  renderKPIs(view);
+  renderCharts(view);
+  renderAnomalies(view);
+  renderMetricList(view);
+  renderScenarios(view);
+}
+
+function renderSheetLabel(view) {
+  if (!sheetLabel) return;
+  let text =
+    `Sheet: ${view.sheetName} | Mode: ${view.mode}` +
+    (view.mode === "tidy" ? ` (by ${view.granularity}, date column "${view.dateColumn}")` : "");
+  if (view.labels?.length) text += ` | Range: ${view.labels[0]} – ${view.labels[view.labels.length - 1]}`;
+  sheetLabel.textContent = text;
+
+  const assumptions = view.fx?.assumptions || [];
+  if (fxNotice) {
+    fxNotice.textContent = assumptions.length ? `Currency conversion — ${assumptions.join(" ")}` : "";
+    fxNotice.classList.toggle("hidden", !assumptions.length);
+  }
+}
+
+// -------------------------
+// Forecast (forecast.js): projected periods after the selected range
+// -------------------------
+const FORECAST_STORAGE_KEY = "excel_dashboard_forecast";
+const FORECAST_MODEL_LABELS = { linear: "Linear trend", "moving-average": "Moving average", holt: "Holt smoothing" };
+
+function getForecastSettings() {
+  return {
+    model: forecastModelSelect?.value || "off",
+    horizon: Number(forecastHorizonSelect?.value) || 3,
+    confidence: Number(forecastConfidenceSelect?.value) || 80,
+  };
+}
+
+function saveForecastSettings() {
+  localStorage.setItem(FORECAST_STORAGE_KEY, JSON.stringify(getForecastSettings()));
+}
+
+function restoreForecastSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(FORECAST_STORAGE_KEY) || "{}");
+  } catch {
+    saved = {};
+  }
+  const restore = (select, value) => {
+    if (select && [...select.options].some((o) => o.value === String(value))) select.value = String(value);
+  };
+  restore(forecastModelSelect, saved.model);
+  restore(forecastHorizonSelect, saved.horizon);
+  restore(forecastConfidenceSelect, saved.confidence);
+}
+
+function sumForecast(fc) {
+  return fc ? fc.points.reduce((a, p) => a + p.value, 0) : null;
+}
+
+function ratioOrNull(a, b) {
+  return Number.isFinite(a) && Number.isFinite(b) && b !== 0 ? a / b : null;
+}
+
+// Totals over the projected periods -> ROAS / CAC / cost per message at the current trend
+function projectedKpis(series) {
+  const spent = sumForecast(series.spent);
+  const customers = sumForecast(series.customers);
+  const cacRow = series.cac ? sumForecast(series.cac) / series.cac.points.length : null;
+  return {
+    spent,
+    revenue: sumForecast(series.revenue),
+    messages: sumForecast(series.messages),
+    roas: ratioOrNull(sumForecast(series.revenue), spent),
+    cac: series.customers ? ratioOrNull(spent, customers) : cacRow,
+    costPerMessage: ratioOrNull(spent, sumForecast(series.messages)),
+  };
+}
+
+// Per-metric forecasts for the view, plus labels extended to cover the projection (null when off)
+function buildForecast(view) {
+  const settings = getForecastSettings();
+  if (settings.model === "off" || !isParsedMode(view) || typeof Forecast === "undefined") return null;
+
+  const project = (metric) => {
+    const key = metricKey(view, metric);
+    return key ? Forecast.forecastSeries(view.series[key], { ...settings, min: 0 }) : null;
+  };
+  const series = {};
+  ["spent", "revenue", "messages", "customers", "cac"].forEach((metric) => (series[metric] = project(metric)));
+  const made = Object.values(series).filter(Boolean);
+  if (!made.length) return null;
+
+  // Trailing blank periods in the sheet are filled first, then new labels are added
+  const end = Math.max(...made.map((fc) => fc.start + fc.points.length));
+  const labels = [...view.labels, ...Forecast.nextLabels(view.labels, Math.max(0, end - view.labels.length))];
+  return { ...settings, labels, series, kpis: projectedKpis(series) };
+}
+
+// Cost/message has no model of its own: spend forecast ÷ messages forecast, no band
+function forecastRatio(a, b) {
+  if (!a || !b || a.start !== b.start) return null;
+  return {
+    start: a.start,
+    points: a.points.map((p, i) => {
+      const value = ratioOrNull(p.value, b.points[i].value);
+      return { value, lower: null, upper: null };
+    }),
+  };
+}
 
-  const { labels, series } = payload;
+// Dashed projection + shaded band, both anchored on the last actual value
+function forecastDatasets(label, actual, fc, length, color, shade) {
+  if (!fc) return [];
+  const aligned = (pick) => {
+    const data = Array.from({ length }, () => null);
+    data[fc.start - 1] = actual[fc.start - 1] ?? null;
+    fc.points.forEach((p, i) => (data[fc.start + i] = pick(p)));
+    return data;
+  };
+  const common = { type: "line", tension: 0.35, pointRadius: 0, fill: false };
+  const line = {
+    ...common,
+    label: `${label} (forecast)`,
+    data: aligned((p) => p.value),
+    borderWidth: 2,
+    borderDash: [6, 4],
+    pointRadius: 2,
+    borderColor: color,
+  };
+  if (!shade) return [line];
+  return [
+    line,
+    { ...common, label: `${label} (upper)`, data: aligned((p) => p.upper), borderWidth: 0 },
+    { ...common, label: `${label} (lower)`, data: aligned((p) => p.lower), borderWidth: 0, backgroundColor: shade, fill: "-1" },
+  ];
+}
 
-  const keySpent =
-    getSeriesKey(series, "Total Ad Spent") ||
-    getSeriesKey(series, "Amount spent") ||
-    getSeriesKey(series, "Ad Spent");
+// Band edges are drawn for the shading only
+function isChartTooltipItem(item) {
+  return !/\((upper|lower)\)$/.test(item.dataset.label || "");
+}
 
-  const keyRevenue =
-    getSeriesKey(series, "Total Revenue") || getSeriesKey(series, "Revenue");
+function forecastKpiCard(forecast, view) {
+  const unit = view.mode === "tidy" ? view.granularity : "month";
+  const periods = `${forecast.horizon} ${unit}${forecast.horizon > 1 ? "s" : ""}`;
+  const { kpis } = forecast;
+  return {
+    title: `Projected ROAS · CAC (next ${periods})`,
+    value: `${formatROAS(kpis.roas)} · ${formatMoney(kpis.cac)}`,
+    sub: `${FORECAST_MODEL_LABELS[forecast.model]} · spend ${formatMoney(kpis.spent)}, revenue ${formatMoney(kpis.revenue)}`,
+  };
+}
 
-  const keyMessages =
-    getSeriesKey(series, "No. of Messages") || getSeriesKey(series, "Messages");
+// -------------------------
+// Charts + recommendations (your existing logic)
+// -------------------------
+function renderCharts(payload) {
+  destroyCharts();
+  if (!isParsedMode(payload)) {
+    renderCalculatedCharts(null);
+    return;
+  }
 
-  const keyCTR =
-    getSeriesKey(series, "CTR") ||
-    getSeriesKey(series, "Link CTR") ||
-    getSeriesKey(series, "CTR (Link)");
+  const { series } = payload;
+  const forecast = payload.forecast;
+  const labels = forecast ? forecast.labels : payload.labels;
 
-  const keyCPM =
-    getSeriesKey(series, "Cost Per Message") ||
-    getSeriesKey(series, "Cost/Message") ||
-    getSeriesKey(series, "Cost per message");
+  const keySpent = metricKey(payload, "spent", "Total Ad Spent", "Amount spent", "Ad Spent");
+  const keyRevenue = metricKey(payload, "revenue", "Total Revenue", "Revenue");
+  const keyMessages = metricKey(payload, "messages", "No. of Messages", "Messages");
 
   const spentData = keySpent ? series[keySpent] : [];
   const revenueData = keyRevenue ? series[keyRevenue] : [];
   const msgData = keyMessages ? series[keyMessages] : [];
-  const ctrData = keyCTR ? series[keyCTR] : [];
 
-  const cpmFromSheet = keyCPM ? series[keyCPM] : null;
   const computedCPM = computeCostPerMessageSeries(spentData, msgData);
 
   Chart.defaults.color = "rgba(226, 232, 240, 0.85)";
   Chart.defaults.borderColor = "rgba(255,255,255,0.10)";
+  Chart.defaults.locale = displayFormat().locale;
+
+  // Optional baseline overlay on the line charts
+  const baseline = compareGhostToggle?.checked ? getBaseline(payload) : null;
+  const ghosts = { spent: [], revenue: [], cpm: [] };
+  if (baseline) {
+    const baseSpent = baselineMetric(baseline, "spent");
+    const baseMsgs = baselineMetric(baseline, "messages");
+    ghosts.spent.push(ghostDataset("Ad Spent", baseSpent, labels.length, "rgba(96,165,250,0.55)"));
+    ghosts.revenue.push(ghostDataset("Revenue", baselineMetric(baseline, "revenue"), labels.length, "rgba(167,139,250,0.55)"));
+    ghosts.cpm.push(ghostDataset("Cost / Message", computeCostPerMessageSeries(baseSpent, baseMsgs), labels.length, "rgba(251,191,36,0.55)"));
+  }
+
+  // Forecast projection after the last actual value (same colors, dashed, with a shaded band)
+  const projections = { spent: [], revenue: [], messages: [], cpm: [] };
+  if (forecast) {
+    const fc = forecast.series;
+    const n = labels.length;
+    projections.spent = forecastDatasets("Ad Spent", spentData, fc.spent, n, "#60A5FA", "rgba(96,165,250,0.15)");
+    projections.revenue = forecastDatasets("Revenue", revenueData, fc.revenue, n, "#A78BFA", "rgba(167,139,250,0.15)");
+    projections.messages = forecastDatasets("Messages", msgData, fc.messages, n, "#34D399", "rgba(52,211,153,0.15)");
+    projections.cpm = forecastDatasets("Cost / Message", computedCPM, forecastRatio(fc.spent, fc.messages), n, "#FBBF24");
+  }
+  const lineOptions = {
+    responsive: true,
+    plugins: {
+      legend: { display: false },
+      tooltip: { filter: isChartTooltipItem, callbacks: { afterLabel: anomalyTooltip } },
+    },
+  };
 
   charts.spent = new Chart(document.getElementById("chartSpent"), {
     type: "line",
-    data: { labels, datasets: [{ label: "Ad Spent", data: spentData, tension: 0.35, borderWidth: 3, pointRadius: 3, borderColor: "#60A5FA", backgroundColor: "rgba(96,165,250,0.20)", fill: true }] },
-    options: { responsive: true, plugins: { legend: { display: false } } },
+    data: { labels, datasets: [markAnomalies(payload, keySpent, { label: "Ad Spent", data: spentData, tension: 0.35, borderWidth: 3, pointRadius: 3, borderColor: "#60A5FA", backgroundColor: "rgba(96,165,250,0.20)", fill: true }), ...ghosts.spent, ...projections.spent] },
+    options: lineOptions,
   });
 
   charts.revenue = new Chart(document.getElementById("chartRevenue"), {
     type: "line",
-    data: { labels, datasets: [{ label: "Revenue", data: revenueData, tension: 0.35, borderWidth: 3, pointRadius: 3, borderColor: "#A78BFA", backgroundColor: "rgba(167,139,250,0.20)", fill: true }] },
-    options: { responsive: true, plugins: { legend: { display: false } } },
+    data: { labels, datasets: [markAnomalies(payload, keyRevenue, { label: "Revenue", data: revenueData, tension: 0.35, borderWidth: 3, pointRadius: 3, borderColor: "#A78BFA", backgroundColor: "rgba(167,139,250,0.20)", fill: true }), ...ghosts.revenue, ...projections.revenue] },
+    options: lineOptions,
   });
 
   charts.messages = new Chart(document.getElementById("chartMessages"), {
     type: "bar",
-    data: { labels, datasets: [{ label: "Messages", data: msgData, borderWidth: 1, backgroundColor: "rgba(52,211,153,0.45)", borderColor: "rgba(52,211,153,0.95)" }] },
-    options: { responsive: true, plugins: { legend: { display: false } } },
+    data: { labels, datasets: [markAnomalies(payload, keyMessages, { label: "Messages", data: msgData, borderWidth: 1, backgroundColor: "rgba(52,211,153,0.45)", borderColor: "rgba(52,211,153,0.95)" }), ...projections.messages] },
+    options: lineOptions,
   });
 
   charts.cpm = new Chart(document.getElementById("chartCostPerMessage"), {
     type: "line",
-    data: { labels, datasets: [{ label: "Cost / Message", data: computedCPM, tension: 0.35, borderWidth: 3, pointRadius: 3, borderColor: "#FBBF24", backgroundColor: "rgba(251,191,36,0.18)", fill: true }] },
-    options: { responsive: true, plugins: { legend: { display: false } } },
+    data: { labels, datasets: [{ label: "Cost / Message", data: computedCPM, tension: 0.35, borderWidth: 3, pointRadius: 3, borderColor: "#FBBF24", backgroundColor: "rgba(251,191,36,0.18)", fill: true }, ...ghosts.cpm, ...projections.cpm] },
+    options: lineOptions,
   });
 
   const totalSpent = payload.kpis?.totals?.spent ?? 0;
@@ -491,115 +1075,520 @@ function renderCharts(payload) {
     options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { position: "top" } } },
   });
 
-  renderRecommendations(payload, { ctrData, cpmFromSheet, computedCPM });
+  renderCalculatedCharts(payload, labels, lineOptions);
+  renderRecommendations(payload);
 }
 
-function renderRecommendations(payload, { ctrData = [], cpmFromSheet = null, computedCPM = [] } = {}) {
-  if (!recommendationBox) return;
+// -------------------------
+// Recommendation rule packs (/api/rules)
+// -------------------------
+const RULE_PACK_STORAGE_KEY = "excel_dashboard_rule_pack";
+const rulesState = { pack: null };
 
-  const roas = payload.kpis?.kpis?.roas;
-  const cac = computeCACLikeExcel(payload);
-  const costPerMessage = payload.kpis?.kpis?.costPerMessage;
+async function loadRulePacks() {
+  if (!rulePackSelect) return;
+  try {
+    const res = await fetch("/api/rules");
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not load rule packs.");
+
+    const wanted = localStorage.getItem(RULE_PACK_STORAGE_KEY) || "default";
+    rulePackSelect.innerHTML = "";
+    (data.packs || []).forEach((p) => {
+      const opt = document.createElement("option");
+      opt.value = p.name;
+      opt.textContent = `${p.name}${p.builtIn ? " (built-in)" : ""} · ${p.rules} rules`;
+      rulePackSelect.appendChild(opt);
+    });
+    rulePackSelect.value = (data.packs || []).some((p) => p.name === wanted) ? wanted : "default";
+    await selectRulePack(rulePackSelect.value);
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
 
-  const targetCAC = Number(targetCacInput?.value);
+async function selectRulePack(name) {
+  const res = await fetch(`/api/rules/${encodeURIComponent(name)}`);
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Could not load rule pack.");
 
-  const ctrNums = (ctrData || []).map(Number).filter(Number.isFinite);
-  const avgCTR = ctrNums.length ? ctrNums.reduce((a, b) => a + b, 0) / ctrNums.length : null;
+  const { builtIn, ...pack } = data;
+  rulesState.pack = pack;
+  localStorage.setItem(RULE_PACK_STORAGE_KEY, name);
+  if (rulesEditor) rulesEditor.value = JSON.stringify(pack, null, 2);
+  if (rulePackNameInput) rulePackNameInput.value = builtIn ? `${name}-custom` : name;
 
-  const recs = [];
-  const addRec = (level, title, why, actions) => {
-    const icon = level === "high" ? "🔴" : level === "med" ? "🟡" : "🟢";
-    recs.push({ icon, title, why, actions });
-  };
+  if (window.latestPayload) renderRecommendations(getViewPayload(window.latestPayload));
+}
 
-  if (Number.isFinite(roas) && roas < 3) {
-    addRec("high", "Campaign not profitable", `ROAS is ${roas.toFixed(2)} (target 3.00+)`, [
-      "Test 3 new hooks (UGC / problem-solution / proof)",
-      "Tighten targeting (exclude low-quality audiences)",
-      "Improve offer + landing page conversion",
-    ]);
-  }
-
-  if (Number.isFinite(avgCTR) && avgCTR < 1) {
-    addRec("med", "Low CTR (weak hook)", `Average CTR is ${avgCTR.toFixed(2)}% (target 1%+)`, [
-      "Rewrite first 2 lines (strong hook + pain)",
-      "Try new thumbnails / opening frame",
-      "Use benefit-led headline + clear CTA",
-    ]);
-  }
-
-  if (Number.isFinite(cac) && Number.isFinite(targetCAC) && cac > targetCAC) {
-    addRec("high", "CAC above target", `CAC is ₱${cac.toLocaleString("en-PH", { maximumFractionDigits: 2 })} vs target ₱${targetCAC.toLocaleString("en-PH")}`, [
-      "Refresh creatives (new angles every 7–10 days)",
-      "Improve conversion rate (offer + follow-up speed)",
-      "Retarget warm users (video viewers, engagers, past messages)",
-    ]);
-  }
-
-  let cpmArr = null;
-  if (Array.isArray(cpmFromSheet) && cpmFromSheet.length >= 2) cpmArr = cpmFromSheet.map(Number);
-  else if (Array.isArray(computedCPM) && computedCPM.length >= 2) cpmArr = computedCPM.map(Number);
-
-  if (cpmArr) {
-    const nums = cpmArr.filter((x) => Number.isFinite(x));
-    if (nums.length >= 2) {
-      const last = nums[nums.length - 1];
-      const prev = nums[nums.length - 2];
-      if (Number.isFinite(last) && Number.isFinite(prev) && last > prev * 1.2) {
-        addRec("med", "Cost per message rising", `Last ₱${last.toFixed(2)} vs prev ₱${prev.toFixed(2)} (+20%+)`, [
-          "Refresh creatives (new hook + new first frame)",
-          "Check audience fatigue (frequency/exclusions)",
-          "Improve response speed (slow replies reduce conversion)",
-        ]);
-      }
-    }
+async function saveRulePack() {
+  const name = (rulePackNameInput?.value || "").trim();
+  if (!name) return setStatus("Give the rule pack a name first.", true);
+
+  try {
+    const pack = JSON.parse(rulesEditor?.value || "{}");
+    const res = await fetch(`/api/rules/${encodeURIComponent(name)}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(pack),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error([data.error, ...(data.details || [])].join(" "));
+
+    localStorage.setItem(RULE_PACK_STORAGE_KEY, name);
+    await loadRulePacks();
+    setStatus(`Rule pack "${name}" saved ✅`);
+  } catch (err) {
+    console.error(err);
+    setStatus(err instanceof SyntaxError ? `Rule pack is not valid JSON: ${err.message}` : err.message, true);
   }
+}
+
+// -------------------------
+// Recommendation targets (saved on the client profile)
+// -------------------------
+const DEFAULT_TARGETS = { cac: 2000, roas: 3, ctr: 1, cpmRise: 20 };
+
+function readTargetInput(input, fallback) {
+  const raw = String(input?.value ?? "").trim();
+  if (!raw) return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function getTargets() {
+  return {
+    cac: readTargetInput(targetCacInput, null),
+    roas: readTargetInput(targetRoasInput, DEFAULT_TARGETS.roas),
+    ctr: readTargetInput(targetCtrInput, DEFAULT_TARGETS.ctr),
+    cpmRise: readTargetInput(targetCpmRiseInput, DEFAULT_TARGETS.cpmRise),
+  };
+}
+
+function saveTargets() {
+  updateClientProfile({ targets: getTargets() });
+}
+
+function restoreTargets() {
+  const t = { ...DEFAULT_TARGETS, ...(clientState.profile?.targets || {}) };
+  if (targetCacInput) targetCacInput.value = t.cac ?? "";
+  if (targetRoasInput) targetRoasInput.value = t.roas;
+  if (targetCtrInput) targetCtrInput.value = t.ctr;
+  if (targetCpmRiseInput) targetCpmRiseInput.value = t.cpmRise;
+}
 
-  if (recs.length === 0) {
-    addRec("low", "Healthy signals", "No major red flags detected.", [
-      "Keep testing creatives weekly",
-      "Monitor CAC + ROAS trends monthly",
-    ]);
+const SEVERITY_STYLES = {
+  high: { icon: "🔴", label: "High priority", card: "border-rose-400/25 bg-rose-500/10" },
+  med: { icon: "🟡", label: "Medium priority", card: "border-amber-400/25 bg-amber-500/10" },
+  low: { icon: "🟢", label: "Low priority", card: "border-emerald-400/25 bg-emerald-500/10" },
+};
+
+function renderRecommendationCard(rec) {
+  const style = SEVERITY_STYLES[rec.level] || SEVERITY_STYLES.low;
+  return `
+    <div class="rounded-xl border ${style.card} p-3">
+      <div class="flex items-center justify-between gap-2">
+        <div class="font-semibold">${style.icon} ${escapeHtml(rec.title)}</div>
+        <span class="text-[10px] uppercase tracking-wide text-slate-400">${style.label}</span>
+      </div>
+      <div class="mt-1 text-xs text-slate-300">${escapeHtml(rec.why)}</div>
+      <ul class="mt-2 list-disc pl-5 text-xs text-slate-200 space-y-0.5">
+        ${rec.actions.map((a) => `<li>${escapeHtml(a)}</li>`).join("")}
+      </ul>
+    </div>
+  `;
+}
+
+// Evaluate the active rule pack; null until the pack has loaded
+function computeRecommendations(payload) {
+  if (!window.RuleEngine || !rulesState.pack) return null;
+
+  return RuleEngine.evaluatePack(rulesState.pack, {
+    labels: payload.labels,
+    series: payload.series,
+    metricKeys: payload.metricKeys || {},
+    kpis: { ...payload.kpis, kpis: { ...payload.kpis?.kpis, cac: computeCACLikeExcel(payload) } },
+    targets: getTargets(),
+    formatMoney,
+    locale: displayFormat().locale,
+  });
+}
+
+function renderRecommendations(payload) {
+  if (!recommendationBox) return;
+
+  const roas = payload.kpis?.kpis?.roas;
+  const cac = computeCACLikeExcel(payload);
+  const costPerMessage = payload.kpis?.kpis?.costPerMessage;
+
+  const targets = getTargets();
+  const targetCAC = targets.cac;
+
+  const recs = computeRecommendations(payload);
+  if (!recs) {
+    recommendationBox.innerHTML = `<p class="text-slate-400">Loading recommendation rules...</p>`;
+    return;
   }
 
+  // Targets are repeated as chips so the active thresholds are visible next to the advice
   recommendationBox.innerHTML = `
     <div class="flex flex-wrap gap-2">
       <span class="px-2 py-1 rounded-lg bg-white/5 border border-white/10 text-xs">
-        ROAS: <b>${Number.isFinite(roas) ? roas.toFixed(2) : "—"}</b>
+        ROAS: <b>${formatROAS(roas)}</b>
       </span>
       <span class="px-2 py-1 rounded-lg bg-white/5 border border-white/10 text-xs">
-        CAC: <b>${Number.isFinite(cac) ? "₱" + cac.toLocaleString("en-PH", { maximumFractionDigits: 2 }) : "—"}</b>
+        CAC: <b>${formatMoney(cac)}</b>
       </span>
       <span class="px-2 py-1 rounded-lg bg-white/5 border border-white/10 text-xs">
-        Cost/Msg: <b>${Number.isFinite(costPerMessage) ? "₱" + Number(costPerMessage).toFixed(2) : "—"}</b>
+        Cost/Msg: <b>${formatMoney(costPerMessage)}</b>
       </span>
+    </div>
+    <div class="flex flex-wrap gap-2">
       ${
         Number.isFinite(targetCAC)
           ? `<span class="px-2 py-1 rounded-lg bg-indigo-500/10 border border-indigo-400/20 text-xs">
-               Target CAC: <b>₱${targetCAC.toLocaleString("en-PH")}</b>
+               Target CAC: <b>${formatMoney(targetCAC)}</b>
              </span>`
           : ""
       }
+      <span class="px-2 py-1 rounded-lg bg-indigo-500/10 border border-indigo-400/20 text-xs">
+        Target ROAS: <b>${formatROAS(targets.roas)}+</b>
+      </span>
+      <span class="px-2 py-1 rounded-lg bg-indigo-500/10 border border-indigo-400/20 text-xs">
+        Target CTR: <b>${targets.ctr}%+</b>
+      </span>
+      <span class="px-2 py-1 rounded-lg bg-indigo-500/10 border border-indigo-400/20 text-xs">
+        Cost/Msg alert: <b>+${targets.cpmRise}%</b>
+      </span>
+    </div>
+    <div class="overflow-auto max-h-[240px] space-y-2 pr-1">
+      ${recs.map(renderRecommendationCard).join("")}
     </div>
   `;
 }
 
 // -------------------------
-// Table preview (same as yours)
+// Anomalies (payload.anomalies, computed by the server per series)
 // -------------------------
-function renderTablePreview(payload) {
-  tableBody.innerHTML = "";
-  const rows = payload.tablePreview?.rows || [];
-  if (!rows.length) return;
+const ANOMALY_COLOR = "#F43F5E";
 
-  rows.forEach((r, idx) => {
-    const tr = document.createElement("tr");
-    tr.className = idx === 0 ? "bg-white/10 text-white font-semibold" : "hover:bg-white/5 transition";
+function anomaliesFor(payload, key) {
+  const byIndex = [];
+  (payload.anomalies || []).forEach((a) => a.series === key && (byIndex[a.index] = a));
+  return byIndex;
+}
 
-    (r || []).slice(0, 25).forEach((cell, colIdx) => {
-      const td = document.createElement("td");
+// Bigger red points (or red bars) on flagged periods; the anomaly rides along for the tooltip
+function markAnomalies(payload, key, dataset) {
+  const flagged = key ? anomaliesFor(payload, key) : [];
+  if (!flagged.some(Boolean)) return dataset;
+
+  const marked = { ...dataset, anomalies: flagged };
+  if (dataset.pointRadius !== undefined) {
+    marked.pointRadius = dataset.data.map((_, i) => (flagged[i] ? 7 : dataset.pointRadius));
+    marked.pointHoverRadius = dataset.data.map((_, i) => (flagged[i] ? 9 : dataset.pointRadius + 2));
+    marked.pointBackgroundColor = dataset.data.map((_, i) => (flagged[i] ? ANOMALY_COLOR : dataset.borderColor));
+    marked.pointBorderColor = marked.pointBackgroundColor;
+  } else {
+    marked.backgroundColor = dataset.data.map((_, i) => (flagged[i] ? "rgba(244,63,94,0.65)" : dataset.backgroundColor));
+    marked.borderColor = dataset.data.map((_, i) => (flagged[i] ? ANOMALY_COLOR : dataset.borderColor));
+  }
+  return marked;
+}
+
+function anomalyTooltip(item) {
+  const anomaly = item.dataset.anomalies?.[item.dataIndex];
+  return anomaly ? `⚠ ${anomaly.direction === "spike" ? "Spike" : "Drop"}: ${anomaly.explanation}` : "";
+}
+
+function renderAnomalies(view) {
+  if (!anomalyPanel || !anomalyList) return;
+  const anomalies = isParsedMode(view) ? view.anomalies || [] : [];
+  anomalyList.innerHTML = "";
+  anomalyPanel.classList.toggle("hidden", !anomalies.length);
+  if (!anomalies.length) return;
+
+  const seasonal = anomalies.some((a) => a.basis === "seasonal");
+  if (anomalySummary) {
+    anomalySummary.textContent =
+      `${anomalies.length} flagged · robust z-score (median absolute deviation)` +
+      (seasonal ? " · seasonal comparison on 12+ months" : "");
+  }
+
+  anomalies.forEach((a) => {
+    const li = document.createElement("li");
+    li.className = "flex gap-2";
+    li.innerHTML = `
+      <span class="${a.direction === "spike" ? "text-rose-300" : "text-sky-300"}">${a.direction === "spike" ? "▲" : "▼"}</span>
+      <span><span class="font-medium text-white">${escapeHtml(a.label)} · ${escapeHtml(a.series)}</span>
+      <span class="text-slate-300">— ${escapeHtml(a.explanation)}</span></span>`;
+    anomalyList.appendChild(li);
+  });
+}
+
+// -------------------------
+// Calculated metrics (formulas.js), saved on the client profile
+// -------------------------
+const CALCULATED_COLOR = "#F472B6";
+
+function getMetricDefinitions() {
+  return clientState.profile.metrics || [];
+}
+
+// Re-evaluated in the browser so range slices and formula edits show without re-uploading
+function evaluateCalculated(view) {
+  const definitions = getMetricDefinitions();
+  if (!definitions.length || !isParsedMode(view) || typeof Formulas === "undefined") return [];
+  return Formulas.evaluateMetrics(definitions, view);
+}
+
+function calculatedShownAs(view, display) {
+  return (view?.calculated || []).filter((m) => !m.error && (m.display === display || m.display === "both"));
+}
+
+function formatCalculated(metric, value) {
+  return Formulas.formatValue(value, metric.format, { money: formatMoney, number: formatNumber, ratio: formatROAS });
+}
+
+function renderCalculatedCharts(view, labels, options) {
+  if (!calculatedCharts) return;
+  const shown = calculatedShownAs(view, "chart");
+  calculatedCharts.innerHTML = "";
+  calculatedCharts.classList.toggle("hidden", !shown.length);
+
+  shown.forEach((m) => {
+    const card = document.createElement("div");
+    card.className = "rounded-2xl border border-white/10 bg-white/5 p-5";
+    card.innerHTML = `
+      <div class="mb-3 flex items-center justify-between gap-3">
+        <h4 class="font-semibold">${escapeHtml(m.name)}</h4>
+        <span class="truncate font-mono text-xs text-slate-400">${escapeHtml(m.formula)}</span>
+      </div>
+      <canvas height="130"></canvas>`;
+    calculatedCharts.appendChild(card);
+
+    charts[`calculated:${m.id}`] = new Chart(card.querySelector("canvas"), {
+      type: "line",
+      data: { labels, datasets: [{ label: m.name, data: Formulas.chartValues(m), tension: 0.35, borderWidth: 3, pointRadius: 3, borderColor: CALCULATED_COLOR, backgroundColor: "rgba(244,114,182,0.18)", fill: true }] },
+      options,
+    });
+  });
+}
+
+const METRIC_DISPLAY_LABELS = { kpi: "KPI card", chart: "Chart", both: "KPI card + chart" };
+
+function renderMetricList(view) {
+  if (!metricList) return;
+  const definitions = getMetricDefinitions();
+  const results = view?.calculated || [];
+  metricList.innerHTML = "";
+
+  if (!definitions.length) {
+    metricList.innerHTML = `<li class="text-xs text-slate-400">No calculated metrics yet — e.g. Profit = revenue - spent, AOV = revenue / customers.</li>`;
+    return;
+  }
+
+  definitions.forEach((def) => {
+    const result = results.find((m) => m.id === def.id);
+    const value = !result ? "upload a file to evaluate" : result.error ? `⚠ ${result.error}` : formatCalculated(result, result.value);
+
+    const li = document.createElement("li");
+    li.className = "flex items-center justify-between gap-3 rounded-lg bg-white/5 px-3 py-2";
+    li.innerHTML = `
+      <div class="min-w-0">
+        <span class="font-medium text-white">${escapeHtml(def.name)}</span>
+        <span class="ml-2 font-mono text-xs text-slate-400">= ${escapeHtml(def.formula)}</span>
+        <div class="text-[11px] text-slate-500">${escapeHtml(METRIC_DISPLAY_LABELS[def.display] || def.display)} · ${escapeHtml(def.format)}</div>
+      </div>
+      <div class="flex items-center gap-3">
+        <span class="text-xs ${result?.error ? "text-rose-300" : "text-slate-200"}">${escapeHtml(value)}</span>
+        <button data-remove="${escapeHtml(def.id)}" class="text-slate-400 hover:text-rose-300" title="Remove metric">✕</button>
+      </div>`;
+    metricList.appendChild(li);
+  });
+}
+
+function addCalculatedMetric() {
+  const metric = {
+    id: Date.now().toString(36),
+    name: (metricNameInput?.value || "").trim(),
+    formula: (metricFormulaInput?.value || "").trim(),
+    format: metricFormatSelect?.value || "number",
+    display: metricDisplaySelect?.value || "kpi",
+  };
+
+  const metrics = [...getMetricDefinitions(), metric];
+  const errors = Formulas.validateMetrics(metrics);
+  if (errors.length) {
+    // "metrics[2].formula: ..." -> "formula: ..."
+    return setStatus(`Metric not added — ${errors.map((e) => e.replace(/^metrics(\[\d+\])?\.?/, "")).join("; ")}`, true);
+  }
+
+  updateClientProfile({ metrics });
+  if (metricNameInput) metricNameInput.value = "";
+  if (metricFormulaInput) metricFormulaInput.value = "";
+  if (window.latestPayload) renderView();
+  else renderMetricList(null);
+  setStatus(`Metric "${metric.name}" added ✅`);
+}
+
+function removeCalculatedMetric(id) {
+  updateClientProfile({ metrics: getMetricDefinitions().filter((m) => m.id !== id) });
+  if (window.latestPayload) renderView();
+  else renderMetricList(null);
+}
+
+// -------------------------
+// Budget scenarios (planner.js), saved on the client profile
+// -------------------------
+function getScenarios() {
+  return clientState.profile.scenarios || [];
+}
+
+function scenarioTableOf(view) {
+  return Planner.scenarioTable(view, getScenarios(), { money: formatMoney, number: formatNumber, ratio: formatROAS });
+}
+
+// Same table the server adds to its PDF (scenarioReportTable in server.js)
+function scenarioReportTable(view) {
+  if (!getScenarios().length || typeof Planner === "undefined") return null;
+  const { head, rows } = scenarioTableOf(view);
+  return { title: "Budget scenarios", head, rows };
+}
+
+function describeScenario(s) {
+  const plan =
+    s.mode === "budget" ? `${formatMoney(s.value)}/month` : `${s.value > 0 ? "+" : ""}${formatNumber(s.value)}% per month`;
+  return `${plan} for ${s.months} month${s.months > 1 ? "s" : ""}`;
+}
+
+function renderScenarios(view) {
+  if (!scenarioHead || !scenarioBody || typeof Planner === "undefined") return;
+  const scenarios = getScenarios();
+  scenarioHead.innerHTML = "";
+  scenarioBody.innerHTML = "";
+  if (scenarioNotes) scenarioNotes.innerHTML = "";
+
+  if (!isParsedMode(view)) {
+    const hint = scenarios.length
+      ? `${scenarios.length} saved scenario${scenarios.length > 1 ? "s" : ""} — upload a file to estimate them.`
+      : "Upload a file, then add a budget or % change to estimate messages, customers and revenue.";
+    scenarioBody.innerHTML = `<tr><td class="px-3 py-2 text-xs text-slate-400">${escapeHtml(hint)}</td></tr>`;
+    return;
+  }
+
+  const { head, rows, results } = scenarioTableOf(view);
+  const cellClass = "px-3 py-2 text-xs border border-white/10 whitespace-nowrap";
+
+  const headRow = document.createElement("tr");
+  headRow.className = "bg-white/10 text-white font-semibold";
+  head.forEach((title, i) => {
+    const th = document.createElement("th");
+    th.className = `${cellClass} text-left`;
+    const scenario = scenarios[i - 2];
+    if (!scenario) {
+      th.textContent = title;
+    } else {
+      th.innerHTML = `
+        <div class="flex items-center justify-between gap-2">
+          <span>${escapeHtml(title)}</span>
+          <button data-remove="${escapeHtml(scenario.id)}" class="text-slate-400 hover:text-rose-300" title="Remove scenario">✕</button>
+        </div>
+        <div class="text-[11px] font-normal text-slate-400">${escapeHtml(describeScenario(scenario))}</div>`;
+    }
+    headRow.appendChild(th);
+  });
+  scenarioHead.appendChild(headRow);
+
+  rows.forEach((cells) => {
+    const tr = document.createElement("tr");
+    tr.className = "hover:bg-white/5 transition";
+    cells.forEach((cell, i) => {
+      const td = document.createElement("td");
+      td.className = `${cellClass} ${i === 0 ? "font-medium text-white bg-white/5" : "text-right text-slate-200"}`;
+      td.textContent = cell;
+      tr.appendChild(td);
+    });
+    scenarioBody.appendChild(tr);
+  });
+
+  results
+    .filter((r) => r.notes.length)
+    .forEach((r) => {
+      const li = document.createElement("li");
+      li.textContent = `${r.scenario.name}: ${r.notes.join(" ")}`;
+      scenarioNotes?.appendChild(li);
+    });
+}
+
+function addScenario() {
+  const mode = scenarioModeSelect?.value || "budget";
+  const scenario = {
+    id: Date.now().toString(36),
+    name: (scenarioNameInput?.value || "").trim() || `Scenario ${getScenarios().length + 1}`,
+    mode,
+    value: scenarioValueInput?.value === "" ? NaN : Number(scenarioValueInput?.value),
+    months: Number(scenarioMonthsSelect?.value) || 1,
+    curve: scenarioCurveToggle?.checked ? "diminishing" : "linear",
+  };
+
+  const scenarios = [...getScenarios(), scenario];
+  const errors = Planner.validateScenarios(scenarios);
+  if (errors.length) {
+    // "scenarios[3].value: ..." -> "value: ..."
+    return setStatus(`Scenario not added — ${errors.map((e) => e.replace(/^scenarios(\[\d+\])?\.?/, "")).join("; ")}`, true);
+  }
+
+  updateClientProfile({ scenarios });
+  if (scenarioNameInput) scenarioNameInput.value = "";
+  if (scenarioValueInput) scenarioValueInput.value = "";
+  renderScenarios(window.latestView);
+  setStatus(`Scenario "${scenario.name}" added ✅`);
+}
+
+function removeScenario(id) {
+  updateClientProfile({ scenarios: getScenarios().filter((s) => s.id !== id) });
+  renderScenarios(window.latestView);
+}
+
+function updateScenarioValueLabel() {
+  const change = scenarioModeSelect?.value === "change";
+  if (scenarioValueLabel) scenarioValueLabel.textContent = change ? "% change / month" : "Budget / month";
+  if (scenarioValueInput) scenarioValueInput.placeholder = change ? "e.g. 10 or -5" : "e.g. 50000";
+}
+
+// -------------------------
+// Table preview (same as yours)
+// -------------------------
+function renderTablePreview(payload) {
+  tableBody.innerHTML = "";
+  const rows = payload.tablePreview?.rows || [];
+  if (!rows.length) return;
+
+  const headerIdx = payload.diagnostics?.headerRow?.r ?? 0;
+  const marks = diagnosticCellMarks(diagnosticWarnings(payload));
+
+  rows.forEach((r, idx) => {
+    const tr = document.createElement("tr");
+    tr.className = idx === headerIdx ? "bg-white/10 text-white font-semibold" : "hover:bg-white/5 transition";
+    const rowMark = marks.get(`${idx}:*`);
+    if (rowMark) {
+      tr.className += ` ${MARK_STYLES[rowMark.level]}`;
+      tr.title = rowMark.notes.join("\n");
+    }
+
+    // Array.from: error cells leave holes in the row that forEach would skip
+    Array.from(r || []).slice(0, 25).forEach((cell, colIdx) => {
+      const td = document.createElement("td");
       td.className = "px-3 py-2 text-xs text-slate-200 border border-white/10 whitespace-nowrap";
       if (colIdx === 0) td.className += " font-medium text-white bg-white/5";
+      td.dataset.cell = `${idx}:${colIdx}`;
+      const mark = marks.get(`${idx}:${colIdx}`);
+      if (mark) {
+        td.className += ` ${MARK_STYLES[mark.level]}`;
+        td.title = mark.notes.join("\n");
+      }
 
       if (isIsoDateString(cell) || cell instanceof Date) {
         td.textContent = formatMonthYear(cell) ?? "";
@@ -623,32 +1612,920 @@ function renderTablePreview(payload) {
   });
 }
 
+// -------------------------
+// Data quality warnings (payload.diagnostics from /api/upload)
+// -------------------------
+const MARK_STYLES = {
+  error: "bg-rose-500/20 ring-1 ring-inset ring-rose-400/70",
+  warn: "bg-amber-500/20 ring-1 ring-inset ring-amber-400/70",
+  skipped: "opacity-50 line-through",
+  info: "",
+};
+const WARNING_ICONS = { error: "⛔", warn: "⚠️", skipped: "⤼", info: "ℹ️" };
+
+function cellList(cells, max = 6) {
+  const names = cells.slice(0, max).map((c) => c.address);
+  return cells.length > max ? `${names.join(", ")} …` : names.join(", ");
+}
+
+function groupBy(list, keyOf) {
+  const groups = new Map();
+  list.forEach((item) => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return [...groups.values()];
+}
+
+// [{ level, text, cells: [{ r, c }] }] — r/c index tablePreview rows; c "*" marks a whole row
+function diagnosticWarnings(payload) {
+  const diag = payload?.diagnostics;
+  if (!diag) return [];
+  const warnings = [];
+  const more = (key, shown) => (diag.counts?.[key] > shown ? ` (+${diag.counts[key] - shown} not shown)` : "");
+
+  groupBy(diag.formulaErrors || [], (e) => `${e.error}|${e.metric}`).forEach((group) => {
+    const { error, metric } = group[0];
+    const formula = group.length === 1 && group[0].formula ? ` (${group[0].formula})` : "";
+    warnings.push({
+      level: "error",
+      text: `${error} at ${cellList(group)}${formula}${metric ? ` in ${metric}` : ""} — read as blank`,
+      cells: group,
+    });
+  });
+
+  groupBy(diag.nonNumericCells || [], (c) => `${c.metric}|${c.reason}`).forEach((group) => {
+    const { metric, reason } = group[0];
+    const values = [...new Set(group.map((c) => `"${c.value}"`))].slice(0, 3).join(", ");
+    warnings.push({
+      level: "warn",
+      text: `${metric}: ${group.length} cell${group.length > 1 ? "s" : ""} read as blank (${reason}: ${values}) — ${cellList(group)}`,
+      cells: group,
+    });
+  });
+
+  groupBy(diag.skippedRows || [], (row) => row.reason).forEach((group) => {
+    const rows = group.map((row) => (row.name ? `${row.rowNumber} "${row.name}"` : row.rowNumber));
+    warnings.push({
+      level: "skipped",
+      text: `Skipped row${group.length > 1 ? "s" : ""} ${rows.slice(0, 6).join(", ")}${rows.length > 6 ? " …" : ""} — ${group[0].reason}`,
+      cells: group.map((row) => ({ ...row, c: "*" })),
+    });
+  });
+
+  (diag.duplicateMetrics || []).forEach((dup) => {
+    warnings.push({
+      level: "warn",
+      text: `"${dup.name}" appears ${dup.cells.length} times (${cellList(dup.cells)}) — using ${dup.used}`,
+      cells: dup.cells,
+    });
+  });
+
+  // Overview sheets have one header cell per period, so the month itself can be highlighted
+  const periodCell = (p) =>
+    payload.mode === "overview-style" && diag.headerRow ? [{ r: diag.headerRow.r, c: p.index + 1 }] : [];
+  (diag.partialPeriods || []).forEach((p) => {
+    warnings.push({ level: "warn", text: `${p.label}: partial data (${p.reason})`, cells: periodCell(p) });
+  });
+
+  if (diag.cacZeroPeriods) {
+    const { metric, periods } = diag.cacZeroPeriods;
+    warnings.push({
+      level: "info",
+      text: `${metric} average leaves out zero months: ${periods.join(", ")}`,
+      cells: [],
+    });
+  }
+
+  const hidden = ["formulaErrors", "nonNumericCells", "skippedRows"]
+    .map((key) => more(key, (diag[key] || []).length))
+    .filter(Boolean);
+  if (hidden.length) warnings.push({ level: "info", text: `Some cells not listed${hidden.join("")}`, cells: [] });
+  return warnings;
+}
+
+// "r:c" -> { level, notes } (the most severe warning wins the styling)
+function diagnosticCellMarks(warnings) {
+  const rank = ["error", "warn", "skipped", "info"];
+  const marks = new Map();
+  warnings.forEach((w) => {
+    w.cells.forEach(({ r, c }) => {
+      const key = `${r}:${c}`;
+      const mark = marks.get(key) || { level: w.level, notes: [] };
+      if (rank.indexOf(w.level) < rank.indexOf(mark.level)) mark.level = w.level;
+      mark.notes.push(w.text);
+      marks.set(key, mark);
+    });
+  });
+  return marks;
+}
+
+function renderDiagnostics(payload) {
+  if (!diagnosticsPanel || !diagnosticsList) return;
+  const diag = payload?.diagnostics;
+  const warnings = diagnosticWarnings(payload);
+
+  diagnosticsList.innerHTML = "";
+  diagnosticsPanel.classList.toggle("hidden", !diag);
+  if (!diag) return;
+
+  const issues = warnings.filter((w) => w.level !== "info").length;
+  const header = diag.headerRow ? `Header row ${diag.headerRow.rowNumber} (${diag.headerRow.range})` : "";
+  if (diagnosticsSummary) {
+    diagnosticsSummary.textContent = [header, issues ? `${issues} warning${issues > 1 ? "s" : ""}` : "no issues ✅"]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  warnings.forEach((w) => {
+    const li = document.createElement("li");
+    li.className = "flex gap-2";
+    li.textContent = `${WARNING_ICONS[w.level]} ${w.text}`;
+
+    // Jump to the first highlighted cell that made it into the preview
+    const target = w.cells.find(({ r, c }) => tableBody.querySelector(`[data-cell="${r}:${c === "*" ? 0 : c}"]`));
+    if (target) {
+      li.className += " cursor-pointer hover:text-white";
+      li.addEventListener("click", () => {
+        tableBody
+          .querySelector(`[data-cell="${target.r}:${target.c === "*" ? 0 : target.c}"]`)
+          ?.scrollIntoView({ block: "center", inline: "center", behavior: "smooth" });
+      });
+    }
+    diagnosticsList.appendChild(li);
+  });
+}
+
+// -------------------------
+// Metric mapping wizard
+// -------------------------
+const METRIC_LABELS = {
+  spent: "Ad Spent",
+  messages: "Messages",
+  revenue: "Revenue",
+  customers: "Customers",
+  cac: "CAC",
+  ctr: "CTR",
+};
+const CORE_METRICS = ["spent", "messages", "revenue"];
+
+function loadSavedMapping() {
+  return clientState.profile?.mappings || {};
+}
+
+function saveMapping(mapping) {
+  updateClientProfile({ mappings: mapping });
+}
+
+function renderMappingPanel(payload, { force = false } = {}) {
+  if (!mappingPanel || !mappingFields) return;
+
+  const rows = Object.keys(payload?.series || {});
+  editMappingBtn?.classList.toggle("hidden", !rows.length);
+
+  // Only pop the wizard on its own when a core metric is missing; the rest are optional
+  const needsMapping =
+    (payload?.unresolvedMetrics || []).some((m) => CORE_METRICS.includes(m)) &&
+    (payload?.candidateRows || []).length > 0;
+  if (!rows.length || (!force && !needsMapping)) {
+    mappingPanel.classList.add("hidden");
+    return;
+  }
+
+  const saved = loadSavedMapping();
+  const unresolved = new Set(payload.unresolvedMetrics || []);
+  mappingFields.innerHTML = "";
+
+  Object.entries(METRIC_LABELS).forEach(([metric, label]) => {
+    const wrap = document.createElement("label");
+    wrap.className = "flex flex-col gap-1 text-xs text-slate-400";
+    wrap.textContent = unresolved.has(metric) ? `${label} (not found)` : label;
+
+    const select = document.createElement("select");
+    select.dataset.metric = metric;
+    select.className =
+      "rounded-lg bg-slate-900 border border-white/10 px-2 py-1 text-sm text-white focus:outline-none focus:ring-1 focus:ring-indigo-500";
+
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = "— none —";
+    select.appendChild(none);
+
+    rows.forEach((row) => {
+      const opt = document.createElement("option");
+      opt.value = row;
+      opt.textContent = row;
+      select.appendChild(opt);
+    });
+
+    select.value = saved[metric] && rows.includes(saved[metric]) ? saved[metric] : payload.metricKeys?.[metric] || "";
+    wrap.appendChild(select);
+    mappingFields.appendChild(wrap);
+  });
+
+  renderCurrencyTagFields(payload, rows);
+  mappingPanel.classList.remove("hidden");
+}
+
+const TAG_CURRENCIES = ["PHP", "USD", "EUR", "GBP", "AUD", "SGD", "JPY", "INR"];
+
+// One select per row: "auto" keeps whatever the server detected, "none" marks a non-money row
+function renderCurrencyTagFields(payload, rows) {
+  if (!currencyTagFields) return;
+  const manual = clientState.profile.currencyTags || {};
+  currencyTagFields.innerHTML = "";
+
+  rows.forEach((row) => {
+    const tag = payload.currencyTags?.[row];
+    const detected = tag && tag.source !== "manual" ? tag.currency : null;
+
+    const wrap = document.createElement("label");
+    wrap.className = "flex flex-col gap-1 text-xs text-slate-400";
+    wrap.textContent = row;
+
+    const select = document.createElement("select");
+    select.dataset.row = row;
+    select.className =
+      "rounded-lg bg-slate-900 border border-white/10 px-2 py-1 text-sm text-white focus:outline-none focus:ring-1 focus:ring-indigo-500";
+    select.appendChild(new Option(detected ? `Auto (${detected}, from ${tag.source})` : "Auto (none detected)", "auto"));
+    select.appendChild(new Option("No currency", "none"));
+    const codes = new Set([...TAG_CURRENCIES, payload.currency, manual[row]].filter((c) => c && c !== "none"));
+    codes.forEach((code) => select.appendChild(new Option(code, code)));
+
+    select.value = manual[row] || "auto";
+    wrap.appendChild(select);
+    currencyTagFields.appendChild(wrap);
+  });
+}
+
+function readCurrencyTagFields() {
+  const tags = {};
+  currencyTagFields?.querySelectorAll("select[data-row]").forEach((select) => {
+    if (select.value !== "auto") tags[select.dataset.row] = select.value;
+  });
+  return tags;
+}
+
+function applyMapping() {
+  const mapping = {};
+  mappingFields?.querySelectorAll("select[data-metric]").forEach((select) => {
+    if (select.value) mapping[select.dataset.metric] = select.value;
+  });
+
+  saveMapping(mapping);
+  updateClientProfile({ currencyTags: readCurrencyTagFields() });
+  mappingPanel?.classList.add("hidden");
+  uploadAndRender({ reanalyze: true });
+}
+
+function resetMapping() {
+  saveMapping({});
+  updateClientProfile({ currencyTags: {} });
+  mappingPanel?.classList.add("hidden");
+  uploadAndRender({ reanalyze: true });
+}
+
+// -------------------------
+// Sheet picker
+// -------------------------
+function renderSheetSelect(upload) {
+  if (!sheetSelect) return;
+  const sheets = upload?.sheets || [];
+
+  sheetSelect.innerHTML = "";
+  sheets.forEach((s) => {
+    const opt = document.createElement("option");
+    opt.value = s.name;
+    opt.textContent = s.parsed ? s.name : `${s.name} (not detected)`;
+    opt.disabled = !s.parsed;
+    sheetSelect.appendChild(opt);
+  });
+  sheetSelect.value = upload?.sheetName || "";
+  sheetSelect.classList.toggle("hidden", sheets.length < 2);
+}
+
+function renderDashboard(payload) {
+  window.latestPayload = payload;
+  populateCompareRange(payload);
+  populateRangeSelects(payload);
+
+  renderView();
+  renderTablePreview(payload);
+  renderDiagnostics(payload);
+  renderMappingPanel(payload);
+}
+
+function switchSheet(name) {
+  const payload = window.latestUpload?.sheetPayloads?.[name];
+  if (!payload) return setStatus(`Sheet "${name}" could not be parsed.`, true);
+
+  renderDashboard(payload);
+  setStatus(`Switched to sheet "${name}" ✅`);
+}
+
+// -------------------------
+// Signed-in user (/api/auth)
+// -------------------------
+let currentUser = null;
+
+async function loadSession() {
+  try {
+    const res = await fetch("/api/auth/session");
+    const data = await res.json();
+    if (res.status === 401) return window.location.assign("/login.html");
+    if (!res.ok) throw new Error(data.error || "Could not load your account.");
+    currentUser = data.user;
+    applyUserRole();
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+// Shared settings (clients, FX rates, rule packs) are admin-only on the server; hide or lock them here
+function applyUserRole() {
+  const isAdmin = currentUser?.role === "admin";
+  userMenu?.classList.toggle("hidden", !currentUser);
+  if (userLabel) userLabel.textContent = currentUser ? `${currentUser.name} (${currentUser.role})` : "";
+  usersLink?.classList.toggle("hidden", !isAdmin);
+  newClientBtn?.classList.toggle("hidden", !isAdmin);
+  [saveFxRatesBtn, saveRulePackBtn].forEach((btn) => {
+    if (!btn) return;
+    btn.disabled = !isAdmin;
+    btn.title = isAdmin ? "" : "Only admins can change shared settings";
+    btn.classList.toggle("opacity-50", !isAdmin);
+  });
+}
+
+async function logout() {
+  try {
+    await flushClientProfile(); // pending notes / targets edits
+    await fetch("/api/auth/logout", { method: "POST" });
+  } finally {
+    window.location.assign("/login.html");
+  }
+}
+
+async function changePassword() {
+  const currentPassword = prompt("Current password");
+  if (!currentPassword) return;
+  const newPassword = prompt("New password (at least 8 characters)");
+  if (!newPassword) return;
+
+  try {
+    const res = await fetch("/api/auth/password", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.details?.join(", ") || data.error || "Could not change the password.");
+    setStatus("Password changed ✅");
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+// -------------------------
+// Client workspace (/api/clients)
+// -------------------------
+const CLIENT_STORAGE_KEY = "excel_dashboard_client_id";
+const CLIENT_SAVE_DELAY_MS = 600;
+
+// No client selected = an unsaved scratch profile, so the rest of the app never checks for null
+function scratchProfile() {
+  return {
+    id: null,
+    name: "",
+    currency: DEFAULT_CURRENCY,
+    locale: DEFAULT_LOCALE,
+    targets: { ...DEFAULT_TARGETS },
+    mappings: {},
+    currencyTags: {},
+    scenarios: [],
+    metrics: [],
+    notes: "",
+  };
+}
+
+const clientState = { clients: [], profile: scratchProfile(), pending: {}, saveTimer: null };
+
+function currentClientName() {
+  return clientState.profile?.name || "";
+}
+
+async function loadClients(selectId) {
+  if (!clientSelect) return;
+  try {
+    const res = await fetch("/api/clients");
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not load clients.");
+    clientState.clients = data.clients || [];
+
+    clientSelect.innerHTML = `<option value="">No client selected</option>`;
+    clientState.clients.forEach((c) => {
+      const opt = document.createElement("option");
+      opt.value = c.id;
+      opt.textContent = c.name;
+      clientSelect.appendChild(opt);
+    });
+
+    const wanted = selectId ?? localStorage.getItem(CLIENT_STORAGE_KEY) ?? "";
+    await selectClient(clientState.clients.some((c) => c.id === wanted) ? wanted : "");
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+async function selectClient(id) {
+  await flushClientProfile();
+
+  if (!id) {
+    clientState.profile = scratchProfile();
+  } else {
+    const res = await fetch(`/api/clients/${encodeURIComponent(id)}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not load client.");
+    clientState.profile = data;
+  }
+
+  localStorage.setItem(CLIENT_STORAGE_KEY, id || "");
+  if (clientSelect) clientSelect.value = id || "";
+  applyClientProfile();
+}
+
+function setSelectValue(select, value) {
+  if (!select || !value) return;
+  if (![...select.options].some((o) => o.value === value)) select.appendChild(new Option(value, value));
+  select.value = value;
+}
+
+// Swap the per-client inputs (notes, currency, locale, targets) and re-render with the new targets
+function applyClientProfile() {
+  const profile = clientState.profile;
+  if (notesBox) notesBox.value = profile.notes || "";
+  setSelectValue(clientCurrencySelect, profile.currency || DEFAULT_CURRENCY);
+  setSelectValue(clientLocaleSelect, profile.locale || DEFAULT_LOCALE);
+  restoreTargets();
+  if (window.latestPayload) {
+    renderView();
+  } else {
+    renderMetricList(null);
+    renderScenarios(null);
+  }
+  loadHistory();
+}
+
+// Apply changes locally right away; persist (debounced) when a real client is selected
+function updateClientProfile(changes) {
+  Object.assign(clientState.profile, changes);
+  if (!clientState.profile.id) return;
+
+  Object.assign(clientState.pending, changes);
+  clearTimeout(clientState.saveTimer);
+  clientState.saveTimer = setTimeout(flushClientProfile, CLIENT_SAVE_DELAY_MS);
+}
+
+async function flushClientProfile() {
+  clearTimeout(clientState.saveTimer);
+  const changes = clientState.pending;
+  const id = clientState.profile?.id;
+  clientState.pending = {};
+  if (!id || !Object.keys(changes).length) return;
+
+  try {
+    const res = await fetch(`/api/clients/${encodeURIComponent(id)}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(changes),
+      keepalive: true, // also flushed from beforeunload
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not save client.");
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+async function createClientProfile() {
+  const name = (prompt("Client name / company") || "").trim();
+  if (!name) return;
+
+  try {
+    // New clients start from whatever is on screen (targets, currency)
+    const res = await fetch("/api/clients", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        name,
+        currency: clientState.profile.currency,
+        locale: clientState.profile.locale,
+        targets: getTargets(),
+      }),
+    });
+    const data = await res.json();
+    if (res.status === 409 && data.id) {
+      await loadClients(data.id);
+      return setStatus(`Switched to existing client "${name}".`);
+    }
+    if (!res.ok) throw new Error(data.error || "Could not create client.");
+
+    await loadClients(data.id);
+    setStatus(`Client "${data.name}" created ✅`);
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+// One-time move of the old single-client localStorage settings into a server profile
+const LEGACY_KEYS = {
+  name: "excel_dashboard_client_name",
+  notes: "excel_dashboard_notes",
+  targets: "excel_dashboard_targets",
+  mappings: "excel_dashboard_metric_mappings",
+};
+
+async function migrateLegacyClient() {
+  const name = (localStorage.getItem(LEGACY_KEYS.name) || "").trim();
+  if (!name) return null;
+
+  const readJson = (key) => {
+    try {
+      return JSON.parse(localStorage.getItem(key) || "{}")[name.toLowerCase()];
+    } catch {
+      return undefined;
+    }
+  };
+
+  try {
+    const res = await fetch("/api/clients", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        name,
+        notes: localStorage.getItem(LEGACY_KEYS.notes) || "",
+        targets: readJson(LEGACY_KEYS.targets),
+        mappings: readJson(LEGACY_KEYS.mappings),
+      }),
+    });
+    const data = await res.json();
+    if (!res.ok && res.status !== 409) throw new Error(data.error || "Could not migrate client.");
+
+    Object.values(LEGACY_KEYS).forEach((key) => localStorage.removeItem(key));
+    return data.id || null;
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+async function initClients() {
+  const migratedId = await migrateLegacyClient();
+  await loadClients(migratedId ?? undefined);
+}
+
+// Currency/locale belong to the client and are stamped on each upload. Changing them
+// re-parses the chosen file (separators matter for text cells) or just relabels the report.
+function changeNumberSettings(changes) {
+  updateClientProfile(changes);
+  if (!window.latestPayload) return;
+
+  if (excelFile?.files?.[0]) return uploadAndRender({ reanalyze: true });
+
+  [window.latestPayload, ...Object.values(window.latestUpload?.sheetPayloads || {})].forEach((p) =>
+    Object.assign(p, changes)
+  );
+  renderView();
+}
+
+// -------------------------
+// FX rate table (/api/fx-rates)
+// -------------------------
+function fxRatesToCsv(rates) {
+  return ["month,from,to,rate", ...rates.map((r) => [r.month, r.from, r.to, r.rate].join(","))].join("\n");
+}
+
+function showFxRates(data) {
+  if (fxRatesEditor) fxRatesEditor.value = (data.rates || []).length ? fxRatesToCsv(data.rates) : "";
+  if (fxRatesStatus) {
+    fxRatesStatus.textContent = data.updatedAt
+      ? `${data.rates.length} rates · updated ${new Date(data.updatedAt).toLocaleString()}`
+      : "No rates yet";
+  }
+}
+
+async function loadFxRates() {
+  if (!fxRatesEditor) return;
+  try {
+    const res = await fetch("/api/fx-rates");
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not load exchange rates.");
+    showFxRates(data);
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+// Saves the editor contents, or uploads the chosen CSV file as-is
+async function saveFxRates() {
+  const file = fxRatesFile?.files?.[0];
+  try {
+    let res;
+    if (file) {
+      const formData = new FormData();
+      formData.append("rates", file);
+      res = await fetch("/api/fx-rates", { method: "POST", body: formData });
+    } else {
+      res = await fetch("/api/fx-rates", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ csv: fxRatesEditor?.value || "month,from,to,rate" }),
+      });
+    }
+    const data = await res.json();
+    if (!res.ok) throw new Error(uploadErrorMessage(data, "Could not save exchange rates."));
+
+    if (fxRatesFile) fxRatesFile.value = "";
+    showFxRates(data);
+    setStatus("Exchange rates saved ✅");
+    // Conversion happens while parsing, so re-run the current file
+    if (window.latestPayload && excelFile?.files?.[0]) uploadAndRender({ reanalyze: true });
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+// -------------------------
+// Report history
+// -------------------------
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+async function loadHistory() {
+  if (!historyList) return;
+
+  const clientId = clientState.profile?.id;
+  const qs = historyClientOnly?.checked && clientId ? `?clientId=${encodeURIComponent(clientId)}` : "";
+
+  try {
+    const res = await fetch(`/api/reports${qs}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not load history.");
+    renderHistory(data.reports || []);
+    populateCompareReports(data.reports || []);
+  } catch (err) {
+    console.error(err);
+    historyList.innerHTML = `<li class="px-3 py-2 text-rose-300">${escapeHtml(err.message)}</li>`;
+  }
+}
+
+function renderHistory(reports) {
+  historyList.innerHTML = "";
+  if (!reports.length) {
+    historyList.innerHTML = `<li class="px-3 py-2 text-slate-400">No saved reports yet.</li>`;
+    return;
+  }
+
+  reports.forEach((r) => {
+    const li = document.createElement("li");
+    li.className = "flex items-center justify-between gap-3 px-3 py-2 hover:bg-white/5 transition";
+    const when = new Date(r.createdAt).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" });
+    li.innerHTML = `
+      <div class="min-w-0">
+        <div class="truncate font-medium">${escapeHtml(r.clientName || "Unnamed client")}</div>
+        <div class="truncate text-xs text-slate-400">${escapeHtml(r.fileName)} · ${escapeHtml(r.sheetName)} · ${when}${
+          r.source === "watch" ? " · watch folder" : ""
+        }</div>
+      </div>
+      <div class="flex shrink-0 gap-2">
+        <button data-action="open" class="rounded-lg border border-white/10 bg-white/5 px-2 py-1 text-xs hover:bg-white/10">Open</button>
+        <button data-action="delete" class="rounded-lg border border-rose-400/20 bg-rose-500/10 px-2 py-1 text-xs text-rose-200 hover:bg-rose-500/20">Delete</button>
+      </div>
+    `;
+    li.querySelector('[data-action="open"]').addEventListener("click", () => openReport(r.id));
+    li.querySelector('[data-action="delete"]').addEventListener("click", () => removeReport(r.id));
+    historyList.appendChild(li);
+  });
+}
+
+async function openReport(id) {
+  try {
+    setStatus("Loading saved report...");
+    const res = await fetch(`/api/reports/${encodeURIComponent(id)}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not load report.");
+
+    if (data.clientId && data.clientId !== clientState.profile?.id) {
+      await selectClient(data.clientId).catch(() => {}); // profile may have been deleted since
+    }
+
+    window.latestUpload = data.payload;
+    renderSheetSelect(data.payload);
+    renderDashboard(data.payload);
+    setStatus(`Opened report from ${new Date(data.createdAt).toLocaleString()} ✅`);
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+async function removeReport(id) {
+  if (!confirm("Delete this saved report?")) return;
+  try {
+    const res = await fetch(`/api/reports/${encodeURIComponent(id)}`, { method: "DELETE" });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Delete failed.");
+    loadHistory();
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+// -------------------------
+// Watch folder inbox (polled while the server watches a folder)
+// -------------------------
+const WATCH_POLL_MS = 30 * 1000;
+let watchPollTimer = null;
+let watchLatestEntryId = null;
+
+async function loadWatchInbox() {
+  if (!watchPanel) return;
+  try {
+    const res = await fetch("/api/watch");
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not load the watch folder inbox.");
+
+    watchPanel.classList.toggle("hidden", !data.enabled);
+    if (!data.enabled) return;
+    if (!watchPollTimer) watchPollTimer = setInterval(loadWatchInbox, WATCH_POLL_MS);
+
+    const latest = data.inbox[0]?.id || null;
+    if (watchLatestEntryId && latest !== watchLatestEntryId) loadHistory(); // new imports show up in the history
+    watchLatestEntryId = latest;
+    if (watchDirLabel) watchDirLabel.textContent = data.dir;
+    renderWatchInbox(data.inbox);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function renderWatchInbox(entries) {
+  const failed = entries.filter((e) => e.status === "failed").length;
+  watchSummary.textContent = failed ? `${failed} need${failed === 1 ? "s" : ""} attention` : "";
+  watchSummary.className = "shrink-0 text-xs " + (failed ? "text-rose-300" : "text-slate-400");
+
+  watchInboxList.innerHTML = "";
+  if (!entries.length) {
+    watchInboxList.innerHTML = `<li class="px-3 py-2 text-slate-400">Nothing picked up yet.</li>`;
+    return;
+  }
+
+  entries.forEach((e) => {
+    const li = document.createElement("li");
+    li.className = "flex items-start justify-between gap-3 px-3 py-2 hover:bg-white/5 transition";
+    const when = new Date(e.at).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" });
+    const failedEntry = e.status === "failed";
+    const details = [...(e.details || []), ...(e.sheets?.length ? [`Sheets: ${e.sheets.join(", ")}`] : [])];
+    li.innerHTML = `
+      <div class="min-w-0">
+        <div class="truncate font-medium ${failedEntry ? "text-rose-200" : ""}">${escapeHtml(e.file)}</div>
+        <div class="text-xs ${failedEntry ? "text-rose-300/80" : "text-slate-400"}">
+          ${failedEntry ? escapeHtml(e.error) : `Imported for ${escapeHtml(e.clientName)} · ${escapeHtml(e.sheetName)}`} · ${when}
+        </div>
+        ${details.map((d) => `<div class="text-xs text-slate-500">${escapeHtml(d)}</div>`).join("")}
+      </div>
+      <div class="flex shrink-0 gap-2">
+        ${
+          failedEntry
+            ? `<button data-action="retry" class="rounded-lg border border-white/10 bg-white/5 px-2 py-1 text-xs hover:bg-white/10">Retry</button>`
+            : `<button data-action="open" class="rounded-lg border border-white/10 bg-white/5 px-2 py-1 text-xs hover:bg-white/10">Open</button>`
+        }
+        <button data-action="dismiss" class="rounded-lg border border-white/10 bg-white/5 px-2 py-1 text-xs text-slate-300 hover:bg-white/10">Dismiss</button>
+      </div>
+    `;
+    li.querySelector('[data-action="retry"]')?.addEventListener("click", () => retryWatchEntry(e.id));
+    li.querySelector('[data-action="open"]')?.addEventListener("click", () => openReport(e.reportId));
+    li.querySelector('[data-action="dismiss"]').addEventListener("click", () => dismissWatchEntry(e.id));
+    watchInboxList.appendChild(li);
+  });
+}
+
+async function retryWatchEntry(id) {
+  try {
+    setStatus("Retrying import...");
+    const res = await fetch(`/api/watch/inbox/${encodeURIComponent(id)}/retry`, { method: "POST" });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Retry failed.");
+    if (data.status === "failed") setStatus(`${data.file}: ${data.error}`, true);
+    else setStatus(`Imported ${data.file} for ${data.clientName} ✅`);
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+  loadWatchInbox();
+}
+
+async function dismissWatchEntry(id) {
+  try {
+    const res = await fetch(`/api/watch/inbox/${encodeURIComponent(id)}`, { method: "DELETE" });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not dismiss.");
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+  loadWatchInbox();
+}
+
 // -------------------------
 // Upload + Render
 // -------------------------
-async function uploadAndRender() {
+let uploadLimits = null;
+
+// Server-side upload limits (/api/upload/limits), shown next to the file picker
+async function loadUploadLimits() {
+  try {
+    const res = await fetch("/api/upload/limits");
+    if (!res.ok) return;
+    uploadLimits = await res.json();
+    if (uploadLimitsLabel) uploadLimitsLabel.textContent = ` · up to ${formatFileSize(uploadLimits.maxFileBytes)}`;
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function formatFileSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${+(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// Limit errors carry a `code`; the server's message says what was hit, this says what to do about it
+const UPLOAD_ERROR_HINTS = {
+  FILE_TOO_LARGE: "Remove sheets or columns you don't report on, or export just the data as CSV.",
+  UNSUPPORTED_TYPE: "Save it as .xlsx, .xls, .ods or .csv first.",
+  INVALID_CONTENT: "It may have been renamed or damaged: open it in Excel and use Save As.",
+  UNZIPPED_TOO_LARGE: "It holds far more data than its size suggests: save a copy with only the sheets you need.",
+  TOO_MANY_SHEETS: "Save a copy with only the sheets you need.",
+  TOO_MANY_ROWS: "Filter to the date range you need, or group rows by week or month before uploading.",
+  TOO_MANY_CELLS: "Delete unused columns and sheets, or export just the reporting sheet as CSV.",
+  TOO_MANY_PERIODS: "Group by week or month, or remove rows with stray dates.",
+  UNREADABLE_WORKBOOK: "Password-protected or damaged files can't be read: save an unprotected copy.",
+  TOO_MANY_FILES: "Upload one file at a time.",
+};
+
+function uploadErrorMessage(data, fallback) {
+  return [data.error || fallback, UPLOAD_ERROR_HINTS[data.code], ...(data.details || [])].filter(Boolean).join(" ");
+}
+
+// reanalyze: same file again with new settings (mapping, granularity, currency...), so the report the
+// last upload saved is updated instead of a new history entry
+async function uploadAndRender({ reanalyze = false } = {}) {
   const file = excelFile?.files?.[0];
-  if (!file) return setStatus("Please choose an .xlsx file first.", true);
+  if (!file) return setStatus("Please choose a spreadsheet (.xlsx, .xls, .ods or .csv) first.", true);
+  if (uploadLimits && file.size > uploadLimits.maxFileBytes) {
+    const error = `${file.name} is larger than ${formatFileSize(uploadLimits.maxFileBytes)}.`;
+    return setStatus(uploadErrorMessage({ error, code: "FILE_TOO_LARGE" }), true);
+  }
 
   uploadBtn.disabled = true;
   setStatus("Uploading and processing...");
 
   const formData = new FormData();
   formData.append("excel", file);
+  formData.append("mapping", JSON.stringify(loadSavedMapping()));
+  formData.append("currencies", JSON.stringify(clientState.profile.currencyTags || {}));
+  if (granularitySelect) formData.append("granularity", granularitySelect.value);
+  if (clientState.profile?.id) formData.append("clientId", clientState.profile.id);
+  formData.append("clientName", currentClientName());
+  formData.append("currency", clientState.profile.currency || DEFAULT_CURRENCY);
+  formData.append("locale", clientState.profile.locale || DEFAULT_LOCALE);
 
   try {
-    const res = await fetch("/api/upload", { method: "POST", body: formData });
+    const query = new URLSearchParams({ sheets: "all" });
+    if (reanalyze && window.latestUpload?.reportId) query.set("replaceReportId", window.latestUpload.reportId);
+    const res = await fetch(`/api/upload?${query}`, { method: "POST", body: formData });
     const data = await res.json();
-    if (!res.ok) throw new Error(data.error || "Upload failed.");
-
-    window.latestPayload = data;
-    if (sheetLabel) sheetLabel.textContent = `Sheet: ${data.sheetName} | Mode: ${data.mode}`;
+    if (!res.ok) throw new Error(uploadErrorMessage(data, "Upload failed."));
 
-    renderKPIs(data);
-    renderCharts(data);
-    renderTablePreview(data);
+    window.latestUpload = data;
+    renderSheetSelect(data);
+    renderDashboard(data);
 
-    setStatus("Dashboard generated successfully ✅");
+    const missingCore = (data.unresolvedMetrics || []).filter((m) => CORE_METRICS.includes(m));
+    if (missingCore.length) {
+      setStatus(`Dashboard generated — map rows for: ${missingCore.map((m) => METRIC_LABELS[m]).join(", ")}`);
+    } else {
+      setStatus("Dashboard generated successfully ✅");
+    }
+    loadHistory();
   } catch (err) {
     console.error(err);
     setStatus(err.message, true);
@@ -660,29 +2537,109 @@ async function uploadAndRender() {
 // -------------------------
 // Events
 // -------------------------
-uploadBtn?.addEventListener("click", uploadAndRender);
+uploadBtn?.addEventListener("click", () => uploadAndRender());
+
+sheetSelect?.addEventListener("change", () => switchSheet(sheetSelect.value));
 
-targetCacInput?.addEventListener("input", () => {
-  if (window.latestPayload) renderCharts(window.latestPayload);
+// Regrouping tidy data needs the raw rows, so re-run the upload
+granularitySelect?.addEventListener("change", () => {
+  if (window.latestPayload?.mode === "tidy" && excelFile?.files?.[0]) uploadAndRender({ reanalyze: true });
 });
 
-// Notes autosave
-if (notesBox) {
-  const saved = localStorage.getItem("excel_dashboard_notes");
-  if (saved) notesBox.value = saved;
-  notesBox.addEventListener("input", () => {
-    localStorage.setItem("excel_dashboard_notes", notesBox.value);
-  });
-}
+applyMappingBtn?.addEventListener("click", applyMapping);
+resetMappingBtn?.addEventListener("click", resetMapping);
+editMappingBtn?.addEventListener("click", () => {
+  if (window.latestPayload) renderMappingPanel(window.latestPayload, { force: true });
+});
 
-// Client name autosave
-if (clientNameInput) {
-  const savedClient = localStorage.getItem("excel_dashboard_client_name");
-  if (savedClient) clientNameInput.value = savedClient;
-  clientNameInput.addEventListener("input", () => {
-    localStorage.setItem("excel_dashboard_client_name", clientNameInput.value);
-  });
-}
+[targetCacInput, targetRoasInput, targetCtrInput, targetCpmRiseInput].forEach((input) =>
+  input?.addEventListener("input", () => {
+    saveTargets();
+    if (window.latestPayload) renderCharts(getViewPayload(window.latestPayload));
+  })
+);
+
+// Notes autosave (to the selected client's profile)
+notesBox?.addEventListener("input", () => updateClientProfile({ notes: notesBox.value }));
+
+// Client switcher
+clientSelect?.addEventListener("change", () =>
+  selectClient(clientSelect.value).catch((err) => setStatus(err.message, true))
+);
+clientCurrencySelect?.addEventListener("change", () => changeNumberSettings({ currency: clientCurrencySelect.value }));
+clientLocaleSelect?.addEventListener("change", () => changeNumberSettings({ locale: clientLocaleSelect.value }));
+newClientBtn?.addEventListener("click", createClientProfile);
+window.addEventListener("beforeunload", flushClientProfile);
+restoreTargets();
+initClients();
+loadUploadLimits();
+
+// Signed-in user
+logoutBtn?.addEventListener("click", logout);
+changePasswordBtn?.addEventListener("click", changePassword);
+loadSession();
 
 // Export PDF
-exportPdfBtn?.addEventListener("click", exportDashboardOnePagePDF);
\ No newline at end of file
+exportPdfBtn?.addEventListener("click", exportReportPDF);
+exportXlsxBtn?.addEventListener("click", exportReportXLSX);
+
+// Date range
+rangePresetSelect?.addEventListener("change", () => {
+  applyRangePreset(rangePresetSelect.value);
+  renderView();
+});
+[rangeStartSelect, rangeEndSelect].forEach((el) =>
+  el?.addEventListener("change", () => {
+    if (rangePresetSelect) rangePresetSelect.value = "custom";
+    renderView();
+  })
+);
+
+// Forecast
+[forecastModelSelect, forecastHorizonSelect, forecastConfidenceSelect].forEach((el) =>
+  el?.addEventListener("change", () => {
+    saveForecastSettings();
+    renderView();
+  })
+);
+restoreForecastSettings();
+
+// Calculated metrics
+addMetricBtn?.addEventListener("click", addCalculatedMetric);
+metricList?.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-remove]");
+  if (btn) removeCalculatedMetric(btn.dataset.remove);
+});
+renderMetricList(null);
+
+// Budget scenarios
+addScenarioBtn?.addEventListener("click", addScenario);
+scenarioModeSelect?.addEventListener("change", updateScenarioValueLabel);
+scenarioHead?.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-remove]");
+  if (btn) removeScenario(btn.dataset.remove);
+});
+updateScenarioValueLabel();
+renderScenarios(null);
+
+// Exchange rates
+saveFxRatesBtn?.addEventListener("click", saveFxRates);
+loadFxRates();
+
+// Rule packs
+rulePackSelect?.addEventListener("change", () =>
+  selectRulePack(rulePackSelect.value).catch((err) => setStatus(err.message, true))
+);
+saveRulePackBtn?.addEventListener("click", saveRulePack);
+loadRulePacks();
+
+// Comparison baseline
+[compareModeSelect, compareStartSelect, compareEndSelect, compareReportSelect, compareGhostToggle].forEach((el) =>
+  el?.addEventListener("change", onCompareChange)
+);
+
+// History (reloaded by applyClientProfile whenever the client changes)
+historyClientOnly?.addEventListener("change", loadHistory);
+
+// Watch folder inbox (hidden unless the server has WATCH_DIR)
+loadWatchInbox();
\ No newline at end of file
@@ -0,0 +1,183 @@
+/**
+ * Series forecasting for the dashboard charts (browser only; UMD like the shared modules, so Node can require it).
+ *
+ * forecastSeries(values, { model, horizon, confidence, window, min }) projects the next
+ * `horizon` periods after the last finite value:
+ * {
+ *   model: "linear" | "moving-average" | "holt",
+ *   start: 7,                                     // period index of the first projection
+ *   points: [{ value, lower, upper }],            // one per projected period
+ *   params: { slope?, alpha?, beta?, window? },
+ *   sd: 123.4                                     // residual / one-step error std deviation
+ * }
+ * or null when there are too few points for the model.
+ *
+ * Models:
+ * - linear: least-squares trend over period index, prediction interval from the residuals
+ * - moving-average: flat mean of the last `window` values, error from one-step-ahead misses
+ * - holt: Holt's linear exponential smoothing, alpha/beta picked by grid search on one-step SSE
+ *
+ * Bands are normal-approximation intervals (confidence 80 / 90 / 95); with `min` set
+ * (e.g. 0 for spend) values and bands are clamped so they never go below it.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.Forecast = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const MODELS = ["linear", "moving-average", "holt"];
+  const MAX_HORIZON = 6;
+  const Z_SCORES = { 80: 1.2816, 90: 1.6449, 95: 1.96 };
+  const MIN_POINTS = { linear: 3, "moving-average": 2, holt: 3 };
+  const HOLT_GRID = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+  // [{ x: period index, y }] for the finite values, so gaps don't shift the trend
+  function finitePoints(values) {
+    const points = [];
+    (values || []).forEach((y, x) => {
+      if (typeof y === "number" && Number.isFinite(y)) points.push({ x, y });
+    });
+    return points;
+  }
+
+  function stdDev(errors, dof) {
+    if (!errors.length || dof <= 0) return 0;
+    return Math.sqrt(errors.reduce((a, e) => a + e * e, 0) / dof);
+  }
+
+  function fitLinear(points, horizon) {
+    const n = points.length;
+    const xBar = points.reduce((a, p) => a + p.x, 0) / n;
+    const yBar = points.reduce((a, p) => a + p.y, 0) / n;
+    const sxx = points.reduce((a, p) => a + (p.x - xBar) ** 2, 0);
+    const slope = sxx ? points.reduce((a, p) => a + (p.x - xBar) * (p.y - yBar), 0) / sxx : 0;
+    const intercept = yBar - slope * xBar;
+
+    const sd = stdDev(points.map((p) => p.y - (intercept + slope * p.x)), n - 2);
+    const lastX = points[n - 1].x;
+    const projected = Array.from({ length: horizon }, (_, i) => {
+      const x = lastX + i + 1;
+      const spread = sd * Math.sqrt(1 + 1 / n + (sxx ? (x - xBar) ** 2 / sxx : 0));
+      return { value: intercept + slope * x, spread };
+    });
+    return { points: projected, sd, params: { slope, intercept } };
+  }
+
+  function fitMovingAverage(points, horizon, window) {
+    const ys = points.map((p) => p.y);
+    const k = Math.max(1, Math.min(window, ys.length));
+    const mean = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+
+    // One-step-ahead misses: value vs the mean of the (up to k) values before it
+    const errors = ys.slice(1).map((y, i) => y - mean(ys.slice(Math.max(0, i + 1 - k), i + 1)));
+    const sd = stdDev(errors, errors.length);
+    const value = mean(ys.slice(-k));
+    const projected = Array.from({ length: horizon }, (_, i) => ({ value, spread: sd * Math.sqrt(1 + i / k) }));
+    return { points: projected, sd, params: { window: k } };
+  }
+
+  function runHolt(ys, alpha, beta) {
+    let level = ys[0];
+    let trend = ys[1] - ys[0];
+    let sse = 0;
+    const errors = [];
+    for (let t = 1; t < ys.length; t++) {
+      const predicted = level + trend;
+      const error = ys[t] - predicted;
+      errors.push(error);
+      sse += error * error;
+      const prevLevel = level;
+      level = alpha * ys[t] + (1 - alpha) * predicted;
+      trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    }
+    return { level, trend, sse, errors };
+  }
+
+  function fitHolt(points, horizon) {
+    const ys = points.map((p) => p.y);
+    let best = null;
+    HOLT_GRID.forEach((alpha) =>
+      HOLT_GRID.forEach((beta) => {
+        const fit = runHolt(ys, alpha, beta);
+        if (!best || fit.sse < best.sse) best = { ...fit, alpha, beta };
+      })
+    );
+
+    // Skip the first miss: it only reflects the seeded trend
+    const sd = stdDev(best.errors.slice(1), Math.max(best.errors.length - 1, 1));
+    const projected = Array.from({ length: horizon }, (_, i) => {
+      const h = i + 1;
+      let variance = 1;
+      for (let j = 1; j < h; j++) variance += (best.alpha * (1 + j * best.beta)) ** 2;
+      return { value: best.level + h * best.trend, spread: sd * Math.sqrt(variance) };
+    });
+    return { points: projected, sd, params: { alpha: best.alpha, beta: best.beta } };
+  }
+
+  function forecastSeries(values, { model = "linear", horizon = 3, confidence = 80, window = 3, min = null } = {}) {
+    if (!MODELS.includes(model)) return null;
+    const points = finitePoints(values);
+    if (points.length < MIN_POINTS[model]) return null;
+
+    const steps = Math.max(1, Math.min(MAX_HORIZON, Math.round(Number(horizon)) || 1));
+    const z = Z_SCORES[confidence] || Z_SCORES[80];
+    const fit =
+      model === "linear"
+        ? fitLinear(points, steps)
+        : model === "holt"
+          ? fitHolt(points, steps)
+          : fitMovingAverage(points, steps, window);
+
+    const clamp = (v) => (Number.isFinite(min) ? Math.max(min, v) : v);
+    return {
+      model,
+      start: points[points.length - 1].x + 1,
+      points: fit.points.map(({ value, spread }) => ({
+        value: clamp(value),
+        lower: clamp(value - z * spread),
+        upper: clamp(value + z * spread),
+      })),
+      params: fit.params,
+      sd: fit.sd,
+    };
+  }
+
+  const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+  function monthLabel(year, month, { long, fullYear, sep }) {
+    const date = new Date(year, month, 1);
+    const name = date.toLocaleString("en-US", { month: long ? "long" : "short" });
+    const y = fullYear ? String(date.getFullYear()) : String(date.getFullYear()).slice(-2);
+    return `${name}${sep}${y}`;
+  }
+
+  /**
+   * Labels for `count` periods after `labels`, in the same style:
+   * "Jan 24" / "January 2024" (months), "Wk Mar 4, 24" (weeks), "Mar 4, 24" (days).
+   * Anything else becomes "+1", "+2", ...
+   */
+  function nextLabels(labels, count) {
+    const last = String((labels || [])[labels.length - 1] ?? "").trim();
+    const fallback = Array.from({ length: count }, (_, i) => `+${i + 1}`);
+
+    const dated = last.match(/^(Wk )?([A-Za-z]{3}) (\d{1,2}), (\d{2})$/);
+    if (dated) {
+      const step = dated[1] ? 7 : 1;
+      const base = new Date(2000 + Number(dated[4]), MONTHS.indexOf(dated[2].toLowerCase()), Number(dated[3]));
+      if (Number.isNaN(base.getTime())) return fallback;
+      return fallback.map((_, i) => {
+        const d = new Date(base.getFullYear(), base.getMonth(), base.getDate() + step * (i + 1));
+        const day = d.toLocaleString("en-US", { month: "short", day: "numeric", year: "2-digit" });
+        return dated[1] ? `Wk ${day}` : day;
+      });
+    }
+
+    const monthly = last.match(/^([A-Za-z]{3})([a-z]*)\.?([\s\-'’]*)(\d{4}|\d{2})$/);
+    const month = monthly ? MONTHS.indexOf(monthly[1].toLowerCase()) : -1;
+    if (month === -1) return fallback;
+    const year = monthly[4].length === 2 ? 2000 + Number(monthly[4]) : Number(monthly[4]);
+    const style = { long: monthly[2].length > 0, fullYear: monthly[4].length === 4, sep: monthly[3] || " " };
+    return fallback.map((_, i) => monthLabel(year, month + i + 1, style));
+  }
+
+  return { MODELS, MAX_HORIZON, Z_SCORES, forecastSeries, nextLabels };
+});
@@ -0,0 +1,419 @@
+/**
+ * Calculated metrics (shared by the browser, lib/analyze.js and server.js).
+ *
+ * A metric is saved on the client profile as
+ * { id, name, formula, format: "number" | "money" | "percent" | "ratio", display: "kpi" | "chart" | "both" }
+ * e.g. { name: "Profit", formula: "revenue - spent" }, { name: "AOV", formula: "revenue / customers" }.
+ *
+ * Formula language:
+ * - numbers, + - * /, parentheses, comparisons < <= > >= == != (1 or 0, for IF)
+ * - references: canonical metrics (spent, messages, revenue, customers, cac, ctr), an earlier
+ *   calculated metric by name, or any row as [Row name] (a bare word works when it has no spaces)
+ * - SUM(x), AVG(x), MIN(x), MAX(x): over every period of the range
+ * - PREV(x) / PREV(x, n): the value n periods earlier (blank for the first periods)
+ * - IF(condition, then, else), ABS(x)
+ *
+ * Each metric is evaluated per period (references are that period's value) and in aggregate
+ * (references are the range total, or the average for rate-like rows such as CAC/CTR, so
+ * "customers / messages" gives the blended rate). Formulas using PREV() aggregate to their
+ * last period. Blanks and division by zero give null instead of failing the metric.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.Formulas = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const FORMATS = ["number", "money", "percent", "ratio"];
+  const DISPLAYS = ["kpi", "chart", "both"];
+  const FUNCTIONS = { SUM: [1, 1], AVG: [1, 1], MIN: [1, 1], MAX: [1, 1], PREV: [1, 2], IF: [3, 3], ABS: [1, 1] };
+  const CANONICAL = ["spent", "messages", "revenue", "customers", "cac", "ctr"];
+  const MAX_METRICS = 12;
+  const MAX_FORMULA_LENGTH = 300;
+  const MAX_PREV = 24;
+
+  // Rows aggregated by average rather than sum; lib/analyze.js uses it for tidy columns too
+  const AVERAGED_RE = /ctr|cac|cpc|cpm|roas|rate|cost per|cost\/|avg|average|frequency|%/i;
+
+  class FormulaError extends Error {
+    constructor(message, position) {
+      super(position === undefined ? message : `${message} at character ${position + 1}`);
+      this.name = "FormulaError";
+      this.position = position;
+    }
+  }
+
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+  // -------------------------
+  // Parsing
+  // -------------------------
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      const ch = text[i];
+      if (/\s/.test(ch)) {
+        i += 1;
+        continue;
+      }
+      const number = text.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+      if (number) {
+        tokens.push({ type: "num", value: Number(number[0]), pos: i });
+        i += number[0].length;
+        continue;
+      }
+      const word = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      if (word) {
+        tokens.push({ type: "word", value: word[0], pos: i });
+        i += word[0].length;
+        continue;
+      }
+      if (ch === "[") {
+        const end = text.indexOf("]", i);
+        if (end === -1) throw new FormulaError('Missing "]"', i);
+        const name = text.slice(i + 1, end).trim();
+        if (!name) throw new FormulaError("Empty [row name]", i);
+        tokens.push({ type: "ref", value: name, pos: i });
+        i = end + 1;
+        continue;
+      }
+      const op = text.slice(i).match(/^(<=|>=|==|!=|[-+*/(),<>])/);
+      if (!op) throw new FormulaError(`Unexpected "${ch}"`, i);
+      tokens.push({ type: "op", value: op[0], pos: i });
+      i += op[0].length;
+    }
+    tokens.push({ type: "end", pos: text.length });
+    return tokens;
+  }
+
+  /** Formula text -> AST; throws FormulaError with the character position. */
+  function parseFormula(text) {
+    const source = String(text ?? "");
+    if (!source.trim()) throw new FormulaError("Formula is empty");
+    if (source.length > MAX_FORMULA_LENGTH) throw new FormulaError(`Formula is longer than ${MAX_FORMULA_LENGTH} characters`);
+
+    const tokens = tokenize(source);
+    let at = 0;
+    const peek = () => tokens[at];
+    const isOp = (...ops) => peek().type === "op" && ops.includes(peek().value);
+    const describe = (t) => (t.type === "end" ? "end of formula" : `"${t.value}"`);
+    const expect = (op) => {
+      if (!isOp(op)) throw new FormulaError(`Expected "${op}" but found ${describe(peek())}`, peek().pos);
+      at += 1;
+    };
+
+    function comparison() {
+      const left = additive();
+      if (!isOp("<", "<=", ">", ">=", "==", "!=")) return left;
+      const op = tokens[at++].value;
+      return { type: "binary", op, left, right: additive() };
+    }
+    function additive() {
+      let node = term();
+      while (isOp("+", "-")) node = { type: "binary", op: tokens[at++].value, left: node, right: term() };
+      return node;
+    }
+    function term() {
+      let node = unary();
+      while (isOp("*", "/")) node = { type: "binary", op: tokens[at++].value, left: node, right: unary() };
+      return node;
+    }
+    function unary() {
+      if (isOp("-")) {
+        at += 1;
+        return { type: "negate", arg: unary() };
+      }
+      if (isOp("+")) at += 1;
+      return primary();
+    }
+    function primary() {
+      const t = tokens[at];
+      if (t.type === "num") {
+        at += 1;
+        return { type: "num", value: t.value };
+      }
+      if (t.type === "ref") {
+        at += 1;
+        return { type: "ref", name: t.value };
+      }
+      if (t.type === "word") {
+        at += 1;
+        if (!isOp("(")) return { type: "ref", name: t.value };
+        const fn = t.value.toUpperCase();
+        if (!FUNCTIONS[fn]) throw new FormulaError(`Unknown function ${t.value}()`, t.pos);
+        at += 1;
+        const args = [];
+        if (!isOp(")")) {
+          args.push(comparison());
+          while (isOp(",")) {
+            at += 1;
+            args.push(comparison());
+          }
+        }
+        expect(")");
+        const [min, max] = FUNCTIONS[fn];
+        if (args.length < min || args.length > max) {
+          throw new FormulaError(`${fn}() takes ${min === max ? min : `${min}-${max}`} argument${max > 1 ? "s" : ""}`, t.pos);
+        }
+        const offset = args[1];
+        if (fn === "PREV" && offset && !(offset.type === "num" && Number.isInteger(offset.value) && offset.value >= 1 && offset.value <= MAX_PREV)) {
+          throw new FormulaError(`PREV() offset must be a whole number 1-${MAX_PREV}`, t.pos);
+        }
+        return { type: "call", fn, args };
+      }
+      if (isOp("(")) {
+        at += 1;
+        const node = comparison();
+        expect(")");
+        return node;
+      }
+      throw new FormulaError(`Unexpected ${describe(t)}`, t.pos);
+    }
+
+    const ast = comparison();
+    if (peek().type !== "end") throw new FormulaError(`Unexpected ${describe(peek())}`, peek().pos);
+    return ast;
+  }
+
+  function walk(node, visit) {
+    visit(node);
+    if (node.left) walk(node.left, visit);
+    if (node.right) walk(node.right, visit);
+    if (node.arg) walk(node.arg, visit);
+    (node.args || []).forEach((a) => walk(a, visit));
+  }
+
+  // -------------------------
+  // Evaluation
+  // -------------------------
+  function applyBinary(op, a, b) {
+    if (!isNum(a) || !isNum(b)) return null;
+    switch (op) {
+      case "+":
+        return a + b;
+      case "-":
+        return a - b;
+      case "*":
+        return a * b;
+      case "/":
+        return b === 0 ? null : a / b;
+      case "<":
+        return a < b ? 1 : 0;
+      case "<=":
+        return a <= b ? 1 : 0;
+      case ">":
+        return a > b ? 1 : 0;
+      case ">=":
+        return a >= b ? 1 : 0;
+      case "==":
+        return a === b ? 1 : 0;
+      case "!=":
+        return a !== b ? 1 : 0;
+      default:
+        return null;
+    }
+  }
+
+  function aggregate(fn, values) {
+    const nums = values.filter(isNum);
+    if (!nums.length) return null;
+    if (fn === "SUM") return nums.reduce((a, b) => a + b, 0);
+    if (fn === "AVG") return nums.reduce((a, b) => a + b, 0) / nums.length;
+    return fn === "MIN" ? Math.min(...nums) : Math.max(...nums);
+  }
+
+  function findRow(series, name) {
+    const keys = Object.keys(series || {});
+    const want = name.toLowerCase();
+    return keys.find((k) => k === name) || keys.find((k) => k.toLowerCase() === want) || null;
+  }
+
+  /**
+   * Reference name -> { values, total }. Earlier calculated metrics win, then canonical
+   * metrics (via metricKeys), then row names; throws FormulaError when nothing matches.
+   */
+  function resolveReference(name, ctx, computed) {
+    const want = name.toLowerCase();
+    const metric = computed.find((m) => m.name.toLowerCase() === want);
+    if (metric) {
+      if (metric.error) throw new FormulaError(`"${metric.name}" has an error`);
+      return { values: metric.series, total: metric.value };
+    }
+    const key = CANONICAL.includes(want) && ctx.metricKeys?.[want] ? ctx.metricKeys[want] : findRow(ctx.series, name);
+    if (!key) throw new FormulaError(`Unknown series "${name}"`);
+    const values = (ctx.series[key] || []).map((v) => (isNum(v) ? v : null));
+    const averaged = CANONICAL.includes(want) ? want === "cac" || want === "ctr" : AVERAGED_RE.test(key);
+    return { values, total: aggregate(averaged ? "AVG" : "SUM", values) };
+  }
+
+  function evaluateFormula(ast, ctx, computed = []) {
+    const length = ctx.labels?.length ?? Math.max(0, ...Object.values(ctx.series || {}).map((s) => s.length));
+    const refs = new Map();
+    let usesPrev = false;
+    walk(ast, (node) => {
+      if (node.type === "ref" && !refs.has(node.name)) refs.set(node.name, resolveReference(node.name, ctx, computed));
+      if (node.type === "call" && node.fn === "PREV") usesPrev = true;
+    });
+
+    // SUM/AVG/MIN/MAX don't depend on the period: computed once per node
+    const folded = new Map();
+    const fold = (node) => {
+      if (!folded.has(node)) {
+        const values = Array.from({ length }, (_, i) => at(node.args[0], i));
+        folded.set(node, aggregate(node.fn, values));
+      }
+      return folded.get(node);
+    };
+
+    function at(node, i) {
+      if (i < 0) return null;
+      switch (node.type) {
+        case "num":
+          return node.value;
+        case "ref":
+          return refs.get(node.name).values[i] ?? null;
+        case "negate": {
+          const v = at(node.arg, i);
+          return isNum(v) ? -v : null;
+        }
+        case "binary":
+          return applyBinary(node.op, at(node.left, i), at(node.right, i));
+        default:
+          return call(node, (arg) => at(arg, i), i);
+      }
+    }
+
+    function total(node) {
+      switch (node.type) {
+        case "num":
+          return node.value;
+        case "ref":
+          return refs.get(node.name).total;
+        case "negate": {
+          const v = total(node.arg);
+          return isNum(v) ? -v : null;
+        }
+        case "binary":
+          return applyBinary(node.op, total(node.left), total(node.right));
+        default:
+          return call(node, total, null);
+      }
+    }
+
+    function call(node, evaluate, i) {
+      const [a, b, c] = node.args;
+      switch (node.fn) {
+        case "SUM":
+        case "AVG":
+        case "MIN":
+        case "MAX":
+          return fold(node);
+        case "PREV":
+          return at(a, i - (b ? b.value : 1));
+        case "ABS": {
+          const v = evaluate(a);
+          return isNum(v) ? Math.abs(v) : null;
+        }
+        case "IF": {
+          const cond = evaluate(a);
+          if (!isNum(cond)) return null;
+          return cond !== 0 ? evaluate(b) : evaluate(c);
+        }
+        default:
+          return null;
+      }
+    }
+
+    const values = Array.from({ length }, (_, i) => at(ast, i));
+    let value;
+    if (usesPrev) {
+      const last = values.filter(isNum);
+      value = last.length ? last[last.length - 1] : null;
+    } else {
+      value = total(ast);
+    }
+    return { series: values, value, usesPrev };
+  }
+
+  /**
+   * Evaluate the metric definitions in order against ctx ({ labels, series, metricKeys }):
+   * [{ id, name, formula, format, display, series: [per period], value, error }]
+   * A metric that fails keeps series [] / value null and carries the error message.
+   */
+  function evaluateMetrics(definitions, ctx) {
+    const computed = [];
+    (definitions || []).forEach((def) => {
+      const metric = { ...def, series: [], value: null, error: null };
+      try {
+        const result = evaluateFormula(parseFormula(def.formula), ctx, computed);
+        metric.series = result.series;
+        metric.value = result.value;
+      } catch (err) {
+        if (!(err instanceof FormulaError)) throw err;
+        metric.error = err.message;
+      }
+      computed.push(metric);
+    });
+    return computed;
+  }
+
+  // fmt: { money, number, ratio } formatters (same as Planner.scenarioTable)
+  function formatValue(value, format, fmt) {
+    if (!isNum(value)) return "—";
+    if (format === "money") return fmt.money(value);
+    if (format === "percent") return `${fmt.number(value * 100)}%`;
+    if (format === "ratio") return fmt.ratio(value);
+    return fmt.number(value);
+  }
+
+  // Per-period values for a chart; percent metrics are charted as 0-100 so the axis reads like the cards
+  function chartValues(metric) {
+    return metric.format === "percent" ? metric.series.map((v) => (isNum(v) ? v * 100 : null)) : metric.series;
+  }
+
+  // Returns a list of "metrics[1].formula: ..." style messages (empty when valid)
+  function validateMetrics(list) {
+    if (!Array.isArray(list)) return ["metrics: must be an array"];
+    const errors = [];
+    if (list.length > MAX_METRICS) errors.push(`metrics: at most ${MAX_METRICS}`);
+
+    const names = new Set();
+    list.forEach((m, i) => {
+      const at = `metrics[${i}]`;
+      if (!m || typeof m !== "object") return errors.push(`${at}: must be an object`);
+      if (!m.id || typeof m.id !== "string" || m.id.length > 40) errors.push(`${at}.id: required string`);
+      if (!m.name || typeof m.name !== "string" || !m.name.trim() || m.name.length > 60) {
+        errors.push(`${at}.name: 1-60 characters`);
+      } else if (names.has(m.name.trim().toLowerCase())) {
+        errors.push(`${at}.name: "${m.name.trim()}" is already used`);
+      } else {
+        names.add(m.name.trim().toLowerCase());
+      }
+      if (typeof m.formula !== "string") errors.push(`${at}.formula: required string`);
+      else {
+        try {
+          parseFormula(m.formula);
+        } catch (err) {
+          errors.push(`${at}.formula: ${err.message}`);
+        }
+      }
+      if (!FORMATS.includes(m.format)) errors.push(`${at}.format: one of ${FORMATS.join(", ")}`);
+      if (!DISPLAYS.includes(m.display)) errors.push(`${at}.display: one of ${DISPLAYS.join(", ")}`);
+    });
+    return errors;
+  }
+
+  return {
+    FORMATS,
+    DISPLAYS,
+    FUNCTIONS: Object.keys(FUNCTIONS),
+    MAX_METRICS,
+    AVERAGED_RE,
+    FormulaError,
+    parseFormula,
+    evaluateFormula,
+    evaluateMetrics,
+    formatValue,
+    chartValues,
+    validateMetrics,
+  };
+});
@@ -0,0 +1,81 @@
+/**
+ * Sign-in page (/api/auth/login). On a fresh install (no users yet) the same form creates
+ * the first admin account (/api/auth/setup). Goes back to ?next= (default: the dashboard).
+ */
+const authForm = document.getElementById("authForm");
+const formHint = document.getElementById("formHint");
+const nameField = document.getElementById("nameField");
+const nameInput = document.getElementById("nameInput");
+const usernameInput = document.getElementById("usernameInput");
+const passwordInput = document.getElementById("passwordInput");
+const submitBtn = document.getElementById("submitBtn");
+const statusEl = document.getElementById("status");
+
+let setupMode = false;
+
+function setStatus(msg, isError = false) {
+  statusEl.textContent = msg;
+  statusEl.className = "text-sm " + (isError ? "text-rose-300" : "text-slate-400");
+}
+
+// Only same-origin paths, so ?next= can't send anyone elsewhere ("/\evil.com" resolves off-site too)
+function nextUrl() {
+  const next = new URLSearchParams(window.location.search).get("next") || "/";
+  try {
+    const url = new URL(next, window.location.origin);
+    if (url.origin !== window.location.origin || next.includes("\\")) return "/";
+    // the absolute URL: a bare path like "//evil.com" (from "/.//evil.com") would be read as another host
+    return url.href;
+  } catch {
+    return "/";
+  }
+}
+
+async function checkSession() {
+  try {
+    const res = await fetch("/api/auth/session");
+    const data = await res.json();
+    if (res.ok) return window.location.replace(nextUrl());
+
+    setupMode = Boolean(data.setupRequired);
+    if (setupMode) {
+      formHint.textContent = "No accounts yet: create the first admin";
+      nameField.classList.remove("hidden");
+      passwordInput.autocomplete = "new-password";
+      submitBtn.textContent = "Create admin account";
+    }
+  } catch (err) {
+    console.error(err);
+    setStatus("Could not reach the server.", true);
+  }
+}
+
+async function submit(e) {
+  e.preventDefault();
+  submitBtn.disabled = true;
+  setStatus(setupMode ? "Creating account..." : "Signing in...");
+
+  const body = { username: usernameInput.value.trim(), password: passwordInput.value };
+  if (setupMode) body.name = nameInput.value.trim() || body.username;
+
+  try {
+    const res = await fetch(setupMode ? "/api/auth/setup" : "/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.details?.join(", ") || data.error || "Sign in failed.");
+    window.location.replace(nextUrl());
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+    passwordInput.value = "";
+    passwordInput.focus();
+  } finally {
+    submitBtn.disabled = false;
+  }
+}
+
+authForm.addEventListener("submit", submit);
+checkSession();
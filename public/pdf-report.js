@@ -0,0 +1,353 @@
+/**
+ * Paginated PDF report builder (vector text + vector charts) on top of jsPDF.
+ * Shared by the browser (window.jspdf) and server.js (require("jspdf")).
+ *
+ * buildReportPdf(jsPDF, report, { format: "a4" | "letter" }) -> jsPDF document
+ *
+ * report = {
+ *   title, clientName, period, sheetName, generatedAt, preparedBy,
+ *   locale,                                    // axis ticks + dates (values below arrive formatted)
+ *   kpis: [{ label, value, sub }],            // preformatted strings
+ *   targets: [{ label, value }],
+ *   assumptions: [string],                     // e.g. currency conversion notes, listed under the KPIs
+ *   recommendations: [{ level, title, why, actions }],
+ *   charts: [{ title, type: "line" | "bar", labels, datasets: [{ label, data, color, dashed }] }],
+ *   tables: [{ title, head: [...], rows: [[...]] }],
+ *   notes,
+ * }
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.PdfReport = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const MARGIN = 48;
+  const COLORS = {
+    text: [15, 23, 42],
+    muted: [100, 116, 139],
+    line: [226, 232, 240],
+    accent: [79, 70, 229],
+    high: [225, 29, 72],
+    med: [217, 119, 6],
+    low: [5, 150, 105],
+  };
+  const SEVERITY_LABELS = { high: "HIGH PRIORITY", med: "MEDIUM PRIORITY", low: "LOW PRIORITY" };
+
+  // Standard PDF fonts only cover WinAnsi; swap the symbols we know and drop the rest
+  const SYMBOL_MAP = {
+    "₱": "PHP ",
+    "₹": "INR ",
+    "₩": "KRW ",
+    "₫": "VND ",
+    "฿": "THB ",
+    "₺": "TRY ",
+    "₽": "RUB ",
+    "₪": "ILS ",
+    "₦": "NGN ",
+    "\u202f": " ", // narrow no-break space (fr-FR grouping)
+    "\u2009": " ",
+    "▲": "+",
+    "▼": "-",
+    "≥": ">=",
+    "≤": "<=",
+    "≈": "~",
+    "−": "-",
+    "→": "->",
+  };
+  const WINANSI_EXTRA = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ";
+
+  function pdfText(v) {
+    return Array.from(String(v ?? ""))
+      .map((ch) => {
+        if (SYMBOL_MAP[ch]) return SYMBOL_MAP[ch];
+        if (ch.charCodeAt(0) <= 0xff || WINANSI_EXTRA.includes(ch)) return ch;
+        return "";
+      })
+      .join("");
+  }
+
+  function compactNumber(n, locale = "en-PH") {
+    return pdfText(new Intl.NumberFormat(locale, { notation: "compact", maximumFractionDigits: 1 }).format(n));
+  }
+
+  function hexToRgb(hex) {
+    const m = String(hex || "").match(/^#?([0-9a-f]{6})$/i);
+    if (!m) return COLORS.accent;
+    const v = parseInt(m[1], 16);
+    return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+  }
+
+  function createWriter(doc) {
+    const pageW = doc.internal.pageSize.getWidth();
+    const pageH = doc.internal.pageSize.getHeight();
+    const w = { doc, pageW, pageH, contentW: pageW - MARGIN * 2, y: MARGIN };
+
+    w.newPage = () => {
+      doc.addPage();
+      w.y = MARGIN;
+    };
+    w.ensure = (h) => {
+      if (w.y + h > pageH - MARGIN - 20) w.newPage();
+    };
+    w.text = (str, { size = 10, bold = false, color = COLORS.text, indent = 0, gap = 4 } = {}) => {
+      doc.setFont("helvetica", bold ? "bold" : "normal");
+      doc.setFontSize(size);
+      doc.setTextColor(...color);
+      const lines = doc.splitTextToSize(pdfText(str), w.contentW - indent);
+      const lineH = size * 1.25;
+      lines.forEach((line) => {
+        w.ensure(lineH);
+        doc.text(line, MARGIN + indent, w.y + size);
+        w.y += lineH;
+      });
+      w.y += gap;
+    };
+    w.heading = (str) => {
+      w.ensure(40);
+      w.y += 6;
+      w.text(str, { size: 15, bold: true, gap: 2 });
+      doc.setDrawColor(...COLORS.accent);
+      doc.setLineWidth(1.5);
+      doc.line(MARGIN, w.y, MARGIN + 40, w.y);
+      w.y += 12;
+    };
+    return w;
+  }
+
+  function drawCover(w, report) {
+    const { doc, pageW, pageH } = w;
+    doc.setFillColor(...COLORS.accent);
+    doc.rect(0, 0, pageW, 8, "F");
+
+    w.y = pageH * 0.28;
+    w.text(report.title || "Analytics Report", { size: 12, bold: true, color: COLORS.accent, gap: 10 });
+    w.text(report.clientName || "Client", { size: 30, bold: true, gap: 8 });
+    w.text("Performance Report", { size: 16, color: COLORS.muted, gap: 24 });
+
+    const meta = [
+      ["Period", report.period],
+      ["Source sheet", report.sheetName],
+      ["Generated", report.generatedAt ? new Date(report.generatedAt).toLocaleString(report.locale || "en-US") : ""],
+      ["Prepared by", report.preparedBy],
+    ].filter(([, v]) => v);
+    meta.forEach(([k, v]) => w.text(`${k}: ${v}`, { size: 11, color: COLORS.muted, gap: 2 }));
+  }
+
+  // Simple grid table with a header row; wraps cell text and repeats the header on new pages
+  function drawTable(w, { head, rows, widths }) {
+    const { doc } = w;
+    const cols = head.length;
+    const colW = widths || head.map(() => w.contentW / cols);
+    const pad = 5;
+    const size = 9;
+
+    const rowHeight = (cells, bold) => {
+      doc.setFont("helvetica", bold ? "bold" : "normal");
+      doc.setFontSize(size);
+      return Math.max(...cells.map((c, i) => doc.splitTextToSize(pdfText(c), colW[i] - pad * 2).length)) * size * 1.25 + pad * 2;
+    };
+
+    const drawRow = (cells, { bold = false, fill = null } = {}) => {
+      const h = rowHeight(cells, bold);
+      if (w.y + h > w.pageH - MARGIN - 20) {
+        w.newPage();
+        if (!bold) drawRow(head, { bold: true, fill: [241, 245, 249] });
+      }
+      let x = MARGIN;
+      cells.forEach((c, i) => {
+        if (fill) {
+          doc.setFillColor(...fill);
+          doc.rect(x, w.y, colW[i], h, "F");
+        }
+        doc.setDrawColor(...COLORS.line);
+        doc.setLineWidth(0.5);
+        doc.rect(x, w.y, colW[i], h);
+        doc.setFont("helvetica", bold ? "bold" : "normal");
+        doc.setFontSize(size);
+        doc.setTextColor(...COLORS.text);
+        doc.text(doc.splitTextToSize(pdfText(c), colW[i] - pad * 2), x + pad, w.y + pad + size);
+        x += colW[i];
+      });
+      w.y += h;
+    };
+
+    drawRow(head, { bold: true, fill: [241, 245, 249] });
+    rows.forEach((r) => drawRow(r.map((c) => (c === null || c === undefined ? "" : String(c)))));
+    w.y += 12;
+  }
+
+  function drawChart(w, chart) {
+    const { doc } = w;
+    const height = 200;
+    w.ensure(height + 40);
+    w.text(chart.title, { size: 11, bold: true, gap: 6 });
+
+    const labels = chart.labels || [];
+    const datasets = (chart.datasets || []).filter((d) => Array.isArray(d.data));
+    const values = datasets.flatMap((d) => d.data).filter((v) => typeof v === "number" && Number.isFinite(v));
+
+    const x0 = MARGIN + 40;
+    const y0 = w.y;
+    const plotW = w.contentW - 40;
+    const plotH = height - 30;
+
+    if (!labels.length || !values.length) {
+      w.text("No data", { size: 9, color: COLORS.muted });
+      return;
+    }
+
+    let min = Math.min(0, ...values);
+    let max = Math.max(...values);
+    if (max === min) max = min + 1;
+    const yOf = (v) => y0 + plotH - ((v - min) / (max - min)) * plotH;
+    const step = plotW / Math.max(labels.length, 1);
+    const xOf = (i) => x0 + step * i + step / 2;
+
+    // Gridlines + y ticks
+    doc.setFontSize(7);
+    doc.setFont("helvetica", "normal");
+    for (let t = 0; t <= 4; t++) {
+      const v = min + ((max - min) * t) / 4;
+      const y = yOf(v);
+      doc.setDrawColor(...COLORS.line);
+      doc.setLineWidth(0.5);
+      doc.line(x0, y, x0 + plotW, y);
+      doc.setTextColor(...COLORS.muted);
+      doc.text(compactNumber(v, w.locale), x0 - 4, y + 2, { align: "right" });
+    }
+
+    // X labels (thinned so they don't collide)
+    const every = Math.ceil(labels.length / 12);
+    labels.forEach((l, i) => {
+      if (i % every !== 0) return;
+      doc.text(pdfText(l), xOf(i), y0 + plotH + 10, { align: "center" });
+    });
+
+    datasets.forEach((ds, di) => {
+      const rgb = hexToRgb(ds.color);
+      doc.setDrawColor(...rgb);
+      doc.setFillColor(...rgb);
+      if (chart.type === "bar" && !ds.dashed) {
+        const barW = (step * 0.7) / datasets.filter((d) => !d.dashed).length;
+        ds.data.forEach((v, i) => {
+          if (typeof v !== "number" || !Number.isFinite(v)) return;
+          const top = yOf(Math.max(v, 0));
+          const bottom = yOf(Math.min(v, 0));
+          doc.rect(xOf(i) - step * 0.35 + barW * di, top, barW, Math.max(bottom - top, 0.5), "F");
+        });
+        return;
+      }
+
+      doc.setLineWidth(ds.dashed ? 1 : 1.8);
+      if (ds.dashed && doc.setLineDashPattern) doc.setLineDashPattern([4, 3], 0);
+      let prev = null;
+      ds.data.forEach((v, i) => {
+        if (typeof v !== "number" || !Number.isFinite(v)) {
+          prev = null;
+          return;
+        }
+        const pt = [xOf(i), yOf(v)];
+        if (prev) doc.line(prev[0], prev[1], pt[0], pt[1]);
+        if (!ds.dashed) doc.circle(pt[0], pt[1], 1.6, "F");
+        prev = pt;
+      });
+      if (ds.dashed && doc.setLineDashPattern) doc.setLineDashPattern([], 0);
+    });
+
+    // Legend
+    let lx = x0;
+    const ly = y0 + plotH + 22;
+    datasets.forEach((ds) => {
+      doc.setFillColor(...hexToRgb(ds.color));
+      doc.rect(lx, ly - 5, 8, 6, "F");
+      doc.setTextColor(...COLORS.muted);
+      doc.text(pdfText(ds.label), lx + 11, ly);
+      lx += doc.getTextWidth(pdfText(ds.label)) + 24;
+    });
+
+    w.y = y0 + height + 8;
+  }
+
+  function drawRecommendations(w, recs) {
+    recs.forEach((rec) => {
+      const color = COLORS[rec.level] || COLORS.low;
+      w.ensure(50);
+      w.text(SEVERITY_LABELS[rec.level] || "", { size: 7, bold: true, color, gap: 0 });
+      w.text(rec.title, { size: 11, bold: true, gap: 1 });
+      w.text(rec.why, { size: 9, color: COLORS.muted, gap: 2 });
+      (rec.actions || []).forEach((a) => w.text(`•  ${a}`, { size: 9, indent: 10, gap: 0 }));
+      w.y += 8;
+    });
+  }
+
+  function drawFooters(doc, report) {
+    const total = doc.internal.getNumberOfPages();
+    const pageW = doc.internal.pageSize.getWidth();
+    const pageH = doc.internal.pageSize.getHeight();
+    for (let i = 1; i <= total; i++) {
+      doc.setPage(i);
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(8);
+      doc.setTextColor(...COLORS.muted);
+      doc.text(pdfText(`${report.clientName || ""}${report.period ? " · " + report.period : ""}`), MARGIN, pageH - 24);
+      doc.text(`Page ${i} of ${total}`, pageW - MARGIN, pageH - 24, { align: "right" });
+    }
+  }
+
+  function buildReportPdf(jsPDF, report, { format = "a4" } = {}) {
+    const doc = new jsPDF({ orientation: "portrait", unit: "pt", format, compress: true });
+    doc.setProperties({
+      title: pdfText(`${report.title || "Report"} - ${report.clientName || ""}`),
+      author: pdfText(report.preparedBy || ""),
+    });
+    const w = createWriter(doc);
+    w.locale = report.locale;
+
+    drawCover(w, report);
+
+    w.newPage();
+    w.heading("KPI Summary");
+    drawTable(w, {
+      head: ["Metric", "Value", "Detail"],
+      rows: (report.kpis || []).map((k) => [k.label, k.value, k.sub || ""]),
+      widths: [w.contentW * 0.3, w.contentW * 0.3, w.contentW * 0.4],
+    });
+
+    if ((report.assumptions || []).length) {
+      w.heading("Currency conversion");
+      report.assumptions.forEach((a) => w.text(`•  ${a}`, { size: 9, color: COLORS.muted, gap: 2 }));
+      w.y += 8;
+    }
+
+    if ((report.targets || []).length) {
+      w.heading("Targets");
+      drawTable(w, { head: ["Target", "Value"], rows: report.targets.map((t) => [t.label, t.value]) });
+    }
+
+    if ((report.recommendations || []).length) {
+      w.heading("Recommendations");
+      drawRecommendations(w, report.recommendations);
+    }
+
+    if ((report.charts || []).length) {
+      w.newPage();
+      w.heading("Trends");
+      report.charts.forEach((c) => drawChart(w, c));
+    }
+
+    (report.tables || []).forEach((t) => {
+      if (!t.rows || !t.rows.length) return;
+      w.heading(t.title);
+      drawTable(w, { head: t.head, rows: t.rows, widths: t.widths });
+    });
+
+    if (report.notes && String(report.notes).trim()) {
+      w.heading("Notes");
+      w.text(report.notes, { size: 10 });
+    }
+
+    drawFooters(doc, report);
+    return doc;
+  }
+
+  return { buildReportPdf, pdfText };
+});
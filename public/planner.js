@@ -0,0 +1,236 @@
+/**
+ * Budget scenario planner (shared by the browser and server.js).
+ *
+ * Scenarios are saved on the client profile as inputs only:
+ * { id, name, mode: "budget" | "change", value, months: 1-12, curve: "linear" | "diminishing" }
+ * - budget: spend `value` every month
+ * - change: last month's spend changed by `value` % per month (compounding)
+ *
+ * Estimates are recomputed from whatever history is shown ({ series, metricKeys }):
+ * - linear: messages = spend ÷ cost per message, revenue = spend × ROAS
+ * - diminishing: messages = a·spend^b and revenue = c·spend^d fitted on the log-log history
+ *   (needs 3+ months with different spend; b and d are capped at 1, i.e. never better than linear)
+ * In both, customers = messages × conversion rate (customers ÷ messages).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.Planner = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const MODES = ["budget", "change"];
+  const CURVES = ["linear", "diminishing"];
+  const MAX_MONTHS = 12;
+  const MAX_SCENARIOS = 6;
+
+  const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+  const ratio = (a, b) => (isNum(a) && isNum(b) && b !== 0 ? a / b : null);
+  const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+
+  function seriesOf(ctx, metric) {
+    const key = ctx.metricKeys?.[metric];
+    return key ? ctx.series?.[key] || [] : [];
+  }
+
+  // Sums over the periods where both series have a value, so partial rows don't skew the rate
+  function pairedRate(a, b) {
+    let top = 0;
+    let bottom = 0;
+    let n = 0;
+    a.forEach((x, i) => {
+      if (!isNum(x) || !isNum(b[i])) return;
+      top += x;
+      bottom += b[i];
+      n += 1;
+    });
+    return n ? ratio(top, bottom) : null;
+  }
+
+  // y = a·x^b by least squares on (ln x, ln y); null when there is nothing to fit
+  function fitPowerCurve(xs, ys) {
+    const pts = [];
+    xs.forEach((x, i) => {
+      if (isNum(x) && isNum(ys[i]) && x > 0 && ys[i] > 0) pts.push([Math.log(x), Math.log(ys[i])]);
+    });
+    if (pts.length < 3) return null;
+
+    const n = pts.length;
+    const mx = sum(pts.map((p) => p[0])) / n;
+    const my = sum(pts.map((p) => p[1])) / n;
+    const sxx = sum(pts.map((p) => (p[0] - mx) ** 2));
+    if (sxx < 1e-6) return null;
+    const fitted = sum(pts.map((p) => (p[0] - mx) * (p[1] - my))) / sxx;
+    if (fitted <= 0) return null;
+
+    const b = Math.min(fitted, 1);
+    const lnA = my - b * mx;
+    const ssTot = sum(pts.map((p) => (p[1] - my) ** 2));
+    const ssRes = sum(pts.map((p) => (p[1] - (lnA + b * p[0])) ** 2));
+    return { a: Math.exp(lnA), b, capped: fitted > 1, r2: ssTot ? 1 - ssRes / ssTot : 1, n };
+  }
+
+  /** Rates and totals from the history, also used for the "Avg month" comparison column. */
+  function historyProfile(ctx) {
+    const spend = seriesOf(ctx, "spent");
+    const messages = seriesOf(ctx, "messages");
+    const customers = seriesOf(ctx, "customers");
+    const revenue = seriesOf(ctx, "revenue");
+    const spendMonths = spend.filter(isNum);
+
+    return {
+      spend,
+      messages,
+      revenue,
+      months: spendMonths.length,
+      lastSpend: spendMonths.length ? spendMonths[spendMonths.length - 1] : null,
+      totals: {
+        spend: spendMonths.length ? sum(spendMonths) : null,
+        messages: messages.some(isNum) ? sum(messages.filter(isNum)) : null,
+        customers: customers.some(isNum) ? sum(customers.filter(isNum)) : null,
+        revenue: revenue.some(isNum) ? sum(revenue.filter(isNum)) : null,
+      },
+      costPerMessage: pairedRate(spend, messages),
+      conversion: pairedRate(customers, messages),
+      roas: pairedRate(revenue, spend),
+    };
+  }
+
+  function monthlySpend(scenario, history) {
+    const months = Array.from({ length: scenario.months }, (_, i) => i + 1);
+    if (scenario.mode === "budget") return months.map(() => scenario.value);
+    if (!isNum(history.lastSpend)) return [];
+    return months.map((m) => history.lastSpend * (1 + scenario.value / 100) ** m);
+  }
+
+  const fmtExp = (fit) => `^${fit.b.toFixed(2)}`;
+
+  /**
+   * Estimate one scenario against the history:
+   * { scenario, curve, months: [{ spend, messages, customers, revenue }], totals, kpis, notes }
+   */
+  function estimateScenario(scenario, ctx, history = historyProfile(ctx)) {
+    const notes = [];
+    const spends = monthlySpend(scenario, history);
+    if (!spends.length) notes.push("No spend history to apply a % change to.");
+
+    let curve = scenario.curve === "diminishing" ? "diminishing" : "linear";
+    let msgFit = null;
+    let revFit = null;
+    if (curve === "diminishing") {
+      msgFit = fitPowerCurve(history.spend, history.messages);
+      revFit = fitPowerCurve(history.spend, history.revenue);
+      if (!msgFit && !revFit) {
+        curve = "linear";
+        notes.push("Not enough months with different spend for a diminishing-returns fit; used linear rates.");
+      } else {
+        if (msgFit) notes.push(`Messages ≈ spend${fmtExp(msgFit)} (r² ${msgFit.r2.toFixed(2)}, ${msgFit.n} months).`);
+        if (revFit) notes.push(`Revenue ≈ spend${fmtExp(revFit)} (r² ${revFit.r2.toFixed(2)}, ${revFit.n} months).`);
+        if (msgFit?.capped || revFit?.capped) notes.push("History shows no diminishing returns; capped at linear.");
+      }
+    }
+
+    const months = spends.map((spend) => {
+      const messages = msgFit ? msgFit.a * spend ** msgFit.b : ratio(spend, history.costPerMessage);
+      const revenue = revFit ? revFit.a * spend ** revFit.b : isNum(history.roas) ? spend * history.roas : null;
+      const customers = isNum(messages) && isNum(history.conversion) ? messages * history.conversion : null;
+      return { spend, messages, customers, revenue };
+    });
+
+    const total = (key) => (months.length && months.every((m) => isNum(m[key])) ? sum(months.map((m) => m[key])) : null);
+    const totals = { spend: total("spend"), messages: total("messages"), customers: total("customers"), revenue: total("revenue") };
+    return {
+      scenario,
+      curve,
+      months,
+      totals,
+      kpis: {
+        costPerMessage: ratio(totals.spend, totals.messages),
+        cac: ratio(totals.spend, totals.customers),
+        roas: ratio(totals.revenue, totals.spend),
+      },
+      notes,
+    };
+  }
+
+  /**
+   * Side-by-side comparison: "Avg month (history)" then one column per scenario.
+   * fmt: { money, number, ratio } formatters; returns { head, rows } ready for a report table.
+   */
+  function scenarioTable(ctx, scenarios, fmt) {
+    const history = historyProfile(ctx);
+    const results = scenarios.map((s) => estimateScenario(s, ctx, history));
+    const perMonth = (v, n) => (isNum(v) && n ? v / n : null);
+
+    const columns = [
+      {
+        months: history.months,
+        totals: history.totals,
+        kpis: {
+          costPerMessage: ratio(history.totals.spend, history.totals.messages),
+          cac: ratio(history.totals.spend, history.totals.customers),
+          roas: ratio(history.totals.revenue, history.totals.spend),
+        },
+        model: "Actual",
+      },
+      ...results.map((r) => ({
+        months: r.months.length,
+        totals: r.totals,
+        kpis: r.kpis,
+        model: r.curve === "diminishing" ? "Diminishing returns" : "Linear rates",
+      })),
+    ];
+
+    const row = (label, pick) => [label, ...columns.map(pick)];
+    return {
+      head: ["", "Avg month (history)", ...scenarios.map((s) => s.name)],
+      rows: [
+        row("Months", (c) => String(c.months)),
+        row("Spend / month", (c) => fmt.money(perMonth(c.totals.spend, c.months))),
+        row("Messages / month", (c) => fmt.number(perMonth(c.totals.messages, c.months))),
+        row("Customers / month", (c) => fmt.number(perMonth(c.totals.customers, c.months))),
+        row("Revenue / month", (c) => fmt.money(perMonth(c.totals.revenue, c.months))),
+        row("Cost / message", (c) => fmt.money(c.kpis.costPerMessage)),
+        row("CAC", (c) => fmt.money(c.kpis.cac)),
+        row("ROAS", (c) => fmt.ratio(c.kpis.roas)),
+        row("Total spend", (c) => fmt.money(c.totals.spend)),
+        row("Total revenue", (c) => fmt.money(c.totals.revenue)),
+        row("Model", (c) => c.model),
+      ],
+      results,
+    };
+  }
+
+  // Returns a list of "scenarios[1].months: ..." style messages (empty when valid)
+  function validateScenarios(list) {
+    if (!Array.isArray(list)) return ["scenarios: must be an array"];
+    const errors = [];
+    if (list.length > MAX_SCENARIOS) errors.push(`scenarios: at most ${MAX_SCENARIOS}`);
+
+    list.forEach((s, i) => {
+      const at = `scenarios[${i}]`;
+      if (!s || typeof s !== "object") return errors.push(`${at}: must be an object`);
+      if (!s.id || typeof s.id !== "string" || s.id.length > 40) errors.push(`${at}.id: required string`);
+      const name = typeof s.name === "string" ? s.name.trim() : "";
+      if (!name || name.length > 60) errors.push(`${at}.name: 1-60 characters`);
+      if (!MODES.includes(s.mode)) errors.push(`${at}.mode: one of ${MODES.join(", ")}`);
+      if (!isNum(s.value)) errors.push(`${at}.value: must be a number`);
+      else if (s.mode === "budget" && s.value < 0) errors.push(`${at}.value: budget can't be negative`);
+      else if (s.mode === "change" && s.value <= -100) errors.push(`${at}.value: change must be above -100%`);
+      if (!Number.isInteger(s.months) || s.months < 1 || s.months > MAX_MONTHS) {
+        errors.push(`${at}.months: whole number 1-${MAX_MONTHS}`);
+      }
+      if (!CURVES.includes(s.curve)) errors.push(`${at}.curve: one of ${CURVES.join(", ")}`);
+    });
+    return errors;
+  }
+
+  return {
+    MODES,
+    CURVES,
+    MAX_MONTHS,
+    MAX_SCENARIOS,
+    historyProfile,
+    fitPowerCurve,
+    estimateScenario,
+    scenarioTable,
+    validateScenarios,
+  };
+});
@@ -0,0 +1,268 @@
+/**
+ * Recommendation rule engine (shared by the browser and server.js).
+ *
+ * A rule pack is JSON:
+ * {
+ *   "name": "default",
+ *   "rules": [{
+ *     "id": "roas-below-target",
+ *     "title": "Campaign not profitable",
+ *     "severity": "high" | "med" | "low",
+ *     "when": { "metric": "roas", "op": "<", "value": "$targets.roas" },
+ *     "message": "ROAS is {value|2} (target {threshold|2}+)",
+ *     "actions": ["..."]
+ *   }],
+ *   "fallback": { "title": "...", "severity": "low", "message": "...", "actions": [] }
+ * }
+ *
+ * Metric expressions:
+ * - KPI names: roas, cac, costPerMessage, spent, messages, revenue, customers (totals)
+ * - fn(series): avg, sum, min, max, last, prev, count, pctChange (last vs prev, in %)
+ * - series: canonical metrics (spent, messages, revenue, customers, cac, ctr), derived
+ *   per-period series (costPerMessage, roas, aov, conversionRate) or any row name in the payload
+ *
+ * Ops: < <= > >= == != plus "rising" / "falling" (strictly, over the last `periods` values).
+ * "value" is a number or "$targets.<name>"; rules whose metric or threshold is missing are skipped.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.RuleEngine = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const SEVERITIES = ["high", "med", "low"];
+  const COMPARE_OPS = ["<", "<=", ">", ">=", "==", "!="];
+  const TREND_OPS = ["rising", "falling"];
+  const FUNCTIONS = ["avg", "sum", "min", "max", "last", "prev", "count", "pctChange"];
+
+  // Rows some sheets already carry for derived series (preferred over recomputing)
+  const DERIVED_ROW_NAMES = {
+    costPerMessage: ["Cost Per Message", "Cost/Message", "Cost per message"],
+  };
+
+  function finite(arr) {
+    return (arr || []).filter((v) => typeof v === "number" && Number.isFinite(v));
+  }
+
+  function findSeriesKey(series, name) {
+    const keys = Object.keys(series || {});
+    const w = String(name).toLowerCase();
+    return keys.find((k) => k.toLowerCase() === w) || keys.find((k) => k.toLowerCase().includes(w)) || null;
+  }
+
+  function divideSeries(a = [], b = [], scale = 1) {
+    const len = Math.max(a.length, b.length);
+    const out = [];
+    for (let i = 0; i < len; i++) {
+      const x = a[i];
+      const y = b[i];
+      if (!Number.isFinite(x) || !Number.isFinite(y) || y === 0) out.push(null);
+      else out.push((x / y) * scale);
+    }
+    return out;
+  }
+
+  function resolveSeries(ctx, ref) {
+    const { series = {}, metricKeys = {} } = ctx;
+    const canonical = (m) => (metricKeys[m] ? series[metricKeys[m]] || [] : []);
+
+    if (Object.prototype.hasOwnProperty.call(metricKeys, ref)) return canonical(ref);
+
+    if (DERIVED_ROW_NAMES[ref]) {
+      for (const name of DERIVED_ROW_NAMES[ref]) {
+        const key = findSeriesKey(series, name);
+        if (key && series[key].length >= 2) return series[key];
+      }
+    }
+    if (ref === "costPerMessage") return divideSeries(canonical("spent"), canonical("messages"));
+    if (ref === "roas") return divideSeries(canonical("revenue"), canonical("spent"));
+    if (ref === "aov") return divideSeries(canonical("revenue"), canonical("customers"));
+    if (ref === "conversionRate") return divideSeries(canonical("customers"), canonical("messages"), 100);
+
+    if (series[ref]) return series[ref];
+    const key = findSeriesKey(series, ref);
+    return key ? series[key] : null;
+  }
+
+  function applyFunction(fn, values) {
+    const nums = finite(values);
+    if (fn === "count") return nums.length;
+    if (!nums.length) return null;
+
+    switch (fn) {
+      case "avg":
+        return nums.reduce((a, b) => a + b, 0) / nums.length;
+      case "sum":
+        return nums.reduce((a, b) => a + b, 0);
+      case "min":
+        return Math.min(...nums);
+      case "max":
+        return Math.max(...nums);
+      case "last":
+        return nums[nums.length - 1];
+      case "prev":
+        return nums.length >= 2 ? nums[nums.length - 2] : null;
+      case "pctChange": {
+        if (nums.length < 2) return null;
+        const last = nums[nums.length - 1];
+        const prev = nums[nums.length - 2];
+        return prev !== 0 ? (last / prev - 1) * 100 : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  function evaluateExpression(ctx, expr) {
+    const text = String(expr || "").trim();
+    const call = text.match(/^(\w+)\((.+)\)$/);
+    if (call) {
+      if (!FUNCTIONS.includes(call[1])) return null;
+      const values = resolveSeries(ctx, call[2].trim());
+      return values ? applyFunction(call[1], values) : null;
+    }
+
+    const kpis = ctx.kpis || {};
+    const v = kpis.kpis?.[text] ?? kpis.totals?.[text];
+    return Number.isFinite(v) ? v : null;
+  }
+
+  function resolveThreshold(ctx, value) {
+    if (typeof value === "number") return value;
+    const ref = String(value ?? "").match(/^\$targets\.(\w+)$/);
+    if (ref) {
+      const t = ctx.targets?.[ref[1]];
+      return Number.isFinite(t) ? t : null;
+    }
+    const n = Number(value);
+    return value !== "" && Number.isFinite(n) ? n : null;
+  }
+
+  function compare(op, a, b) {
+    switch (op) {
+      case "<":
+        return a < b;
+      case "<=":
+        return a <= b;
+      case ">":
+        return a > b;
+      case ">=":
+        return a >= b;
+      case "==":
+        return a === b;
+      case "!=":
+        return a !== b;
+      default:
+        return false;
+    }
+  }
+
+  function isTrend(values, op, periods) {
+    const nums = finite(values);
+    const n = Math.max(Number(periods) || 2, 2);
+    if (nums.length < n) return false;
+    const tail = nums.slice(-n);
+    for (let i = 1; i < tail.length; i++) {
+      if (op === "rising" && !(tail[i] > tail[i - 1])) return false;
+      if (op === "falling" && !(tail[i] < tail[i - 1])) return false;
+    }
+    return true;
+  }
+
+  function formatValue(ctx, v, format) {
+    if (!Number.isFinite(v)) return "—";
+    const locale = ctx.locale || "en-PH";
+    if (format === "money") {
+      return ctx.formatMoney ? ctx.formatMoney(v) : v.toLocaleString(locale, { maximumFractionDigits: 2 });
+    }
+    if (/^\d$/.test(format || "")) {
+      const digits = Number(format);
+      return v.toLocaleString(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+    return v.toLocaleString(locale, { maximumFractionDigits: 2 });
+  }
+
+  // "{value|2}", "{threshold|money}", "{last(costPerMessage)|money}"
+  function renderTemplate(ctx, template, vars) {
+    return String(template || "").replace(/\{([^{}|]+)(?:\|([^{}]+))?\}/g, (_, expr, format) => {
+      const name = expr.trim();
+      const v = Object.prototype.hasOwnProperty.call(vars, name) ? vars[name] : evaluateExpression(ctx, name);
+      return formatValue(ctx, v, format && format.trim());
+    });
+  }
+
+  function evaluateRule(ctx, rule) {
+    const when = rule.when || {};
+
+    if (TREND_OPS.includes(when.op)) {
+      const values = resolveSeries(ctx, when.metric);
+      if (!values || !isTrend(values, when.op, when.periods)) return null;
+      return { value: applyFunction("last", values), threshold: Number(when.periods) || 2 };
+    }
+
+    const value = evaluateExpression(ctx, when.metric);
+    const threshold = resolveThreshold(ctx, when.value);
+    if (!Number.isFinite(value) || !Number.isFinite(threshold)) return null;
+    return compare(when.op, value, threshold) ? { value, threshold } : null;
+  }
+
+  function toRecommendation(ctx, rule, vars) {
+    return {
+      id: rule.id,
+      level: SEVERITIES.includes(rule.severity) ? rule.severity : "low",
+      title: rule.title,
+      why: renderTemplate(ctx, rule.message, vars),
+      actions: Array.isArray(rule.actions) ? rule.actions : [],
+    };
+  }
+
+  /**
+   * Evaluate a pack against { labels, series, metricKeys, kpis, targets, formatMoney?, locale? }.
+   * Returns recommendations sorted by severity (high first).
+   */
+  function evaluatePack(pack, ctx) {
+    const recs = [];
+    (pack?.rules || []).forEach((rule) => {
+      if (rule.enabled === false) return;
+      const hit = evaluateRule(ctx, rule);
+      if (hit) recs.push(toRecommendation(ctx, rule, hit));
+    });
+
+    if (!recs.length && pack?.fallback) recs.push(toRecommendation(ctx, pack.fallback, {}));
+
+    return recs.sort((a, b) => SEVERITIES.indexOf(a.level) - SEVERITIES.indexOf(b.level));
+  }
+
+  // Returns a list of "rules[2].when.op: ..." style messages (empty when valid)
+  function validatePack(pack) {
+    const errors = [];
+    if (!pack || typeof pack !== "object" || Array.isArray(pack)) return ["pack: must be an object"];
+    if (!Array.isArray(pack.rules)) errors.push("rules: must be an array");
+
+    (pack.rules || []).forEach((rule, i) => {
+      const at = `rules[${i}]`;
+      if (!rule || typeof rule !== "object") return errors.push(`${at}: must be an object`);
+      if (!rule.id || typeof rule.id !== "string") errors.push(`${at}.id: required string`);
+      if (!rule.title || typeof rule.title !== "string") errors.push(`${at}.title: required string`);
+      if (!SEVERITIES.includes(rule.severity)) errors.push(`${at}.severity: one of ${SEVERITIES.join(", ")}`);
+      if (rule.actions !== undefined && !Array.isArray(rule.actions)) errors.push(`${at}.actions: must be an array`);
+
+      const when = rule.when || {};
+      if (!when.metric || typeof when.metric !== "string") errors.push(`${at}.when.metric: required string`);
+      if (![...COMPARE_OPS, ...TREND_OPS].includes(when.op)) {
+        errors.push(`${at}.when.op: one of ${[...COMPARE_OPS, ...TREND_OPS].join(" ")}`);
+      }
+      if (COMPARE_OPS.includes(when.op) && when.value === undefined) errors.push(`${at}.when.value: required`);
+      if (TREND_OPS.includes(when.op) && when.periods !== undefined && !(Number(when.periods) >= 2)) {
+        errors.push(`${at}.when.periods: must be 2 or more`);
+      }
+      const call = String(when.metric || "").match(/^(\w+)\(/);
+      if (call && !FUNCTIONS.includes(call[1])) errors.push(`${at}.when.metric: unknown function ${call[1]}()`);
+    });
+
+    if (pack.fallback !== undefined && (!pack.fallback || typeof pack.fallback.title !== "string")) {
+      errors.push("fallback.title: required string");
+    }
+    return errors;
+  }
+
+  return { evaluatePack, validatePack, evaluateExpression, resolveSeries, renderTemplate };
+});
@@ -0,0 +1,169 @@
+/**
+ * User management (admins only, /api/users):
+ * - add users with a role (admin | analyst) and the clients they are assigned to
+ * - change role / clients, reset a password, delete an account
+ * The server keeps at least one admin and won't let you delete yourself.
+ */
+const newUserForm = document.getElementById("newUserForm");
+const newUsernameInput = document.getElementById("newUsernameInput");
+const newNameInput = document.getElementById("newNameInput");
+const newPasswordInput = document.getElementById("newPasswordInput");
+const newRoleSelect = document.getElementById("newRoleSelect");
+const newClientList = document.getElementById("newClientList");
+const userList = document.getElementById("userList");
+const statusEl = document.getElementById("status");
+
+const state = { users: [], clients: [], me: null };
+
+function setStatus(msg, isError = false) {
+  statusEl.textContent = msg;
+  statusEl.className = "text-sm " + (isError ? "text-rose-300" : "text-slate-400");
+}
+
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+// fetch + JSON with the server's error (and validation details) thrown as one message
+async function api(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: options.body ? { "Content-Type": "application/json" } : undefined,
+  });
+  const data = await res.json();
+  if (res.status === 401) window.location.assign("/login.html?next=/users.html");
+  if (!res.ok) throw new Error([data.error, ...(data.details || [])].filter(Boolean).join(" "));
+  return data;
+}
+
+function clientCheckboxes(selected, name) {
+  if (!state.clients.length) return `<span class="text-xs text-slate-500">No clients yet.</span>`;
+  return state.clients
+    .map(
+      (c) => `
+      <label class="flex items-center gap-1">
+        <input type="checkbox" name="${name}" value="${escapeHtml(c.id)}" class="accent-indigo-500" ${
+          selected.includes(c.id) ? "checked" : ""
+        } />
+        ${escapeHtml(c.name)}
+      </label>`
+    )
+    .join("");
+}
+
+const checkedClients = (root, name) => [...root.querySelectorAll(`input[name="${name}"]:checked`)].map((el) => el.value);
+
+async function load() {
+  try {
+    const [session, users, clients] = await Promise.all([
+      api("/api/auth/session"),
+      api("/api/users"),
+      api("/api/clients"),
+    ]);
+    state.me = session.user;
+    state.users = users.users;
+    state.clients = clients.clients;
+    newClientList.innerHTML = clientCheckboxes([], "newClients");
+    renderUsers();
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+function renderUsers() {
+  userList.innerHTML = "";
+  state.users.forEach((u) => {
+    const li = document.createElement("li");
+    li.className = "py-3";
+    const isMe = u.username === state.me?.username;
+    li.innerHTML = `
+      <div class="flex flex-wrap items-center justify-between gap-3">
+        <div class="min-w-0">
+          <div class="font-medium">${escapeHtml(u.name)} ${isMe ? `<span class="text-xs text-indigo-300">(you)</span>` : ""}</div>
+          <div class="text-xs text-slate-400">${escapeHtml(u.username)} · added ${new Date(u.createdAt).toLocaleDateString()}</div>
+        </div>
+        <div class="flex shrink-0 items-center gap-2">
+          <select data-field="role" class="rounded-lg bg-slate-900 border border-white/10 px-2 py-1 text-xs text-white focus:outline-none focus:ring-1 focus:ring-indigo-500">
+            <option value="analyst" ${u.role === "analyst" ? "selected" : ""}>Analyst</option>
+            <option value="admin" ${u.role === "admin" ? "selected" : ""}>Admin</option>
+          </select>
+          <button data-action="save" class="rounded-lg border border-white/10 bg-white/5 px-2 py-1 text-xs hover:bg-white/10">Save</button>
+          <button data-action="password" class="rounded-lg border border-white/10 bg-white/5 px-2 py-1 text-xs hover:bg-white/10">Reset password</button>
+          ${
+            isMe
+              ? ""
+              : `<button data-action="delete" class="rounded-lg border border-rose-400/20 bg-rose-500/10 px-2 py-1 text-xs text-rose-200 hover:bg-rose-500/20">Delete</button>`
+          }
+        </div>
+      </div>
+      <div data-field="clients" class="mt-2 flex flex-wrap gap-x-4 gap-y-1 ${u.role === "admin" ? "opacity-50" : ""}">
+        ${clientCheckboxes(u.clients || [], `clients-${u.username}`)}
+      </div>
+    `;
+    const roleSelect = li.querySelector('[data-field="role"]');
+    roleSelect.addEventListener("change", () =>
+      li.querySelector('[data-field="clients"]').classList.toggle("opacity-50", roleSelect.value === "admin")
+    );
+    li.querySelector('[data-action="save"]').addEventListener("click", () =>
+      updateUser(u.username, { role: roleSelect.value, clients: checkedClients(li, `clients-${u.username}`) })
+    );
+    li.querySelector('[data-action="password"]').addEventListener("click", () => resetPassword(u));
+    li.querySelector('[data-action="delete"]')?.addEventListener("click", () => deleteUser(u));
+    userList.appendChild(li);
+  });
+}
+
+async function createUser(e) {
+  e.preventDefault();
+  try {
+    const user = await api("/api/users", {
+      method: "POST",
+      body: JSON.stringify({
+        username: newUsernameInput.value.trim(),
+        name: newNameInput.value.trim() || newUsernameInput.value.trim(),
+        password: newPasswordInput.value,
+        role: newRoleSelect.value,
+        clients: checkedClients(newUserForm, "newClients"),
+      }),
+    });
+    newUserForm.reset();
+    setStatus(`Added ${user.username} ✅`);
+    load();
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+async function updateUser(username, changes) {
+  try {
+    await api(`/api/users/${encodeURIComponent(username)}`, { method: "PUT", body: JSON.stringify(changes) });
+    setStatus(`Saved ${username} ✅`);
+    load();
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+async function resetPassword(user) {
+  const password = prompt(`New password for ${user.username} (at least 8 characters). They will be signed out.`);
+  if (!password) return;
+  updateUser(user.username, { password });
+}
+
+async function deleteUser(user) {
+  if (!confirm(`Delete ${user.username}? Their reports stay.`)) return;
+  try {
+    await api(`/api/users/${encodeURIComponent(user.username)}`, { method: "DELETE" });
+    setStatus(`Deleted ${user.username}`);
+    load();
+  } catch (err) {
+    console.error(err);
+    setStatus(err.message, true);
+  }
+}
+
+newUserForm.addEventListener("submit", createUser);
+load();
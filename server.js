@@ -1,212 +1,2094 @@
 const express = require("express");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
 const multer = require("multer");
 const XLSX = require("xlsx");
+const { jsPDF } = require("jspdf");
+const { Resvg } = require("@resvg/resvg-js");
+const RuleEngine = require("./public/rules");
+const PdfReport = require("./public/pdf-report");
+const Planner = require("./public/planner");
+const Formulas = require("./public/formulas");
+const {
+  WORKBOOK_EXTENSIONS,
+  DEFAULT_LOCALE,
+  DEFAULT_CURRENCY,
+  CURRENCY_RE,
+  METRIC_ALIASES,
+  httpError,
+  resolveWorkbookLimits,
+  limitError,
+  sniffContainer,
+  decodeCsvBuffer,
+  readWorkbookFile,
+  readWorkbookBuffer,
+  isValidLocale,
+  resolveNumberSettings,
+  safeDivide,
+  avgFinite,
+  resolveMetricKeys,
+  computeKPIsFromSeries,
+  computeCalculatedMetrics,
+  normalizeFxRates,
+  parseFxCsv,
+  formatRate,
+  analyzeWorkbook,
+  analyzeSeries,
+} = require("./lib/analyze");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, TRUST_PROXY (hop count or addresses) makes req.ip / req.secure use X-Forwarded-*
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trust) ? Number(trust) : trust);
+}
+
+// Upload limits: UPLOAD_MAX_MB (default 10), UPLOAD_MAX_SHEETS (50), UPLOAD_MAX_ROWS per sheet (100000),
+// UPLOAD_MAX_CELLS per workbook (2000000), UPLOAD_MAX_UNZIPPED_MB (100). They apply to uploads, /api/analyze
+// and the watch folder. Every UPLOAD_RATE_WINDOW_MIN minutes (default 10): UPLOAD_RATE_LIMIT requests carrying a new
+// workbook per IP (30), and ANALYSIS_RATE_LIMIT re-analyses of one's own uploads, { labels, series } analyses and
+// renders of stored reports per signed-in user (300)
+const UPLOAD_LIMITS = resolveWorkbookLimits(process.env);
+const UPLOAD_RATE_LIMIT = Number(process.env.UPLOAD_RATE_LIMIT) || 30;
+const ANALYSIS_RATE_LIMIT = Number(process.env.ANALYSIS_RATE_LIMIT) || 300;
+const UPLOAD_RATE_WINDOW_MS = (Number(process.env.UPLOAD_RATE_WINDOW_MIN) || 10) * 60 * 1000;
+
+// Session cookie -> req.user; the dashboard pages need a signed-in user (see "Accounts + sessions")
+app.use(attachUser);
+app.get(["/", "/index.html"], requirePageLogin);
+app.get("/users.html", requirePageLogin, requirePageAdmin);
+
 // Serve frontend (public/)
 app.use(express.static(path.join(__dirname, "public")));
+// /api/analyze accepts base64 workbooks, so its JSON limit follows UPLOAD_MAX_MB (base64 is 4/3 the size)
+app.use("/api/analyze", express.json({ limit: Math.ceil((UPLOAD_LIMITS.maxFileBytes * 4) / 3) + 1024 * 1024 }));
+app.use(express.json({ limit: "1mb" }));
+app.use("/api", requireApiLogin);
 
-// Ensure uploads folder exists
-const UPLOAD_DIR = path.join(__dirname, "uploads");
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+// Persisted reports live as JSON files under DATA_DIR/reports
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const REPORTS_DIR = path.join(DATA_DIR, "reports");
+if (!fs.existsSync(REPORTS_DIR)) fs.mkdirSync(REPORTS_DIR, { recursive: true });
 
-// Multer storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) =>
-    cb(null, `${Date.now()}_${file.originalname.replace(/\s+/g, "_")}`),
-});
+// Recommendation rule packs: built-ins ship in rules/, user packs are saved under DATA_DIR/rules
+const BUILTIN_RULES_DIR = path.join(__dirname, "rules");
+const RULES_DIR = path.join(DATA_DIR, "rules");
+if (!fs.existsSync(RULES_DIR)) fs.mkdirSync(RULES_DIR, { recursive: true });
+
+// Monthly exchange rates used to normalize multi-currency sheets
+const FX_RATES_FILE = path.join(DATA_DIR, "fx-rates.json");
+
+// Client profiles (name, currency, locale, targets, mappings, row currencies, notes) under DATA_DIR/clients
+const CLIENTS_DIR = path.join(DATA_DIR, "clients");
+if (!fs.existsSync(CLIENTS_DIR)) fs.mkdirSync(CLIENTS_DIR, { recursive: true });
+
+// User accounts under DATA_DIR/users, signed-in sessions in DATA_DIR/sessions.json (SESSION_TTL_HOURS, default 12).
+// The first admin comes from ADMIN_USERNAME + ADMIN_PASSWORD, or the setup form on /login.html
+const USERS_DIR = path.join(DATA_DIR, "users");
+if (!fs.existsSync(USERS_DIR)) fs.mkdirSync(USERS_DIR, { recursive: true });
+const SESSIONS_FILE = path.join(DATA_DIR, "sessions.json");
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+// Failed sign-ins: LOGIN_MAX_FAILURES per username (default 10) and 3x that per IP, every LOGIN_WINDOW_MIN (15)
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 10;
+const LOGIN_WINDOW_MS = (Number(process.env.LOGIN_WINDOW_MIN) || 15) * 60 * 1000;
 
+// Optional watch folder: WATCH_DIR=/path/to/shared/folder imports dropped spreadsheets like uploads,
+// once a file has stopped changing for WATCH_DEBOUNCE_MS (default 3s). Inbox + import state in DATA_DIR/watch.json
+const WATCH_DIR = process.env.WATCH_DIR ? path.resolve(process.env.WATCH_DIR) : null;
+const WATCH_DEBOUNCE_MS = Number(process.env.WATCH_DEBOUNCE_MS) || 3000;
+const WATCH_STATE_FILE = path.join(DATA_DIR, "watch.json");
+
+// Uploads stay in memory (capped at UPLOAD_MAX_MB), so nothing is left on disk when parsing fails
 function fileFilter(req, file, cb) {
-  const ok = file.originalname.toLowerCase().endsWith(".xlsx");
-  if (!ok) return cb(new Error("Only .xlsx files are allowed."), false);
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (!WORKBOOK_EXTENSIONS.includes(ext)) {
+    return cb(
+      httpError(415, `Unsupported file type "${ext || file.originalname}". Allowed: ${WORKBOOK_EXTENSIONS.join(", ")}`, {
+        code: "UNSUPPORTED_TYPE",
+      }),
+      false
+    );
+  }
   cb(null, true);
 }
 
-const upload = multer({ storage, fileFilter });
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: UPLOAD_LIMITS.maxFileBytes, files: 1, fields: 50, fieldSize: 1024 * 1024 },
+});
 
-// ✅ FIXED toNumber: empty string does NOT become 0
-function toNumber(v) {
-  if (v === null || v === undefined) return null;
+// Multer limit errors -> the same { error, code, limit } bodies as the workbook limits
+function multerError(err) {
+  switch (err.code) {
+    case "LIMIT_FILE_SIZE":
+      return limitError("FILE_TOO_LARGE", "The file", UPLOAD_LIMITS);
+    case "LIMIT_FILE_COUNT":
+    case "LIMIT_UNEXPECTED_FILE":
+      return httpError(400, "Send one file per request.", { code: "TOO_MANY_FILES" });
+    default:
+      return httpError(413, err.message, { code: "FORM_TOO_LARGE" });
+  }
+}
 
-  if (typeof v === "string") {
-    const raw = v.trim();
-    if (!raw || raw === "-" || raw === "—") return null;
+// Fixed-window counters (in memory, reset on restart): hit(key) counts one event and returns the window
+function createRateWindow(windowMs) {
+  const windows = new Map();
+  function current(key) {
+    const now = Date.now();
+    if (windows.size > 10000) {
+      for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+    }
+    let win = windows.get(key);
+    if (!win || win.resetAt <= now) {
+      win = { count: 0, resetAt: now + windowMs };
+      windows.set(key, win);
+    }
+    return win;
   }
+  return {
+    peek: (key) => current(key),
+    hit: (key) => {
+      const win = current(key);
+      win.count++;
+      return win;
+    },
+    reset: (key) => windows.delete(key),
+  };
+}
 
-  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+const retryAfterSeconds = (win) => Math.max(1, Math.ceil((win.resetAt - Date.now()) / 1000));
 
-  const cleaned = String(v).replace(/[₱,$\s]/g, "").replace(/,/g, "").trim();
-  if (!cleaned) return null;
+// Every request that carries a new workbook is counted per IP; working with data already sent (re-analysis of
+// one's own upload, { labels, series } analyses, renders of stored reports) gets its own, larger budget per user
+const uploadWindows = createRateWindow(UPLOAD_RATE_WINDOW_MS);
+const analysisWindows = createRateWindow(UPLOAD_RATE_WINDOW_MS);
 
-  const n = Number(cleaned);
-  return Number.isFinite(n) ? n : null;
+function rateLimited(res, win, limit, message) {
+  const retryAfter = retryAfterSeconds(win);
+  res.setHeader("Retry-After", String(retryAfter));
+  sendError(
+    res,
+    httpError(429, `${message} Try again in ${Math.ceil(retryAfter / 60)} min.`, { code: "RATE_LIMITED", limit, retryAfter })
+  );
 }
 
-function safeDivide(a, b) {
-  if (!Number.isFinite(a) || !Number.isFinite(b) || b === 0) return null;
-  return a / b;
+function uploadRateLimit(req, res, next) {
+  const win = uploadWindows.hit(req.ip);
+  if (win.count <= UPLOAD_RATE_LIMIT) return next();
+  rateLimited(res, win, UPLOAD_RATE_LIMIT, "Too many uploads from your address.");
 }
 
-function sumFinite(arr) {
-  return (arr || []).filter(Number.isFinite).reduce((a, b) => a + b, 0);
+function analysisRateLimit(req, res, next) {
+  const win = analysisWindows.hit(req.user.username);
+  if (win.count <= ANALYSIS_RATE_LIMIT) return next();
+  rateLimited(res, win, ANALYSIS_RATE_LIMIT, "Too many analyses in a short time.");
 }
-function countFinite(arr) {
-  return (arr || []).filter(Number.isFinite).length;
+
+// uploadRateLimit when isUpload(req), else analysisRateLimit; after multer on multipart routes, so the file is known
+function uploadOrAnalysisRateLimit(isUpload) {
+  return (req, res, next) => (isUpload(req) ? uploadRateLimit(req, res, next) : analysisRateLimit(req, res, next));
 }
-function avgFinite(arr) {
-  // ✅ ignore zeros too (blank months sometimes end up as 0 in messy files)
-  const nums = (arr || []).filter((n) => Number.isFinite(n) && n > 0);
-  if (!nums.length) return null;
-  return nums.reduce((a, b) => a + b, 0) / nums.length;
+
+// /api/upload: only a re-analysis that replaces one of the user's own reports (reanalyzedReport) is an analysis;
+// /api/analyze and /api/report: a base64 or uploaded workbook is an upload
+const uploadRouteRateLimit = uploadOrAnalysisRateLimit((req) => !req.file || !reanalyzedReport(req, uploadName(req.file)));
+const analyzeRouteRateLimit = uploadOrAnalysisRateLimit((req) => Boolean(req.body?.workbook));
+const reportRouteRateLimit = uploadOrAnalysisRateLimit((req) => Boolean(req.file));
+
+// -------------------------
+// FX rate table (DATA_DIR/fx-rates.json, edited on the dashboard)
+// -------------------------
+function loadFxRates() {
+  if (!fs.existsSync(FX_RATES_FILE)) return { rates: [], updatedAt: null };
+  try {
+    return JSON.parse(fs.readFileSync(FX_RATES_FILE, "utf8"));
+  } catch {
+    return { rates: [], updatedAt: null };
+  }
 }
 
-function parseOverviewStyle(aoa) {
-  let headerRowIndex = -1;
+function saveFxRates(rows) {
+  const { rates, errors } = normalizeFxRates(rows);
+  if (errors.length) throw httpError(400, "Invalid FX rate table.", { details: errors });
+  const table = { rates, updatedAt: new Date().toISOString() };
+  fs.writeFileSync(FX_RATES_FILE, JSON.stringify(table, null, 2));
+  return table;
+}
 
-  for (let r = 0; r < Math.min(aoa.length, 60); r++) {
-    const row = aoa[r] || [];
-    const dateLikeCount = row.slice(1).filter((cell) => {
-      if (cell instanceof Date) return true;
-      if (typeof cell === "number") return cell > 20000 && cell < 60000;
-      if (typeof cell === "string") return /\b(20\d{2}|19\d{2})\b/.test(cell);
-      return false;
-    }).length;
+// -------------------------
+// Request fields (multipart text fields + profile bodies)
+// -------------------------
+// Multipart text field "currencies": JSON object of row name -> ISO code or "none"
+function parseCurrencyTagsField(raw) {
+  if (!raw) return {};
+  const obj = parseJsonField(raw, "currencies");
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw httpError(400, "Invalid currencies (expected a JSON object).");
+  const tags = {};
+  for (const [row, code] of Object.entries(obj)) {
+    const value = String(code ?? "").trim().toUpperCase();
+    if (value === "NONE") tags[row] = "none";
+    else if (CURRENCY_RE.test(value)) tags[row] = value;
+    else throw httpError(400, `currencies["${row}"] must be a 3-letter currency code or "none".`);
+  }
+  return tags;
+}
 
-    if (dateLikeCount >= 3) {
-      headerRowIndex = r;
-      break;
+// Multipart text field "mapping": JSON object of canonical metric -> row name
+function parseMappingField(raw) {
+  if (!raw) return {};
+  try {
+    const obj = JSON.parse(raw);
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) return {};
+    const mapping = {};
+    for (const metric of Object.keys(METRIC_ALIASES)) {
+      if (typeof obj[metric] === "string" && obj[metric].trim()) mapping[metric] = obj[metric];
     }
+    return mapping;
+  } catch {
+    throw httpError(400, "Invalid metric mapping (expected a JSON object).");
   }
+}
 
-  if (headerRowIndex === -1) return null;
+// Validated definitions as stored: { id, name, formula, format, display }; throws httpError(400)
+function normalizeMetricDefinitions(list) {
+  const errors = Formulas.validateMetrics(list);
+  if (errors.length) throw httpError(400, "Invalid calculated metrics.", { details: errors });
+  return list.map(({ id, name, formula, format, display }) => ({
+    id,
+    name: name.trim(),
+    formula: formula.trim(),
+    format,
+    display,
+  }));
+}
 
-  const headerRow = aoa[headerRowIndex] || [];
-  const labels = headerRow.slice(1).map((cell) => {
-    if (cell instanceof Date) {
-      return cell.toLocaleString("en-US", { month: "short", year: "2-digit" });
-    }
-    if (typeof cell === "number") {
-      const d = XLSX.SSF.parse_date_code(cell);
-      if (d) {
-        return new Date(d.y, d.m - 1, d.d).toLocaleString("en-US", {
-          month: "short",
-          year: "2-digit",
-        });
+// Multipart text field "metrics": JSON array of calculated metric definitions (null when absent)
+function parseMetricsField(raw) {
+  if (!raw) return null;
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch {
+    throw httpError(400, "Invalid calculated metrics (expected a JSON array).");
+  }
+  return normalizeMetricDefinitions(list);
+}
+
+// -------------------------
+// Report store (one JSON file per upload)
+// -------------------------
+const REPORT_ID_RE = /^[0-9]+-[0-9a-f]{8}$/;
+
+function reportPath(id) {
+  if (!REPORT_ID_RE.test(String(id))) return null;
+  return path.join(REPORTS_DIR, `${id}.json`);
+}
+
+function summarizeReport(report) {
+  const { payload, ...summary } = report;
+  return summary;
+}
+
+// source: "upload" (dashboard / API) or "watch" (picked up from WATCH_DIR); createdBy: { username, name } or null
+function saveReport({ clientId, clientName, fileName, source = "upload", createdBy = null, payload }) {
+  const createdAt = new Date().toISOString();
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  const report = {
+    id,
+    clientId: clientId || null,
+    clientName: clientName || "",
+    fileName: fileName || "",
+    source,
+    createdBy,
+    createdAt,
+    sheetName: payload.sheetName,
+    mode: payload.mode,
+    payload,
+  };
+  fs.writeFileSync(reportPath(id), JSON.stringify(report));
+  return report;
+}
+
+// Re-analysis of the same upload (new mapping, granularity, currency...) replaces its payload in place,
+// so the history keeps one entry per file instead of one per tweak
+function replaceReportPayload(report, { clientId, clientName, payload }) {
+  const updated = {
+    ...report,
+    clientId: clientId || null,
+    clientName: clientName || "",
+    updatedAt: new Date().toISOString(),
+    sheetName: payload.sheetName,
+    mode: payload.mode,
+    payload,
+  };
+  fs.writeFileSync(reportPath(report.id), JSON.stringify(updated));
+  return updated;
+}
+
+function loadReport(id) {
+  const file = reportPath(id);
+  if (!file || !fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// reportId field -> report, throwing 404 / 403 like resolveClient
+function loadReportFor(id, user) {
+  const report = loadReport(id);
+  if (!report) throw httpError(404, "Report not found.");
+  if (!canAccessReport(user, report)) throw httpError(403, "You don't have access to this report.");
+  return report;
+}
+
+// `user` limits the list to reports they can open (see canAccessReport)
+function listReports({ clientId, clientName, user } = {}) {
+  const wanted = clientName ? clientName.trim().toLowerCase() : null;
+  return fs
+    .readdirSync(REPORTS_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => {
+      try {
+        return summarizeReport(JSON.parse(fs.readFileSync(path.join(REPORTS_DIR, f), "utf8")));
+      } catch {
+        return null; // skip half-written / corrupt files
       }
-    }
-    return String(cell ?? "").trim() || "—";
+    })
+    .filter((r) => r && (!user || canAccessReport(user, r)))
+    .filter((r) => r && (!clientId || r.clientId === clientId))
+    .filter((r) => r && (!wanted || r.clientName.trim().toLowerCase() === wanted))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function deleteReport(id) {
+  const file = reportPath(id);
+  if (!file || !fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
+
+// -------------------------
+// Rule pack store
+// -------------------------
+const RULE_PACK_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,40}$/i;
+
+function readPackFile(file, builtIn) {
+  try {
+    return { ...JSON.parse(fs.readFileSync(file, "utf8")), builtIn };
+  } catch {
+    return null;
+  }
+}
+
+function loadRulePack(name) {
+  if (!RULE_PACK_NAME_RE.test(String(name))) return null;
+  const custom = path.join(RULES_DIR, `${name}.json`);
+  if (fs.existsSync(custom)) return readPackFile(custom, false);
+  const builtIn = path.join(BUILTIN_RULES_DIR, `${name}.json`);
+  if (fs.existsSync(builtIn)) return readPackFile(builtIn, true);
+  return null;
+}
+
+function listRulePacks() {
+  const packs = new Map();
+  [
+    [BUILTIN_RULES_DIR, true],
+    [RULES_DIR, false],
+  ].forEach(([dir, builtIn]) => {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir)
+      .filter((f) => f.endsWith(".json"))
+      .forEach((f) => {
+        const pack = readPackFile(path.join(dir, f), builtIn);
+        const name = path.basename(f, ".json");
+        if (pack) packs.set(name, { name, description: pack.description || "", builtIn, rules: (pack.rules || []).length });
+      });
   });
+  return [...packs.values()];
+}
 
-  const series = {};
-  for (let r = headerRowIndex + 1; r < aoa.length; r++) {
-    const row = aoa[r] || [];
-    const metricName = String(row[0] ?? "").trim();
-    if (!metricName) continue;
+function isBuiltInPack(name) {
+  return fs.existsSync(path.join(BUILTIN_RULES_DIR, `${name}.json`));
+}
+
+// -------------------------
+// Client profile store
+// -------------------------
+const CLIENT_ID_RE = /^[a-z0-9][a-z0-9-]{0,60}$/;
+const PROFILE_TARGET_KEYS = ["cac", "roas", "ctr", "cpmRise"];
 
-    const values = row.slice(1).map(toNumber);
-    if (!values.some((v) => Number.isFinite(v))) continue;
+function clientSlug(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+}
 
-    series[metricName] = values;
+function clientPath(id) {
+  if (!CLIENT_ID_RE.test(String(id))) return null;
+  return path.join(CLIENTS_DIR, `${id}.json`);
+}
+
+function loadClient(id) {
+  const file = clientPath(id);
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
   }
+}
 
-  return { labels, series };
+function listClients() {
+  return fs
+    .readdirSync(CLIENTS_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => loadClient(path.basename(f, ".json")))
+    .filter(Boolean)
+    .map(({ id, name, currency, locale, updatedAt }) => ({ id, name, currency, locale, updatedAt }))
+    .sort((a, b) => a.name.localeCompare(b.name));
 }
 
-function computeKPIsFromSeries(labels, series) {
-  const findKey = (name) => {
-    const target = name.toLowerCase();
-    return (
-      Object.keys(series).find((k) => k.toLowerCase() === target) ||
-      Object.keys(series).find((k) => k.toLowerCase().includes(target))
+// Validate a (partial) profile body and merge it over `existing`; throws httpError(400)
+function mergeClientProfile(existing, body) {
+  const input = body && typeof body === "object" ? body : {};
+  const profile = { ...existing };
+
+  if (input.name !== undefined) {
+    const name = String(input.name).trim();
+    if (!name || name.length > 80) throw httpError(400, "Client name must be 1-80 characters.");
+    profile.name = name;
+  }
+  if (input.currency !== undefined) {
+    const currency = String(input.currency).trim().toUpperCase();
+    if (!CURRENCY_RE.test(currency)) throw httpError(400, "Currency must be a 3-letter ISO code (e.g. PHP, USD).");
+    profile.currency = currency;
+  }
+  if (input.locale !== undefined) {
+    const locale = String(input.locale).trim();
+    if (!isValidLocale(locale)) throw httpError(400, `Unsupported locale "${locale}".`);
+    profile.locale = locale;
+  }
+  if (input.targets !== undefined) {
+    if (!input.targets || typeof input.targets !== "object") throw httpError(400, "targets must be an object.");
+    const targets = { ...profile.targets };
+    PROFILE_TARGET_KEYS.forEach((k) => {
+      if (input.targets[k] === undefined) return;
+      const v = input.targets[k] === null || input.targets[k] === "" ? null : Number(input.targets[k]);
+      if (v !== null && !Number.isFinite(v)) throw httpError(400, `targets.${k} must be a number or null.`);
+      targets[k] = v;
+    });
+    profile.targets = targets;
+  }
+  if (input.mappings !== undefined) {
+    if (!input.mappings || typeof input.mappings !== "object" || Array.isArray(input.mappings)) {
+      throw httpError(400, "mappings must be an object of metric -> row name.");
+    }
+    profile.mappings = Object.fromEntries(
+      Object.entries(input.mappings)
+        .filter(([k, v]) => METRIC_ALIASES[k] && v)
+        .map(([k, v]) => [k, String(v)])
     );
-  };
+  }
+  if (input.currencyTags !== undefined) {
+    profile.currencyTags = parseCurrencyTagsField(input.currencyTags);
+  }
+  if (input.scenarios !== undefined) {
+    const errors = Planner.validateScenarios(input.scenarios);
+    if (errors.length) throw httpError(400, "Invalid budget scenarios.", { details: errors });
+    profile.scenarios = input.scenarios.map(({ id, name, mode, value, months, curve }) => ({
+      id,
+      name: name.trim(),
+      mode,
+      value,
+      months,
+      curve,
+    }));
+  }
+  if (input.metrics !== undefined) {
+    profile.metrics = normalizeMetricDefinitions(input.metrics);
+  }
+  if (input.notes !== undefined) {
+    const notes = String(input.notes ?? "");
+    if (notes.length > 20000) throw httpError(400, "Notes are limited to 20,000 characters.");
+    profile.notes = notes;
+  }
+  return profile;
+}
 
-  const keySpent =
-    findKey("Total Ad Spent") || findKey("Amount spent") || findKey("Ad Spent");
-  const keyMsgs = findKey("No. of Messages") || findKey("Messages");
-  const keyRevenue = findKey("Total Revenue") || findKey("Revenue");
-  const keyCustomers = findKey("No. of Customers") || findKey("Customers");
-  const keyCAC = findKey("CAC"); // ✅ CAC row
-
-  const spentArr = keySpent ? series[keySpent] : [];
-  const msgArr = keyMsgs ? series[keyMsgs] : [];
-  const revArr = keyRevenue ? series[keyRevenue] : [];
-  const custArr = keyCustomers ? series[keyCustomers] : [];
-  const cacArr = keyCAC ? series[keyCAC] : [];
-
-  const spent = keySpent ? sumFinite(spentArr) : null;
-  const messages = keyMsgs ? sumFinite(msgArr) : null;
-  const revenue = keyRevenue ? sumFinite(revArr) : null;
-  const customers = keyCustomers ? sumFinite(custArr) : null;
-
-  // per-metric month counts
-  const spentMonths = Math.max(countFinite(spentArr), 1);
-  const msgMonths = Math.max(countFinite(msgArr), 1);
-  const revMonths = Math.max(countFinite(revArr), 1);
-  const custMonths = Math.max(countFinite(custArr), 1);
-
-  const costPerMessage = safeDivide(spent, messages);
-  const roas = safeDivide(revenue, spent);
-
-  // ✅ FORCE CAC = Excel average of CAC row values (sum ÷ count of months with CAC)
-  const cacExcelStyle = avgFinite(cacArr);
-  const cacBlended = safeDivide(spent, customers);
+function saveClient(profile) {
+  const saved = { ...profile, updatedAt: new Date().toISOString() };
+  fs.writeFileSync(clientPath(saved.id), JSON.stringify(saved, null, 2));
+  return saved;
+}
 
-  return {
-    totals: { spent, messages, revenue, customers },
-    averagesPerMonth: {
-      spent: spent !== null ? spent / spentMonths : null,
-      messages: messages !== null ? messages / msgMonths : null,
-      revenue: revenue !== null ? revenue / revMonths : null,
-      customers: customers !== null ? customers / custMonths : null,
-    },
-    kpis: {
-      costPerMessage,
-      roas,
-      cac: Number.isFinite(cacExcelStyle) ? cacExcelStyle : cacBlended,
+function createClient(body) {
+  const profile = mergeClientProfile(
+    {
+      currency: DEFAULT_CURRENCY,
+      locale: DEFAULT_LOCALE,
+      targets: { ...DEFAULT_TARGETS },
+      mappings: {},
+      currencyTags: {},
+      scenarios: [],
+      metrics: [],
+      notes: "",
     },
+    body
+  );
+  if (!profile.name) throw httpError(400, "Client name is required.");
+
+  const id = clientSlug(profile.name);
+  if (!CLIENT_ID_RE.test(id)) throw httpError(400, "Client name needs at least one letter or number.");
+  if (loadClient(id)) throw httpError(409, `A client named "${profile.name}" already exists.`, { id });
+
+  return saveClient({ id, ...profile, createdAt: new Date().toISOString() });
+}
+
+function deleteClient(id) {
+  const file = clientPath(id);
+  if (!file || !fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
+
+// clientId form/body field -> profile (404 when it points nowhere, 403 when `user` isn't assigned to it),
+// or null when absent
+function resolveClient(clientId, user) {
+  if (!clientId) return null;
+  const client = loadClient(String(clientId));
+  if (!client) throw httpError(404, "Client not found.");
+  if (user && !canAccessClient(user, client.id)) throw httpError(403, "You don't have access to this client.");
+  return client;
+}
+
+// -------------------------
+// Accounts + sessions
+// -------------------------
+// Users: { username, name, role: "admin" | "analyst", clients: [client ids], passwordHash, createdAt, updatedAt }.
+// Admins see every client and manage users, clients, FX rates and rule packs; analysts only work with the
+// clients they are assigned to (and reports they uploaded without a client).
+const ROLES = ["admin", "analyst"];
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SESSION_COOKIE = "dash_session";
+const SCRYPT_KEYLEN = 64;
+
+// "scrypt$<salt hex>$<hash hex>"
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, "hex"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the username doesn't exist, so a wrong name takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+function userPath(username) {
+  if (!USERNAME_RE.test(String(username))) return null;
+  return path.join(USERS_DIR, `${username}.json`);
+}
+
+function loadUser(username) {
+  const file = userPath(String(username || "").toLowerCase());
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function listUsers() {
+  return fs
+    .readdirSync(USERS_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => loadUser(path.basename(f, ".json")))
+    .filter(Boolean)
+    .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+// What the API returns: never the hash
+function publicUser({ passwordHash, ...user }) {
+  return user;
+}
+
+function saveUser(user) {
+  const saved = { ...user, updatedAt: new Date().toISOString() };
+  fs.writeFileSync(userPath(saved.username), JSON.stringify(saved, null, 2));
+  return saved;
+}
+
+// Validate a (partial) user body and merge it over `existing`; throws httpError(400) with details
+function mergeUser(existing, body) {
+  const input = body && typeof body === "object" ? body : {};
+  const user = { ...existing };
+  const errors = [];
+
+  if (input.name !== undefined) {
+    const name = String(input.name ?? "").trim();
+    if (!name || name.length > 80) errors.push("name: 1-80 characters");
+    else user.name = name;
+  }
+  if (input.role !== undefined) {
+    if (!ROLES.includes(input.role)) errors.push(`role: one of ${ROLES.join(", ")}`);
+    else user.role = input.role;
+  }
+  if (input.clients !== undefined) {
+    if (!Array.isArray(input.clients)) errors.push("clients: must be an array of client ids");
+    else {
+      const unknown = input.clients.filter((id) => !loadClient(String(id)));
+      if (unknown.length) errors.push(`clients: unknown client ${unknown.map((id) => `"${id}"`).join(", ")}`);
+      else user.clients = [...new Set(input.clients.map(String))];
+    }
+  }
+  if (input.password !== undefined) {
+    if (typeof input.password !== "string" || input.password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`password: at least ${MIN_PASSWORD_LENGTH} characters`);
+    } else user.passwordHash = hashPassword(input.password);
+  }
+  if (errors.length) throw httpError(400, "Invalid user.", { details: errors });
+  return user;
+}
+
+function createUser(body) {
+  const username = String(body?.username || "").trim().toLowerCase();
+  if (!USERNAME_RE.test(username)) {
+    throw httpError(400, "Invalid user.", { details: ["username: 2-32 letters, numbers, '.', '_' or '-'"] });
+  }
+  if (loadUser(username)) throw httpError(409, `User "${username}" already exists.`);
+  if (!body?.password) throw httpError(400, "Invalid user.", { details: ["password: required"] });
+
+  const user = mergeUser({ username, name: username, role: "analyst", clients: [] }, body);
+  return saveUser({ ...user, createdAt: new Date().toISOString() });
+}
+
+function isLastAdmin(user) {
+  return user.role === "admin" && listUsers().filter((u) => u.role === "admin").length === 1;
+}
+
+// ADMIN_USERNAME + ADMIN_PASSWORD create the first admin when there are no users yet
+function bootstrapAdmin() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD || listUsers().length) return;
+  const admin = createUser({ username: ADMIN_USERNAME, name: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: "admin" });
+  console.log(`Created admin user "${admin.username}"`);
+}
+
+// Sessions are keyed by the SHA-256 of the cookie token, so sessions.json alone can't be replayed
+const tokenKey = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function loadSessions() {
+  if (!fs.existsSync(SESSIONS_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(SESSIONS_FILE, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function saveSessions(sessions) {
+  fs.writeFileSync(SESSIONS_FILE, JSON.stringify(sessions, null, 2));
+}
+
+function createSession(username) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = Date.now();
+  const sessions = Object.fromEntries(Object.entries(loadSessions()).filter(([, s]) => s.expiresAt > now));
+  sessions[tokenKey(token)] = {
+    username,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: now + SESSION_TTL_MS,
   };
+  saveSessions(sessions);
+  return token;
+}
+
+// Ends one session (logout), or every session of a user except `keepToken` (password change, deletion)
+function endSessions({ token, username, keepToken }) {
+  const sessions = loadSessions();
+  const keep = keepToken ? tokenKey(keepToken) : null;
+  Object.keys(sessions).forEach((key) => {
+    if ((token && key === tokenKey(token)) || (username && sessions[key].username === username && key !== keep)) {
+      delete sessions[key];
+    }
+  });
+  saveSessions(sessions);
+}
+
+// Only failures count; a successful sign-in clears that username's window
+const loginFailuresByUser = createRateWindow(LOGIN_WINDOW_MS);
+const loginFailuresByIp = createRateWindow(LOGIN_WINDOW_MS);
+
+function loginLockout(req, username) {
+  const byUser = loginFailuresByUser.peek(username);
+  const byIp = loginFailuresByIp.peek(req.ip);
+  if (byUser.count < LOGIN_MAX_FAILURES && byIp.count < LOGIN_MAX_FAILURES * 3) return null;
+  const retryAfter = retryAfterSeconds(byIp.count >= LOGIN_MAX_FAILURES * 3 ? byIp : byUser);
+  return httpError(429, `Too many failed sign-ins. Try again in ${Math.ceil(retryAfter / 60)} min.`, {
+    code: "LOGIN_RATE_LIMITED",
+    retryAfter,
+  });
+}
+
+function readCookie(req, name) {
+  const pair = String(req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: "strict", secure: req.secure, maxAge: SESSION_TTL_MS, path: "/" });
+}
+
+// Every request: a valid session cookie -> req.user (fresh from disk, so role/client changes apply right away)
+function attachUser(req, res, next) {
+  const token = readCookie(req, SESSION_COOKIE);
+  if (token) {
+    const session = loadSessions()[tokenKey(token)];
+    const user = session && session.expiresAt > Date.now() ? loadUser(session.username) : null;
+    if (user) {
+      req.user = publicUser(user);
+      req.sessionToken = token;
+    }
+  }
+  next();
+}
+
+function requirePageLogin(req, res, next) {
+  if (!req.user) return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+  next();
+}
+
+function requirePageAdmin(req, res, next) {
+  if (req.user?.role !== "admin") return res.redirect("/");
+  next();
+}
+
+// Sign-in endpoints are the only API routes open without a session
+const PUBLIC_API_PATHS = ["/auth/login", "/auth/logout", "/auth/session", "/auth/setup"];
+
+function requireApiLogin(req, res, next) {
+  if (req.user || PUBLIC_API_PATHS.includes(req.path)) return next();
+  res.status(401).json({ error: "Not signed in (or your session has ended). Reload the page to sign in." });
+}
+
+function requireAdmin(req, res, next) {
+  if (req.user?.role === "admin") return next();
+  res.status(403).json({ error: "Only admins can do this." });
+}
+
+function canAccessClient(user, clientId) {
+  return user.role === "admin" || Boolean(clientId && user.clients?.includes(clientId));
+}
+
+// Reports follow their client; reports uploaded without one stay with whoever uploaded them
+function canAccessReport(user, report) {
+  if (report.clientId) return canAccessClient(user, report.clientId);
+  return user.role === "admin" || report.createdBy?.username === user.username;
 }
 
+// { username, name } stamped on reports and exports
+function actingUser(req) {
+  return req.user ? { username: req.user.username, name: req.user.name } : null;
+}
+
+// Uploaded file names are only used for their extension and as a label in the report history
+function uploadName(file) {
+  return path.basename(file.originalname.replace(/\\/g, "/")).replace(/[\u0000-\u001f]/g, "").slice(0, 200) || "upload";
+}
+
+function readUploadedWorkbook(file, numberFormat) {
+  return readWorkbookBuffer(file.buffer, uploadName(file), numberFormat, UPLOAD_LIMITS);
+}
+
+// analyzeWorkbook with the client's saved mappings / row currencies / calculated metrics filling in
+// whatever the request didn't send (uploads and the watch folder)
+function analyzeForClient(workbook, client, { mapping = {}, currencyTags = {}, metrics = null, ...options }) {
+  return analyzeWorkbook(workbook, {
+    ...options,
+    mapping: Object.keys(mapping).length ? mapping : client?.mappings || {},
+    currencyTags: Object.keys(currencyTags).length ? currencyTags : client?.currencyTags || {},
+    metrics: metrics || client?.metrics || [],
+    fxRates: loadFxRates().rates,
+  });
+}
+
+function sendError(res, err) {
+  if (!err.status) console.error(err);
+  res.status(err.status || 500).json({ error: err.message || "Server error.", ...(err.extra || {}) });
+}
+
+// ?replaceReportId: the report an earlier upload of this file created. Only the uploader's own report for the
+// same file name is replaced; anything else saves a new report
+function reanalyzedReport(req, fileName) {
+  const id = req.query.replaceReportId;
+  if (!id) return null;
+  const report = loadReport(String(id));
+  if (!report || report.source !== "upload" || report.fileName !== fileName) return null;
+  return report.createdBy?.username === req.user.username ? report : null;
+}
+
+// Current upload limits, so the dashboard can check a file before sending it
+app.get("/api/upload/limits", (req, res) => {
+  const { maxFileBytes, maxSheets, maxRows, maxCells, maxUnzippedBytes } = UPLOAD_LIMITS;
+  res.json({
+    maxFileBytes,
+    maxSheets,
+    maxRows,
+    maxCells,
+    maxUnzippedBytes,
+    rateLimit: UPLOAD_RATE_LIMIT,
+    analysisRateLimit: ANALYSIS_RATE_LIMIT,
+    rateWindowMinutes: UPLOAD_RATE_WINDOW_MS / 60000,
+  });
+});
+
 // Upload endpoint
-app.post("/api/upload", upload.single("excel"), (req, res) => {
+// Query: ?sheet=<name> to pick a sheet, ?sheets=all to also return every parsable sheet,
+//        ?replaceReportId=<id> re-analysis of an earlier upload: update that report instead of adding one
+// Form fields: clientId (profile: name, saved mappings, currency/locale), clientName, mapping (JSON),
+//              granularity (month|week|day, tidy layout only), currency (ISO code, the reporting currency),
+//              locale (BCP 47, drives decimal/thousand separators when parsing text cells),
+//              currencies (JSON row -> ISO code | "none", overrides detected row currencies),
+//              metrics (JSON array of calculated metric definitions, defaults to the client's)
+// Limit breaches answer 413 / 415 / 422 / 429 with a `code` (FILE_TOO_LARGE, INVALID_CONTENT, TOO_MANY_ROWS, ...)
+// Each sheet payload carries `calculated` (computeCalculatedMetrics) with per-period + whole-range values,
+// `diagnostics` (diagnoseSheet) describing what was skipped or read as blank
+// and `anomalies` (detectAnomalies): flagged points with an explanation, strongest first
+app.post("/api/upload", upload.single("excel"), uploadRouteRateLimit, (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: "No file uploaded." });
 
-    const workbook = XLSX.readFile(req.file.path, { cellDates: true });
-    const sheetName =
-      workbook.SheetNames.find((n) => n.toLowerCase() === "overview") ||
-      workbook.SheetNames[0];
-    const sheet = workbook.Sheets[sheetName];
+    const client = resolveClient(req.body?.clientId, req.user);
+    const settings = resolveNumberSettings({
+      locale: req.body?.locale || client?.locale,
+      currency: req.body?.currency || client?.currency,
+    });
+    const mapping = parseMappingField(req.body?.mapping);
+    const currencyTags = parseCurrencyTagsField(req.body?.currencies);
+    const metrics = parseMetricsField(req.body?.metrics);
+    const workbook = readUploadedWorkbook(req.file, settings.numberFormat);
+
+    const body = analyzeForClient(workbook, client, {
+      mapping,
+      currencyTags,
+      metrics,
+      granularity: String(req.body?.granularity || req.query.granularity || "month"),
+      sheet: req.query.sheet ? String(req.query.sheet) : null,
+      allSheets: req.query.sheets === "all",
+      settings,
+    });
 
-    const aoa = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true });
-    const parsed = parseOverviewStyle(aoa);
+    const entry = {
+      clientId: client?.id,
+      clientName: client?.name || String(req.body?.clientName || "").trim(),
+      fileName: uploadName(req.file),
+      createdBy: actingUser(req),
+      payload: body,
+    };
+    const previous = reanalyzedReport(req, entry.fileName);
+    const report = previous ? replaceReportPayload(previous, entry) : saveReport(entry);
+    body.reportId = report.id;
 
-    const tablePreview = { sheetName, rows: aoa.slice(0, 50) };
+    res.json(body);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
 
-    // delete uploaded file after parsing
-    fs.unlink(req.file.path, () => {});
+// -------------------------
+// Watch folder (WATCH_DIR): new or changed spreadsheets go through the upload pipeline
+// -------------------------
+// The client comes from, in order: a sidecar "<file name>.json" next to the workbook
+// ({ clientId, sheet, granularity, mapping, currencies, currency, locale }), the first sub-folder
+// (WATCH_DIR/<client id or name>/...), or the longest client id / name the file name starts with
+// ("Acme Corp - March.xlsx" -> acme-corp). Imports land in the report history (source "watch"),
+// failures in the inbox shown on the dashboard.
+const WATCH_INBOX_LIMIT = 100;
+const WATCH_RESCAN_MS = 60 * 1000; // catches anything fs.watch missed (network shares, recursive watch unsupported)
+const watchTimers = new Map(); // relative path -> { timer, force }
+let watchActive = false;
 
-    if (!parsed) {
-      return res.status(422).json({
-        error: "Could not detect Overview-style format. Please use the provided sample format.",
-        tablePreview,
-      });
+function loadWatchState() {
+  if (!fs.existsSync(WATCH_STATE_FILE)) return { files: {}, inbox: [] };
+  try {
+    const state = JSON.parse(fs.readFileSync(WATCH_STATE_FILE, "utf8"));
+    return { files: state.files || {}, inbox: state.inbox || [] };
+  } catch {
+    return { files: {}, inbox: [] };
+  }
+}
+
+function saveWatchState(state) {
+  fs.writeFileSync(WATCH_STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+// "acme/March.xlsx": path relative to WATCH_DIR with forward slashes (state + inbox key)
+function watchRelPath(file) {
+  return path.relative(WATCH_DIR, file).split(path.sep).join("/");
+}
+
+function isWatchedWorkbook(rel) {
+  const base = path.posix.basename(rel);
+  if (base.startsWith(".") || base.startsWith("~$")) return false; // hidden files, Office lock files
+  return WORKBOOK_EXTENSIONS.includes(path.extname(base).toLowerCase());
+}
+
+// size:mtime, or null when the file is gone
+function watchStamp(rel) {
+  try {
+    const stat = fs.statSync(path.join(WATCH_DIR, rel));
+    return `${stat.size}:${stat.mtimeMs}`;
+  } catch {
+    return null;
+  }
+}
+
+function readWatchSidecar(file) {
+  const sidecar = file.slice(0, -path.extname(file).length) + ".json";
+  if (!fs.existsSync(sidecar)) return null;
+  const name = path.basename(sidecar);
+  const config = parseJsonField(fs.readFileSync(sidecar, "utf8"), name);
+  if (!config || typeof config !== "object" || Array.isArray(config)) throw httpError(400, `${name} must be a JSON object.`);
+  return config;
+}
+
+function inferWatchClient(rel, sidecar) {
+  if (sidecar?.clientId) {
+    const client = loadClient(String(sidecar.clientId));
+    if (!client) throw httpError(404, `Client "${sidecar.clientId}" (from the sidecar file) not found.`);
+    return client;
+  }
+
+  const clients = listClients();
+  const keysOf = (c) => [c.id, clientSlug(c.name)];
+  const parts = rel.split("/");
+  if (parts.length > 1) {
+    const folder = clientSlug(parts[0]);
+    const match = clients.find((c) => keysOf(c).includes(folder));
+    if (match) return loadClient(match.id);
+  }
+
+  const slug = clientSlug(path.posix.basename(rel, path.extname(rel)));
+  const best = clients
+    .flatMap((c) => keysOf(c).map((key) => ({ id: c.id, key })))
+    .filter(({ key }) => key && (slug === key || slug.startsWith(`${key}-`)))
+    .sort((a, b) => b.key.length - a.key.length)[0];
+  return best ? loadClient(best.id) : null;
+}
+
+// Parse + store one file; returns its inbox entry, or null when it is gone / unchanged since the last import
+function importWatchedFile(rel, { force = false } = {}) {
+  const state = loadWatchState();
+  const stamp = watchStamp(rel);
+  if (!stamp) {
+    delete state.files[rel];
+    saveWatchState(state);
+    return null;
+  }
+  if (!force && state.files[rel] === stamp) return null;
+
+  const file = path.join(WATCH_DIR, rel);
+  let client = null;
+  let result;
+  try {
+    const sidecar = readWatchSidecar(file);
+    client = inferWatchClient(rel, sidecar);
+    if (!client) {
+      throw httpError(
+        422,
+        "No client matches this file. Start the file name with the client's name, put it in a folder named after the client, or add a sidecar .json with a clientId."
+      );
+    }
+    const settings = resolveNumberSettings({
+      locale: sidecar?.locale || client.locale,
+      currency: sidecar?.currency || client.currency,
+    });
+    const workbook = readWorkbookFile(file, path.basename(file), settings.numberFormat, UPLOAD_LIMITS);
+    const payload = analyzeForClient(workbook, client, {
+      mapping: parseMappingField(sidecar?.mapping ? JSON.stringify(sidecar.mapping) : ""),
+      currencyTags: parseCurrencyTagsField(sidecar?.currencies),
+      granularity: String(sidecar?.granularity || "month"),
+      sheet: sidecar?.sheet ? String(sidecar.sheet) : null,
+      settings,
+    });
+    const report = saveReport({ clientId: client.id, clientName: client.name, fileName: rel, source: "watch", payload });
+    result = { status: "imported", clientId: client.id, clientName: client.name, reportId: report.id, sheetName: payload.sheetName };
+    console.log(`Watch folder: imported ${rel} for ${client.name}`);
+  } catch (err) {
+    if (!err.status) console.error(err);
+    result = { status: "failed", error: err.message, clientId: client?.id || null, clientName: client?.name || "" };
+    if (err.extra?.details) result.details = err.extra.details;
+    if (err.extra?.sheets) result.sheets = err.extra.sheets.map((s) => s.name);
+    console.warn(`Watch folder: ${rel}: ${err.message}`);
+  }
+
+  // Latest outcome per file: a fixed file replaces its failure, a re-saved one its previous import
+  const entry = { id: `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`, file: rel, at: new Date().toISOString(), ...result };
+  state.files[rel] = watchStamp(rel) || stamp;
+  state.inbox = [entry, ...state.inbox.filter((e) => e.file !== rel)].slice(0, WATCH_INBOX_LIMIT);
+  saveWatchState(state);
+  return entry;
+}
+
+// Debounce: (re)start the timer on every event; import once size + mtime held still for a full period
+function scheduleWatchImport(rel, { force = false } = {}) {
+  const pending = watchTimers.get(rel);
+  if (pending) clearTimeout(pending.timer);
+  const stamp = watchStamp(rel);
+  const job = { force: force || Boolean(pending?.force) };
+  job.timer = setTimeout(() => {
+    watchTimers.delete(rel);
+    if (watchStamp(rel) !== stamp) return scheduleWatchImport(rel, job); // still being written
+    try {
+      importWatchedFile(rel, job);
+    } catch (err) {
+      console.error(err);
+    }
+  }, WATCH_DEBOUNCE_MS);
+  watchTimers.set(rel, job);
+}
+
+function onWatchEvent(eventType, filename) {
+  if (!filename) return;
+  const rel = String(filename).split(path.sep).join("/");
+  if (isWatchedWorkbook(rel)) return scheduleWatchImport(rel);
+
+  // An edited sidecar re-imports its workbook(s) even when the workbook itself didn't change
+  if (path.extname(rel).toLowerCase() === ".json") {
+    const base = rel.slice(0, -".json".length);
+    WORKBOOK_EXTENSIONS.map((ext) => base + ext)
+      .filter((candidate) => isWatchedWorkbook(candidate) && watchStamp(candidate))
+      .forEach((candidate) => scheduleWatchImport(candidate, { force: true }));
+  }
+}
+
+// New files and files changed since their last import (also what happened while the server was down)
+function scanWatchDir(dir = WATCH_DIR, state = loadWatchState()) {
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    if (entry.name.startsWith(".")) return;
+    const full = path.join(dir, entry.name);
+    const rel = watchRelPath(full);
+    if (entry.isDirectory()) scanWatchDir(full, state);
+    else if (entry.isFile() && isWatchedWorkbook(rel) && state.files[rel] !== watchStamp(rel) && !watchTimers.has(rel)) {
+      scheduleWatchImport(rel);
+    }
+  });
+}
+
+function startWatchFolder() {
+  if (!WATCH_DIR) return;
+  if (!fs.existsSync(WATCH_DIR) || !fs.statSync(WATCH_DIR).isDirectory()) {
+    console.error(`WATCH_DIR "${WATCH_DIR}" is not a folder; watch folder disabled.`);
+    return;
+  }
+
+  try {
+    fs.watch(WATCH_DIR, { recursive: true }, onWatchEvent).on("error", (err) => console.error("Watch folder:", err.message));
+  } catch (err) {
+    console.error(`Watch folder: ${err.message}; relying on a rescan every ${WATCH_RESCAN_MS / 1000}s.`);
+  }
+  const rescan = () => {
+    try {
+      scanWatchDir();
+    } catch (err) {
+      console.error("Watch folder:", err.message);
+    }
+  };
+  rescan();
+  setInterval(rescan, WATCH_RESCAN_MS).unref();
+  watchActive = true;
+  console.log(`Watching ${WATCH_DIR} for spreadsheets (debounce ${WATCH_DEBOUNCE_MS} ms)`);
+}
+
+// Analysts see their clients' entries; files no client could be found for are left to admins
+function canSeeWatchEntry(user, entry) {
+  return user.role === "admin" || Boolean(entry.clientId && canAccessClient(user, entry.clientId));
+}
+
+// Watch folder status + inbox (latest outcome per file, newest first)
+app.get("/api/watch", (req, res) => {
+  res.json({
+    enabled: watchActive,
+    dir: watchActive ? WATCH_DIR : null,
+    debounceMs: WATCH_DEBOUNCE_MS,
+    inbox: watchActive ? loadWatchState().inbox.filter((e) => canSeeWatchEntry(req.user, e)) : [],
+  });
+});
+
+// Re-import a file now (e.g. after creating the missing client or fixing the FX table)
+app.post("/api/watch/inbox/:id/retry", (req, res) => {
+  if (!watchActive) return res.status(404).json({ error: "The watch folder is not enabled." });
+  const entry = loadWatchState().inbox.find((e) => e.id === req.params.id && canSeeWatchEntry(req.user, e));
+  if (!entry) return res.status(404).json({ error: "Inbox entry not found." });
+
+  const result = importWatchedFile(entry.file, { force: true });
+  if (!result) {
+    const state = loadWatchState();
+    state.inbox = state.inbox.filter((e) => e.id !== entry.id);
+    saveWatchState(state);
+    return res.status(404).json({ error: `${entry.file} is no longer in the watch folder.` });
+  }
+  res.json(result);
+});
+
+// Dismiss an entry; the file is not imported again until it changes
+app.delete("/api/watch/inbox/:id", (req, res) => {
+  const state = loadWatchState();
+  const inbox = state.inbox.filter((e) => e.id !== req.params.id || !canSeeWatchEntry(req.user, e));
+  if (inbox.length === state.inbox.length) return res.status(404).json({ error: "Inbox entry not found." });
+  saveWatchState({ ...state, inbox });
+  res.json({ ok: true });
+});
+
+// -------------------------
+// JSON API: POST /api/analyze (series JSON or a base64 workbook, nothing written to disk)
+// -------------------------
+const ANALYZE_SCHEMA = JSON.parse(fs.readFileSync(path.join(__dirname, "schemas", "analyze.schema.json"), "utf8"));
+const SCHEMA_ERROR_LIMIT = 50;
+
+const JSON_TYPES = {
+  object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+  array: (v) => Array.isArray(v),
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  boolean: (v) => typeof v === "boolean",
+  null: (v) => v === null,
+};
+
+// ["series", "Total Revenue", 3] -> { field: 'series["Total Revenue"][3]', pointer: "/series/Total Revenue/3" }
+function schemaError(at, message) {
+  const field = at
+    .map((seg) =>
+      typeof seg === "number" ? `[${seg}]` : /^[A-Za-z_$][\w$]*$/.test(seg) ? `.${seg}` : `[${JSON.stringify(seg)}]`
+    )
+    .join("")
+    .replace(/^\./, "");
+  const pointer = at.map((seg) => `/${String(seg).replace(/~/g, "~0").replace(/\//g, "~1")}`).join("");
+  return { field, pointer, message };
+}
+
+/**
+ * Validate `value` against the JSON Schema keywords our published schemas use: type, enum,
+ * required, properties, additionalProperties, propertyNames, min/maxProperties, items,
+ * min/maxItems, min/maxLength, pattern, oneOf. Returns [{ field, pointer, message }].
+ */
+function validateJsonSchema(schema, value, at = [], errors = []) {
+  if (errors.length >= SCHEMA_ERROR_LIMIT) return errors;
+  const fail = (message, where = at) => errors.push(schemaError(where, message));
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => JSON_TYPES[t](value))) {
+      fail(`must be ${types.join(" or ")}`);
+      return errors;
     }
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of: ${schema.enum.join(", ")}`);
 
-    const { labels, series } = parsed;
-    const kpis = computeKPIsFromSeries(labels, series);
+  if (typeof value === "string") {
+    if (value.length < (schema.minLength ?? 0)) fail(`must be at least ${schema.minLength} characters`);
+    if (value.length > (schema.maxLength ?? Infinity)) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+  }
 
-    res.json({ mode: "overview-style", sheetName, labels, series, kpis, tablePreview });
+  if (Array.isArray(value)) {
+    if (value.length < (schema.minItems ?? 0)) fail(`must have at least ${schema.minItems} items`);
+    if (value.length > (schema.maxItems ?? Infinity)) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => validateJsonSchema(schema.items, item, [...at, i], errors));
+  }
+
+  if (JSON_TYPES.object(value)) {
+    const keys = Object.keys(value);
+    (schema.required || []).filter((k) => !keys.includes(k)).forEach((k) => fail("is required", [...at, k]));
+    if (keys.length < (schema.minProperties ?? 0)) fail(`must have at least ${schema.minProperties} entries`);
+    if (keys.length > (schema.maxProperties ?? Infinity)) fail(`must have at most ${schema.maxProperties} entries`);
+    keys.forEach((k) => {
+      const where = [...at, k];
+      if (schema.propertyNames) {
+        validateJsonSchema(schema.propertyNames, k, where, []).forEach((e) => fail(`name ${e.message}`, where));
+      }
+      if (schema.properties?.[k]) validateJsonSchema(schema.properties[k], value[k], where, errors);
+      else if (schema.additionalProperties === false) fail("is not allowed", where);
+      else if (typeof schema.additionalProperties === "object") {
+        validateJsonSchema(schema.additionalProperties, value[k], where, errors);
+      }
+    });
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((branch) => !validateJsonSchema(branch, value, at, []).length);
+    if (matches.length !== 1) {
+      const shapes = schema.oneOf.map((branch) => (branch.required || []).join(" + ") || "another shape");
+      fail(`must contain exactly one of: ${shapes.join(" | ")}`);
+    }
+  }
+  return errors.slice(0, SCHEMA_ERROR_LIMIT);
+}
+
+// The schema pattern only allows base64 characters (one character class, so it stays linear on huge bodies);
+// this round trip checks the rest: "=" only as trailing padding, which may be left out
+function isBase64(data) {
+  const compact = data.replace(/\s+/g, "");
+  const encoded = Buffer.from(compact, "base64").toString("base64");
+  return encoded === compact || encoded === compact + "=".repeat((4 - (compact.length % 4)) % 4);
+}
+
+// Schema + the checks JSON Schema can't express; throws httpError(400) with field-level details
+function validateAnalyzeRequest(body) {
+  const errors = validateJsonSchema(ANALYZE_SCHEMA, body === undefined ? null : body);
+  const shapeOk = !errors.length;
+  if (shapeOk && body.series) {
+    Object.entries(body.series).forEach(([name, values]) => {
+      if (values.length !== body.labels.length) {
+        errors.push(schemaError(["series", name], `must have ${body.labels.length} values (one per label)`));
+      }
+    });
+  }
+  if (shapeOk && body.workbook && !isBase64(body.workbook.data)) {
+    errors.push(schemaError(["workbook", "data"], "must be base64 (padding only at the end)"));
+  }
+  if (shapeOk && body.metrics) {
+    // "metrics[1].formula: Unknown function FOO()" -> field metrics[1].formula
+    Formulas.validateMetrics(body.metrics).forEach((message) => {
+      const [, index, key, text] = message.match(/^metrics\[(\d+)\]\.(\w+): (.*)$/) || [];
+      errors.push(index ? schemaError(["metrics", Number(index), key], text) : schemaError(["metrics"], message));
+    });
+  }
+  if (errors.length) {
+    throw httpError(400, "Request body does not match the analyze schema.", {
+      details: errors,
+      schema: "/api/analyze/schema",
+    });
+  }
+  return body;
+}
+
+function readBase64Workbook({ data, fileName }, numberFormat) {
+  try {
+    return readWorkbookBuffer(Buffer.from(data, "base64"), fileName || "workbook.xlsx", numberFormat, UPLOAD_LIMITS);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message || "Server error." });
+    // limit errors keep their own status + code
+    if (err.status && err.extra?.code !== "UNREADABLE_WORKBOOK") throw err;
+    throw httpError(400, "Could not read the workbook.", {
+      details: [schemaError(["workbook", "data"], "is not a readable spreadsheet")],
+    });
   }
+}
+
+// Published request schema
+app.get("/api/analyze/schema", (req, res) => {
+  res.type("application/schema+json").send(JSON.stringify(ANALYZE_SCHEMA, null, 2));
 });
 
-app.listen(PORT, () => console.log(`✅ Server running on http://localhost:${PORT}`));
\ No newline at end of file
+// POST /api/analyze (application/json, base64 workbooks up to UPLOAD_MAX_MB)
+// Body: { labels, series } or { workbook: { data (base64), fileName, sheet, granularity } },
+//       plus optional mapping, clientId, currency, locale, targets, rulePack, metrics (see the schema)
+// Returns the dashboard payload (as /api/upload, without reportId) plus `targets` and `recommendations`.
+// Nothing is written to the report history.
+app.post("/api/analyze", analyzeRouteRateLimit, (req, res) => {
+  try {
+    const body = validateAnalyzeRequest(req.body);
+    const client = resolveClient(body.clientId, req.user);
+    const settings = resolveNumberSettings({
+      locale: body.locale || client?.locale,
+      currency: body.currency || client?.currency,
+    });
+    const mapping = body.mapping || client?.mappings || {};
+    const metrics = body.metrics ? normalizeMetricDefinitions(body.metrics) : client?.metrics || [];
+
+    const payload = body.workbook
+      ? analyzeWorkbook(readBase64Workbook(body.workbook, settings.numberFormat), {
+          mapping,
+          currencyTags: client?.currencyTags || {},
+          granularity: body.workbook.granularity || "month",
+          sheet: body.workbook.sheet || null,
+          settings,
+          metrics,
+          fxRates: loadFxRates().rates,
+        })
+      : analyzeSeries(body, { mapping, settings, metrics });
+
+    const rulePack = loadRulePack(body.rulePack || "default");
+    if (!rulePack) throw httpError(404, "Rule pack not found.");
+    const targets = { ...DEFAULT_TARGETS, ...(client?.targets || {}), ...(body.targets || {}) };
+    const { formatMoney } = createFormatters(settings);
+
+    res.json({
+      ...payload,
+      targets,
+      recommendations: evaluateRecommendations(payload, { rulePack, targets, formatMoney, locale: settings.locale }),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// -------------------------
+// Server-side report rendering (PDF via pdf-report.js, PNG via SVG + resvg)
+// -------------------------
+const DEFAULT_TARGETS = { cac: 2000, roas: 3, ctr: 1, cpmRise: 20 };
+const REPORT_TITLE = "Digital Homie Analytics";
+
+// Money / plain number formatters for a report's currency + locale
+function createFormatters({ currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE } = {}) {
+  const money = new Intl.NumberFormat(locale, { style: "currency", currency, minimumFractionDigits: 0, maximumFractionDigits: 2 });
+  const plain = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+  return {
+    formatMoney: (n) => (Number.isFinite(n) ? money.format(n) : "—"),
+    formatPlain: (n) => (Number.isFinite(n) ? plain.format(n) : "—"),
+  };
+}
+
+// "FX rates used" table rows: one line per converted row and period
+function fxRateRows(fx) {
+  return (fx?.conversions || []).flatMap((c) =>
+    c.converted
+      ? c.periods
+          .filter(Boolean)
+          .map((p) => [
+            c.row,
+            `${c.from} → ${c.to}`,
+            p.period,
+            formatRate(p.rate),
+            p.basis === "exact" ? p.month : `${p.month} (${p.basis})`,
+          ])
+      : [[c.row, `${c.from} → ${c.to}`, "all", "—", "no rate, not converted"]]
+  );
+}
+
+// Client's saved budget scenarios, estimated against this report's history
+function scenarioReportTable(payload, scenarios, { formatMoney, formatPlain }) {
+  if (!scenarios?.length) return null;
+  const { head, rows } = Planner.scenarioTable(payload, scenarios, {
+    money: formatMoney,
+    number: formatPlain,
+    ratio: formatPlain,
+  });
+  return { title: "Budget scenarios", head, rows };
+}
+
+// Rule pack recommendations for a payload (report rendering and /api/analyze)
+function evaluateRecommendations(payload, { rulePack, targets, formatMoney, locale }) {
+  return RuleEngine.evaluatePack(rulePack, {
+    labels: payload.labels || [],
+    series: payload.series,
+    metricKeys: payload.metricKeys || {},
+    kpis: payload.kpis,
+    targets,
+    formatMoney,
+    locale,
+  });
+}
+
+// Calculated metrics shown as cards / charts in the report, re-evaluated with the client's current formulas
+function calculatedForReport(payload, metrics) {
+  if (!metrics?.length) return payload.calculated || [];
+  return computeCalculatedMetrics(payload.labels || [], payload.series, payload.metricKeys || {}, metrics);
+}
+
+// computeKPIsFromSeries takes CAC from the CAC row when it has values (> 0), else blends Spent ÷ Customers
+function cacFromRow(series, metricKeys = {}) {
+  return Number.isFinite(avgFinite(metricKeys.cac ? series[metricKeys.cac] : []));
+}
+
+function perPeriodRatio(a = [], b = []) {
+  return Array.from({ length: Math.max(a.length, b.length) }, (_, i) => safeDivide(a[i], b[i]));
+}
+
+// Same report model the browser builds in app.js (buildReportData)
+function buildServerReportData(
+  payload,
+  { clientName, targets, rulePack, notes, currency, locale, scenarios = [], metrics = [], preparedBy = "" }
+) {
+  const { totals, averagesPerMonth, kpis } = payload.kpis;
+  const format = {
+    currency: currency || payload.currency || DEFAULT_CURRENCY,
+    locale: locale || payload.locale || DEFAULT_LOCALE,
+  };
+  const { formatMoney, formatPlain } = createFormatters(format);
+  const seriesOf = (metric) => (payload.metricKeys?.[metric] ? payload.series[payload.metricKeys[metric]] || [] : []);
+  const spent = seriesOf("spent");
+  const messages = seriesOf("messages");
+  const revenue = seriesOf("revenue");
+  const cpm = perPeriodRatio(spent, messages);
+  const labels = payload.labels || [];
+  const calculated = calculatedForReport(payload, metrics).filter((m) => !m.error);
+  const formatMetric = (m, v) => Formulas.formatValue(v, m.format, { money: formatMoney, number: formatPlain, ratio: formatPlain });
+  const shownAs = (display) => calculated.filter((m) => m.display === display || m.display === "both");
+
+  const recommendations = rulePack
+    ? evaluateRecommendations(payload, { rulePack, targets, formatMoney, locale: format.locale })
+    : [];
+
+  return {
+    title: REPORT_TITLE,
+    clientName: clientName || "Client",
+    period: labels.length ? `${labels[0]} – ${labels[labels.length - 1]}` : "",
+    sheetName: payload.sheetName,
+    generatedAt: new Date().toISOString(),
+    preparedBy,
+    ...format,
+    kpis: [
+      { label: "Ad Spent", value: formatMoney(totals.spent), sub: `Avg/mo ${formatMoney(averagesPerMonth.spent)}` },
+      { label: "Messages", value: formatPlain(totals.messages), sub: `Avg/mo ${formatPlain(averagesPerMonth.messages)}` },
+      { label: "Revenue", value: formatMoney(totals.revenue), sub: `Avg/mo ${formatMoney(averagesPerMonth.revenue)}` },
+      { label: "Cost/Message", value: formatMoney(kpis.costPerMessage), sub: "(Spent ÷ Messages)" },
+      { label: "ROAS", value: formatPlain(kpis.roas), sub: "(Revenue ÷ Spent)" },
+      {
+        label: "CAC",
+        value: formatMoney(kpis.cac),
+        sub: cacFromRow(payload.series, payload.metricKeys) ? "(Avg of CAC row values)" : "(Spent ÷ Customers)",
+      },
+      { label: "Customers", value: formatPlain(totals.customers), sub: `Avg/mo ${formatPlain(averagesPerMonth.customers)}` },
+      ...shownAs("kpi").map((m) => ({ label: m.name, value: formatMetric(m, m.value), sub: m.formula })),
+    ],
+    targets: [
+      Number.isFinite(targets.cac) ? { label: "Target CAC", value: formatMoney(targets.cac) } : null,
+      { label: "Min ROAS", value: formatPlain(Number(targets.roas)) },
+      { label: "Min CTR", value: `${targets.ctr}%` },
+      { label: "Cost/Message rise alert", value: `+${targets.cpmRise}%` },
+    ].filter(Boolean),
+    assumptions: payload.fx?.assumptions || [],
+    recommendations,
+    charts: [
+      { title: "Ad Spent", type: "line", labels, datasets: [{ label: "Ad Spent", data: spent, color: "#60A5FA" }] },
+      { title: "Revenue", type: "line", labels, datasets: [{ label: "Revenue", data: revenue, color: "#A78BFA" }] },
+      { title: "Messages", type: "bar", labels, datasets: [{ label: "Messages", data: messages, color: "#34D399" }] },
+      { title: "Cost per Message", type: "line", labels, datasets: [{ label: "Cost / Message", data: cpm, color: "#FBBF24" }] },
+      ...shownAs("chart").map((m) => ({
+        title: m.name,
+        type: "line",
+        labels,
+        datasets: [{ label: m.name, data: Formulas.chartValues(m), color: "#F472B6" }],
+      })),
+    ],
+    tables: [
+      {
+        title: "Monthly Breakdown",
+        head: ["Period", "Ad Spent", "Messages", "Revenue", "Cost/Message"],
+        rows: labels.map((label, i) => [
+          label,
+          formatMoney(spent[i]),
+          formatPlain(messages[i]),
+          formatMoney(revenue[i]),
+          formatMoney(cpm[i]),
+        ]),
+      },
+      { title: "FX rates used", head: ["Row", "Conversion", "Period", "Rate", "Rate month"], rows: fxRateRows(payload.fx) },
+      scenarioReportTable(payload, scenarios, { formatMoney, formatPlain }),
+    ].filter(Boolean),
+    notes: notes || "",
+  };
+}
+
+function escapeXml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[ch]);
+}
+
+function svgChart(chart, x, y, w, h, formatPlain) {
+  const labels = chart.labels || [];
+  const ds = chart.datasets[0] || { data: [] };
+  const values = ds.data.filter(Number.isFinite);
+  const parts = [
+    `<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="16" fill="#0f172a" stroke="#1e293b"/>`,
+    `<text x="${x + 20}" y="${y + 32}" font-size="16" font-weight="700" fill="#e2e8f0">${escapeXml(chart.title)}</text>`,
+  ];
+  if (!labels.length || !values.length) return parts.join("");
+
+  const px = x + 50;
+  const py = y + 50;
+  const pw = w - 70;
+  const ph = h - 90;
+  const min = Math.min(0, ...values);
+  const max = Math.max(...values) === min ? min + 1 : Math.max(...values);
+  const step = pw / labels.length;
+  const xOf = (i) => px + step * i + step / 2;
+  const yOf = (v) => py + ph - ((v - min) / (max - min)) * ph;
+
+  for (let t = 0; t <= 4; t++) {
+    const v = min + ((max - min) * t) / 4;
+    parts.push(`<line x1="${px}" x2="${px + pw}" y1="${yOf(v)}" y2="${yOf(v)}" stroke="#1e293b"/>`);
+    parts.push(`<text x="${px - 6}" y="${yOf(v) + 4}" font-size="10" text-anchor="end" fill="#94a3b8">${escapeXml(formatPlain(Math.round(v)))}</text>`);
+  }
+  const every = Math.ceil(labels.length / 12);
+  labels.forEach((l, i) => {
+    if (i % every === 0) {
+      parts.push(`<text x="${xOf(i)}" y="${py + ph + 18}" font-size="10" text-anchor="middle" fill="#94a3b8">${escapeXml(l)}</text>`);
+    }
+  });
+
+  if (chart.type === "bar") {
+    ds.data.forEach((v, i) => {
+      if (!Number.isFinite(v)) return;
+      const top = yOf(Math.max(v, 0));
+      parts.push(`<rect x="${xOf(i) - step * 0.3}" y="${top}" width="${step * 0.6}" height="${Math.max(yOf(Math.min(v, 0)) - top, 1)}" fill="${ds.color}" opacity="0.7"/>`);
+    });
+  } else {
+    let d = "";
+    ds.data.forEach((v, i) => {
+      if (!Number.isFinite(v)) return;
+      d += `${d ? "L" : "M"}${xOf(i).toFixed(1)},${yOf(v).toFixed(1)} `;
+      parts.push(`<circle cx="${xOf(i)}" cy="${yOf(v)}" r="3" fill="${ds.color}"/>`);
+    });
+    parts.push(`<path d="${d}" fill="none" stroke="${ds.color}" stroke-width="3"/>`);
+  }
+  return parts.join("");
+}
+
+// One-page dashboard snapshot (header, KPI tiles, charts, top recommendations)
+function renderReportSvg(report) {
+  const { formatPlain } = createFormatters(report);
+  const W = 1200;
+  const tileW = (W - 80 - 6 * 12) / 7;
+  const chartW = (W - 100) / 2;
+  const chartH = 300;
+  const recs = report.recommendations.slice(0, 4);
+  const assumptions = report.assumptions || [];
+  const H = 260 + 2 * (chartH + 20) + 60 + recs.length * 56 + (assumptions.length ? 40 + assumptions.length * 18 : 0);
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" font-family="DejaVu Sans, Helvetica, Arial, sans-serif">`,
+    `<rect width="${W}" height="${H}" fill="#020617"/>`,
+    `<text x="40" y="50" font-size="14" font-weight="700" fill="#a5b4fc">${escapeXml(report.title)}</text>`,
+    `<text x="40" y="88" font-size="30" font-weight="700" fill="#ffffff">${escapeXml(report.clientName)}</text>`,
+    `<text x="40" y="114" font-size="14" fill="#94a3b8">${escapeXml(
+      [report.period, report.sheetName, report.preparedBy && `Prepared by ${report.preparedBy}`].filter(Boolean).join(" · ")
+    )}</text>`,
+  ];
+
+  // Built-in KPI tiles only; calculated-metric cards are in the PDF
+  report.kpis.slice(0, 7).forEach((k, i) => {
+    const x = 40 + i * (tileW + 12);
+    parts.push(`<rect x="${x}" y="140" width="${tileW}" height="90" rx="14" fill="#0f172a" stroke="#1e293b"/>`);
+    parts.push(`<text x="${x + 12}" y="162" font-size="11" fill="#94a3b8">${escapeXml(k.label)}</text>`);
+    parts.push(`<text x="${x + 12}" y="194" font-size="18" font-weight="700" fill="#ffffff">${escapeXml(k.value)}</text>`);
+    parts.push(`<text x="${x + 12}" y="216" font-size="9" fill="#94a3b8">${escapeXml(k.sub)}</text>`);
+  });
+
+  report.charts.slice(0, 4).forEach((c, i) => {
+    const x = 40 + (i % 2) * (chartW + 20);
+    const y = 250 + Math.floor(i / 2) * (chartH + 20);
+    parts.push(svgChart(c, x, y, chartW, chartH, formatPlain));
+  });
+
+  let y = 250 + 2 * (chartH + 20) + 30;
+  if (recs.length) parts.push(`<text x="40" y="${y}" font-size="16" font-weight="700" fill="#e2e8f0">Recommendations</text>`);
+  const tone = { high: "#fb7185", med: "#fbbf24", low: "#34d399" };
+  recs.forEach((r) => {
+    y += 24;
+    parts.push(`<circle cx="48" cy="${y - 5}" r="5" fill="${tone[r.level] || tone.low}"/>`);
+    parts.push(`<text x="62" y="${y}" font-size="14" font-weight="700" fill="#ffffff">${escapeXml(r.title)}</text>`);
+    parts.push(`<text x="62" y="${y + 20}" font-size="12" fill="#94a3b8">${escapeXml(r.why)}</text>`);
+    y += 32;
+  });
+
+  if (assumptions.length) {
+    y += 24;
+    parts.push(`<text x="40" y="${y}" font-size="13" font-weight="700" fill="#e2e8f0">Currency conversion</text>`);
+    assumptions.forEach((a) => {
+      y += 18;
+      parts.push(`<text x="40" y="${y}" font-size="11" fill="#94a3b8">${escapeXml(a)}</text>`);
+    });
+  }
+
+  parts.push("</svg>");
+  return parts.join("");
+}
+
+function parseJsonField(raw, name) {
+  if (raw === undefined || raw === null || raw === "") return {};
+  if (typeof raw === "object") return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw httpError(400, `Invalid ${name} (expected JSON).`);
+  }
+}
+
+// Report source: multipart "excel" upload, or { reportId } pointing at a stored report
+function resolveReportSource(req, client) {
+  if (req.file) {
+    const settings = resolveNumberSettings({
+      locale: req.body?.locale || client?.locale,
+      currency: req.body?.currency || client?.currency,
+    });
+    const workbook = readUploadedWorkbook(req.file, settings.numberFormat);
+    // same client defaults as /api/upload, so the report matches the dashboard for the same workbook
+    const payload = analyzeForClient(workbook, client, {
+      mapping: parseMappingField(req.body?.mapping),
+      currencyTags: parseCurrencyTagsField(req.body?.currencies),
+      metrics: parseMetricsField(req.body?.metrics),
+      granularity: String(req.body?.granularity || "month"),
+      sheet: req.body?.sheet ? String(req.body.sheet) : null,
+      settings,
+    });
+    return { payload, clientId: client?.id || null, clientName: "" };
+  }
+
+  const reportId = req.body?.reportId;
+  if (!reportId) throw httpError(400, "Send an \"excel\" file upload or a reportId.");
+  const report = loadReportFor(String(reportId), req.user);
+  return { payload: report.payload, clientId: report.clientId || null, clientName: report.clientName };
+}
+
+// POST /api/report/pdf | /api/report/png
+// Fields: excel (file) or reportId, clientId, clientName, targets (JSON), rulePack (name), notes,
+//         paper (a4|letter, PDF only), mapping / granularity / sheet / currency / locale / currencies / metrics
+//         (uploads only; the client's saved mappings, row currencies and metrics fill in what isn't sent)
+// Targets, notes and name fall back to the client profile (explicit clientId or the report's client)
+app.post("/api/report/:format(pdf|png)", upload.single("excel"), reportRouteRateLimit, (req, res) => {
+  try {
+    const explicitClient = resolveClient(req.body?.clientId, req.user);
+    const source = resolveReportSource(req, explicitClient);
+    const client = explicitClient || (source.clientId ? loadClient(source.clientId) : null);
+    const targets = {
+      ...DEFAULT_TARGETS,
+      ...(client?.targets || {}),
+      ...parseJsonField(req.body?.targets, "targets"),
+    };
+    const rulePack = loadRulePack(String(req.body?.rulePack || "default"));
+    if (!rulePack) throw httpError(404, "Rule pack not found.");
+
+    const report = buildServerReportData(source.payload, {
+      clientName: String(req.body?.clientName || client?.name || source.clientName || "").trim(),
+      targets,
+      rulePack,
+      notes: req.body?.notes ?? client?.notes,
+      scenarios: client?.scenarios || [],
+      metrics: client?.metrics || [],
+      preparedBy: req.user.name,
+      // reports saved before currency/locale were recorded fall back to the client's settings
+      currency: source.payload.currency || client?.currency,
+      locale: source.payload.locale || client?.locale,
+    });
+
+    const safeClient = report.clientName.replace(/[^\w\- ]+/g, "").replace(/\s+/g, "-") || "Client";
+    const fileName = `Digital-Homie-Analytics-${safeClient}-${new Date().toISOString().slice(0, 10)}`;
+
+    if (req.params.format === "pdf") {
+      const paper = req.body?.paper === "letter" ? "letter" : "a4";
+      const doc = PdfReport.buildReportPdf(jsPDF, report, { format: paper });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}.pdf"`);
+      return res.send(Buffer.from(doc.output("arraybuffer")));
+    }
+
+    const png = new Resvg(renderReportSvg(report), {
+      font: { loadSystemFonts: true, defaultFontFamily: "DejaVu Sans" },
+    })
+      .render()
+      .asPng();
+    res.setHeader("Content-Type", "image/png");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}.png"`);
+    res.send(png);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// -------------------------
+// XLSX export (KPI summary + normalized series, formulas kept live)
+// -------------------------
+function formulaCell(f, v) {
+  const cell = { f };
+  if (Number.isFinite(v)) Object.assign(cell, { t: "n", v });
+  else Object.assign(cell, { t: "s", v: "" });
+  return cell;
+}
+
+function buildExportWorkbook(payload, { clientName, preparedBy } = {}) {
+  const labels = payload.labels || [];
+  const series = payload.series || {};
+  const metricKeys = resolveMetricKeys(series, payload.metricKeys || {});
+  const { totals, averagesPerMonth, kpis } = computeKPIsFromSeries(labels, series, metricKeys);
+
+  // Series sheet: same grid layout the overview parser reads back in
+  const seriesNames = Object.keys(series);
+  const seriesAoa = [["Metric", ...labels], ...seriesNames.map((k) => [k, ...labels.map((_, i) => series[k][i] ?? null)])];
+  const seriesSheet = XLSX.utils.aoa_to_sheet(seriesAoa);
+
+  const lastCol = XLSX.utils.encode_col(Math.max(labels.length, 1));
+  const rowOf = (metric) => (metricKeys[metric] ? seriesNames.indexOf(metricKeys[metric]) + 2 : null);
+  const rangeOf = (metric) => (rowOf(metric) ? `Series!B${rowOf(metric)}:${lastCol}${rowOf(metric)}` : null);
+
+  const cacMethod = cacFromRow(series, metricKeys) ? "Average of CAC row (months > 0)" : "Blended: Spent ÷ Customers";
+
+  // KPI Summary rows: [label, cell, method]
+  const summary = [
+    ["Client", clientName || ""],
+    ["Sheet", payload.sheetName || ""],
+    ["Currency", payload.currency || DEFAULT_CURRENCY],
+    ["Period", labels.length ? `${labels[0]} – ${labels[labels.length - 1]}` : ""],
+    ["Prepared by", preparedBy || ""],
+    [],
+  ];
+  summary.push(["Metric", "Value", "Method"]);
+  const kpiStart = summary.length + 1; // 1-based row of the first KPI
+
+  const totalRow = (label, metric, value) => {
+    const range = rangeOf(metric);
+    summary.push([label, range ? formulaCell(`SUM(${range})`, value) : null, range ? "Sum of months" : "Row not found"]);
+  };
+  const avgRow = (label, metric, value) => {
+    const range = rangeOf(metric);
+    summary.push([label, range ? formulaCell(`IFERROR(AVERAGE(${range}),"")`, value) : null, range ? "Average of months with data" : "Row not found"]);
+  };
+
+  totalRow("Total Ad Spent", "spent", totals.spent);
+  totalRow("Total Messages", "messages", totals.messages);
+  totalRow("Total Revenue", "revenue", totals.revenue);
+  totalRow("Total Customers", "customers", totals.customers);
+  avgRow("Avg Ad Spent / month", "spent", averagesPerMonth.spent);
+  avgRow("Avg Messages / month", "messages", averagesPerMonth.messages);
+  avgRow("Avg Revenue / month", "revenue", averagesPerMonth.revenue);
+  avgRow("Avg Customers / month", "customers", averagesPerMonth.customers);
+
+  const ref = (offset) => `B${kpiStart + offset}`; // 0 spent, 1 messages, 2 revenue, 3 customers
+  summary.push(["Cost per Message", formulaCell(`IFERROR(${ref(0)}/${ref(1)},"")`, kpis.costPerMessage), "Spent ÷ Messages"]);
+  summary.push(["ROAS", formulaCell(`IFERROR(${ref(2)}/${ref(0)},"")`, kpis.roas), "Revenue ÷ Spent"]);
+  summary.push([
+    "CAC",
+    cacFromRow
+      ? formulaCell(`IFERROR(AVERAGEIF(${rangeOf("cac")},">0"),"")`, kpis.cac)
+      : formulaCell(`IFERROR(${ref(0)}/${ref(3)},"")`, kpis.cac),
+    cacMethod,
+  ]);
+  const summarySheet = XLSX.utils.aoa_to_sheet(summary);
+  summarySheet["!cols"] = [{ wch: 24 }, { wch: 16 }, { wch: 32 }];
+
+  // Derived sheet: per-month cost per message, pulling from Series
+  const derived = [["Period", "Ad Spent", "Messages", "Cost per Message"]];
+  const spentRow = rowOf("spent");
+  const msgRow = rowOf("messages");
+  labels.forEach((label, i) => {
+    const col = XLSX.utils.encode_col(i + 1);
+    const r = i + 2;
+    const spent = spentRow ? series[metricKeys.spent][i] : null;
+    const msgs = msgRow ? series[metricKeys.messages][i] : null;
+    derived.push([
+      label,
+      spentRow ? formulaCell(`IF(ISBLANK(Series!${col}${spentRow}),"",Series!${col}${spentRow})`, spent) : null,
+      msgRow ? formulaCell(`IF(ISBLANK(Series!${col}${msgRow}),"",Series!${col}${msgRow})`, msgs) : null,
+      formulaCell(`IFERROR(B${r}/C${r},"")`, safeDivide(spent, msgs)),
+    ]);
+  });
+  const derivedSheet = XLSX.utils.aoa_to_sheet(derived);
+
+  const wb = XLSX.utils.book_new();
+  wb.Props = { Title: `KPI Summary - ${clientName || "Client"}`, Author: preparedBy || "" };
+  XLSX.utils.book_append_sheet(wb, summarySheet, "KPI Summary");
+  XLSX.utils.book_append_sheet(wb, seriesSheet, "Series");
+  XLSX.utils.book_append_sheet(wb, derivedSheet, "Cost per Message");
+  return wb;
+}
+
+function assertSeriesPayload(payload) {
+  if (!payload || !Array.isArray(payload.labels) || !payload.series || typeof payload.series !== "object") {
+    throw httpError(400, "Expected payload with labels (array) and series (object of arrays).");
+  }
+  for (const [k, arr] of Object.entries(payload.series)) {
+    if (!Array.isArray(arr)) throw httpError(400, `series["${k}"] must be an array.`);
+  }
+}
+
+// POST /api/export/xlsx  { payload: { labels, series, metricKeys?, sheetName?, currency? }, clientId?, clientName } or { reportId }
+app.post("/api/export/xlsx", (req, res) => {
+  try {
+    let payload = req.body?.payload;
+    const client = resolveClient(req.body?.clientId, req.user);
+    let clientName = String(req.body?.clientName || client?.name || "").trim();
+
+    if (!payload && req.body?.reportId) {
+      const report = loadReportFor(String(req.body.reportId), req.user);
+      payload = report.payload;
+      clientName = clientName || report.clientName;
+    }
+    assertSeriesPayload(payload);
+
+    const wb = buildExportWorkbook(payload, { clientName, preparedBy: req.user.name });
+    const buf = XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+
+    const safeClient = clientName.replace(/[^\w\- ]+/g, "").replace(/\s+/g, "-") || "Client";
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="Digital-Homie-Analytics-${safeClient}-${new Date().toISOString().slice(0, 10)}.xlsx"`
+    );
+    res.send(buf);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Reports API (?clientId= for a profile, ?client= matches the free-text name)
+app.get("/api/reports", (req, res) => {
+  res.json({
+    reports: listReports({
+      clientId: req.query.clientId ? String(req.query.clientId) : null,
+      clientName: req.query.client ? String(req.query.client) : null,
+      user: req.user,
+    }),
+  });
+});
+
+app.get("/api/reports/:id", (req, res) => {
+  try {
+    const report = loadReportFor(req.params.id, req.user);
+    res.json({ ...report, payload: { ...report.payload, reportId: report.id } });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.delete("/api/reports/:id", (req, res) => {
+  try {
+    loadReportFor(req.params.id, req.user);
+    deleteReport(req.params.id);
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Auth API
+// GET session: { user } or 401 with setupRequired when there are no users yet
+app.get("/api/auth/session", (req, res) => {
+  if (req.user) return res.json({ user: req.user });
+  res.status(401).json({ error: "Not signed in.", setupRequired: listUsers().length === 0 });
+});
+
+app.post("/api/auth/login", (req, res) => {
+  const username = String(req.body?.username || "").trim().toLowerCase();
+  const lockout = loginLockout(req, username);
+  if (lockout) {
+    res.setHeader("Retry-After", String(lockout.extra.retryAfter));
+    return sendError(res, lockout);
+  }
+
+  const user = loadUser(username);
+  const ok = verifyPassword(String(req.body?.password || ""), user?.passwordHash || DUMMY_PASSWORD_HASH);
+  if (!user || !ok) {
+    loginFailuresByUser.hit(username);
+    loginFailuresByIp.hit(req.ip);
+    return res.status(401).json({ error: "Wrong username or password." });
+  }
+
+  loginFailuresByUser.reset(username);
+  setSessionCookie(req, res, createSession(user.username));
+  res.json({ user: publicUser(user) });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  if (req.sessionToken) endSessions({ token: req.sessionToken });
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+  res.json({ ok: true });
+});
+
+// First run only: creates the first admin and signs them in
+app.post("/api/auth/setup", (req, res) => {
+  try {
+    if (listUsers().length) return res.status(403).json({ error: "Setup is already done. Sign in instead." });
+    const user = createUser({ ...req.body, role: "admin", clients: [] });
+    setSessionCookie(req, res, createSession(user.username));
+    res.status(201).json({ user: publicUser(user) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Own password: { currentPassword, newPassword }; other sessions of this user are signed out
+app.put("/api/auth/password", (req, res) => {
+  try {
+    const user = loadUser(req.user.username);
+    if (!verifyPassword(String(req.body?.currentPassword || ""), user.passwordHash)) {
+      return res.status(400).json({ error: "Current password is wrong." });
+    }
+    saveUser(mergeUser(user, { password: req.body?.newPassword }));
+    endSessions({ username: user.username, keepToken: req.sessionToken });
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Users API (admins): { username, name, role, clients, password }
+app.get("/api/users", requireAdmin, (req, res) => {
+  res.json({ users: listUsers().map(publicUser), roles: ROLES });
+});
+
+app.post("/api/users", requireAdmin, (req, res) => {
+  try {
+    res.status(201).json(publicUser(createUser(req.body)));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Partial update: name, role, clients, password (a new password signs the user out everywhere)
+app.put("/api/users/:username", requireAdmin, (req, res) => {
+  try {
+    const existing = loadUser(req.params.username);
+    if (!existing) return res.status(404).json({ error: "User not found." });
+    const { username, passwordHash, createdAt, updatedAt, ...changes } = req.body || {};
+    const user = mergeUser(existing, changes);
+    if (isLastAdmin(existing) && user.role !== "admin") {
+      return res.status(409).json({ error: "There must be at least one admin." });
+    }
+    const saved = saveUser(user);
+    if (changes.password !== undefined) {
+      endSessions({ username: saved.username, keepToken: saved.username === req.user.username ? req.sessionToken : null });
+    }
+    res.json(publicUser(saved));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Reports keep their createdBy; the user's sessions end
+app.delete("/api/users/:username", requireAdmin, (req, res) => {
+  const user = loadUser(req.params.username);
+  if (!user) return res.status(404).json({ error: "User not found." });
+  if (user.username === req.user.username) return res.status(409).json({ error: "You can't delete your own account." });
+  if (isLastAdmin(user)) return res.status(409).json({ error: "There must be at least one admin." });
+
+  fs.unlinkSync(userPath(user.username));
+  endSessions({ username: user.username });
+  res.json({ ok: true });
+});
+
+// Clients API (analysts only see and edit the clients they are assigned to; admins create and delete)
+app.get("/api/clients", (req, res) => {
+  res.json({ clients: listClients().filter((c) => canAccessClient(req.user, c.id)) });
+});
+
+app.post("/api/clients", requireAdmin, (req, res) => {
+  try {
+    res.status(201).json(createClient(req.body));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get("/api/clients/:id", (req, res) => {
+  try {
+    res.json(resolveClient(req.params.id, req.user));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Partial update: any of name, currency, locale, targets, mappings, currencyTags, notes (the id stays stable on rename)
+app.put("/api/clients/:id", (req, res) => {
+  try {
+    const existing = resolveClient(req.params.id, req.user);
+    const { id, createdAt, updatedAt, ...changes } = req.body || {};
+    res.json(saveClient(mergeClientProfile(existing, changes)));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Saved reports keep their clientId/clientName; only the profile is removed
+app.delete("/api/clients/:id", requireAdmin, (req, res) => {
+  if (!deleteClient(req.params.id)) return res.status(404).json({ error: "Client not found." });
+  res.json({ ok: true });
+});
+
+// FX rates API (one shared table: [{ month: "YYYY-MM", from, to, rate }], 1 from = rate to)
+app.get("/api/fx-rates", (req, res) => {
+  res.json(loadFxRates());
+});
+
+// JSON { rates: [...] } or { csv: "month,from,to,rate\n..." } (admins; the table is shared by every client)
+app.put("/api/fx-rates", requireAdmin, (req, res) => {
+  try {
+    const rows = typeof req.body?.csv === "string" ? parseFxCsv(req.body.csv) : req.body?.rates;
+    res.json(saveFxRates(rows));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Multipart CSV upload (field "rates")
+app.post("/api/fx-rates", requireAdmin, uploadRateLimit, upload.single("rates"), (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "No CSV uploaded (field \"rates\")." });
+    if (sniffContainer(req.file.buffer) !== "text") throw limitError("INVALID_CONTENT", uploadName(req.file), UPLOAD_LIMITS);
+    res.json(saveFxRates(parseFxCsv(decodeCsvBuffer(req.file.buffer))));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Rule packs API
+app.get("/api/rules", (req, res) => {
+  res.json({ packs: listRulePacks() });
+});
+
+app.get("/api/rules/:name", (req, res) => {
+  const pack = loadRulePack(req.params.name);
+  if (!pack) return res.status(404).json({ error: "Rule pack not found." });
+  res.json(pack);
+});
+
+// Saving and deleting packs is for admins (packs are shared by every client)
+app.put("/api/rules/:name", requireAdmin, (req, res) => {
+  const { name } = req.params;
+  if (!RULE_PACK_NAME_RE.test(name)) {
+    return res.status(400).json({ error: "Pack names may only use letters, numbers, - and _." });
+  }
+  if (isBuiltInPack(name)) {
+    return res.status(403).json({ error: `"${name}" is a built-in pack. Save your changes under another name.` });
+  }
+
+  const { builtIn, ...pack } = req.body || {};
+  const errors = RuleEngine.validatePack(pack);
+  if (errors.length) return res.status(400).json({ error: "Invalid rule pack.", details: errors });
+
+  const saved = { ...pack, name };
+  fs.writeFileSync(path.join(RULES_DIR, `${name}.json`), JSON.stringify(saved, null, 2));
+  res.json({ ...saved, builtIn: false });
+});
+
+app.delete("/api/rules/:name", requireAdmin, (req, res) => {
+  const { name } = req.params;
+  if (!RULE_PACK_NAME_RE.test(name)) return res.status(404).json({ error: "Rule pack not found." });
+  if (isBuiltInPack(name)) return res.status(403).json({ error: "Built-in packs cannot be deleted." });
+
+  const file = path.join(RULES_DIR, `${name}.json`);
+  if (!fs.existsSync(file)) return res.status(404).json({ error: "Rule pack not found." });
+  fs.unlinkSync(file);
+  res.json({ ok: true });
+});
+
+// Upload errors (file filter, multer limits, oversized JSON bodies) -> JSON instead of the default HTML 500
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) return sendError(res, multerError(err));
+  if (err.type === "entity.too.large") {
+    return sendError(res, httpError(413, "The request body is too large.", { code: "FILE_TOO_LARGE", limit: err.limit }));
+  }
+  sendError(res, err);
+});
+
+bootstrapAdmin();
+
+app.listen(PORT, () => {
+  console.log(`✅ Server running on http://localhost:${PORT}`);
+  if (!listUsers().length) console.log(`No users yet: open http://localhost:${PORT}/login.html to create the first admin`);
+  startWatchFolder();
+});
\ No newline at end of file
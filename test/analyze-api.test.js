@@ -0,0 +1,63 @@
+// POST /api/analyze: schema validation of JSON bodies and base64 workbooks
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const schema = require("../schemas/analyze.schema.json");
+const { startServer } = require("./helpers/server");
+
+const CSV = "Metric,Jan 2024,Feb 2024,Mar 2024\nAd Spent,100,200,300\nNo. of Messages,10,20,30\n";
+
+let server;
+let cookie;
+
+test.before(async () => {
+  server = await startServer();
+  cookie = await server.login();
+});
+
+test.after(() => server?.stop());
+
+const analyze = (body) => server.call("POST", "/api/analyze", { cookie, body });
+
+test("the workbook.data pattern stays linear on a long whitespace run before a bad character", () => {
+  const pattern = new RegExp(schema.properties.workbook.properties.data.pattern);
+  const data = `AAAA${" ".repeat(100_000)}!`; // ~17 s with the old backtracking pattern
+  const started = process.hrtime.bigint();
+  assert.equal(pattern.test(data), false);
+  assert.ok(process.hrtime.bigint() - started < 200_000_000n, "pattern took longer than 200 ms");
+});
+
+test("a long invalid base64 body is rejected quickly with a field-level error", async () => {
+  const started = Date.now();
+  const res = await analyze({ workbook: { data: `AAAA${" ".repeat(50_000)}!`, fileName: "slow.csv" } });
+  assert.equal(res.status, 400);
+  assert.ok(res.data.details.some((d) => d.field === "workbook.data"), JSON.stringify(res.data.details));
+  assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+});
+
+test("base64 workbooks are accepted with or without padding and line breaks", async () => {
+  const data = Buffer.from(CSV).toString("base64");
+  assert.ok(data.endsWith("="), "fixture needs padding");
+
+  for (const variant of [data, data.replace(/=+$/, ""), data.replace(/(.{16})/g, "$1\n")]) {
+    const res = await analyze({ workbook: { data: variant, fileName: "spend.csv" } });
+    assert.equal(res.status, 200, JSON.stringify(res.data));
+    assert.equal(res.data.kpis.totals.spent, 600);
+  }
+});
+
+test("padding in the middle or characters outside base64 are rejected", async () => {
+  for (const data of ["QUJD=REVG", "QUJD!REVG", "QUJDREVGR"]) {
+    const res = await analyze({ workbook: { data, fileName: "bad.csv" } });
+    assert.equal(res.status, 400, data);
+    assert.deepEqual(res.data.details.map((d) => d.field), ["workbook.data"], data);
+  }
+});
+
+test("{ labels, series } bodies are checked against the schema", async () => {
+  const ok = await analyze({ labels: ["Jan 24", "Feb 24"], series: { "Ad Spent": [1, 2] } });
+  assert.equal(ok.status, 200, JSON.stringify(ok.data));
+
+  const bad = await analyze({ labels: ["Jan 24", "Feb 24"], series: { "Ad Spent": [1] } });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.data.details.map((d) => d.field), ["series[\"Ad Spent\"]"]);
+});
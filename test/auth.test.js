@@ -0,0 +1,114 @@
+// Sessions and roles (user accounts, sign-in, admin vs analyst access) against a real server.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN, startServer } = require("./helpers/server");
+
+const ANALYST = { username: "ana", password: "analyst-pass-123", name: "Ana", role: "analyst" };
+
+let server;
+const call = (...args) => server.call(...args);
+const login = (...args) => server.login(...args);
+
+test.before(async () => {
+  server = await startServer({ LOGIN_MAX_FAILURES: "3" });
+});
+
+test.after(() => server?.stop());
+
+// -------------------------
+// Sessions
+// -------------------------
+test("API routes and the dashboard need a session", async () => {
+  const session = await call("GET", "/api/auth/session");
+  assert.equal(session.status, 401);
+  assert.equal(session.data.setupRequired, false);
+
+  assert.equal((await call("GET", "/api/clients")).status, 401);
+  assert.equal((await call("GET", "/api/reports")).status, 401);
+
+  const page = await call("GET", "/");
+  assert.equal(page.status, 302);
+  assert.match(page.headers.get("location"), /^\/login\.html\?next=/);
+});
+
+test("a wrong password doesn't sign in; the right one starts a session", async () => {
+  const wrong = await call("POST", "/api/auth/login", { body: { username: "admin", password: "nope" } });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.headers.getSetCookie().length, 0);
+
+  const cookie = await login(ADMIN);
+  const session = await call("GET", "/api/auth/session", { cookie });
+  assert.equal(session.status, 200);
+  assert.deepEqual({ username: session.data.user.username, role: session.data.user.role }, { username: "admin", role: "admin" });
+  assert.equal(session.data.user.passwordHash, undefined);
+});
+
+test("logging out ends the session", async () => {
+  const cookie = await login(ADMIN);
+  assert.equal((await call("POST", "/api/auth/logout", { cookie })).status, 200);
+  assert.equal((await call("GET", "/api/auth/session", { cookie })).status, 401);
+  assert.equal((await call("GET", "/api/clients", { cookie })).status, 401);
+});
+
+test("a forged or stale cookie is not a session", async () => {
+  assert.equal((await call("GET", "/api/auth/session", { cookie: "dash_session=not-a-real-token" })).status, 401);
+});
+
+test("repeated failed sign-ins for a username are throttled", async () => {
+  const attempt = () => call("POST", "/api/auth/login", { body: { username: "ghost", password: "wrong-password" } });
+  for (let i = 0; i < 3; i++) assert.equal((await attempt()).status, 401);
+
+  const locked = await attempt();
+  assert.equal(locked.status, 429);
+  assert.equal(locked.data.code, "LOGIN_RATE_LIMITED");
+  assert.ok(Number(locked.headers.get("retry-after")) > 0);
+
+  // other accounts can still sign in
+  await login(ADMIN);
+});
+
+// -------------------------
+// Roles
+// -------------------------
+test("analysts can't use admin routes and only see their own clients", async () => {
+  const admin = await login(ADMIN);
+  const mine = await call("POST", "/api/clients", { cookie: admin, body: { name: "Acme" } });
+  const other = await call("POST", "/api/clients", { cookie: admin, body: { name: "Globex" } });
+  assert.equal(mine.status, 201);
+  assert.equal(other.status, 201);
+
+  const created = await call("POST", "/api/users", { cookie: admin, body: { ...ANALYST, clients: [mine.data.id] } });
+  assert.equal(created.status, 201, JSON.stringify(created.data));
+  assert.equal(created.data.role, "analyst");
+
+  const analyst = await login(ANALYST);
+  assert.equal((await call("GET", "/api/users", { cookie: analyst })).status, 403);
+  assert.equal((await call("POST", "/api/users", { cookie: analyst, body: { username: "eve", password: "eve-pass-1234" } })).status, 403);
+  assert.equal((await call("POST", "/api/clients", { cookie: analyst, body: { name: "Initech" } })).status, 403);
+  assert.equal((await call("DELETE", `/api/clients/${mine.data.id}`, { cookie: analyst })).status, 403);
+
+  const clients = await call("GET", "/api/clients", { cookie: analyst });
+  assert.deepEqual(clients.data.clients.map((c) => c.id), [mine.data.id]);
+  assert.equal((await call("GET", `/api/clients/${mine.data.id}`, { cookie: analyst })).status, 200);
+  assert.notEqual((await call("GET", `/api/clients/${other.data.id}`, { cookie: analyst })).status, 200);
+
+  const users = await call("GET", "/api/users", { cookie: admin });
+  assert.equal(users.status, 200);
+  assert.deepEqual(users.data.users.map((u) => u.username).sort(), ["admin", "ana"]);
+});
+
+test("role changes apply to existing sessions right away", async () => {
+  const admin = await login(ADMIN);
+  const analyst = await login(ANALYST);
+  assert.equal((await call("GET", "/api/users", { cookie: analyst })).status, 403);
+
+  assert.equal((await call("PUT", "/api/users/ana", { cookie: admin, body: { role: "admin" } })).status, 200);
+  assert.equal((await call("GET", "/api/users", { cookie: analyst })).status, 200);
+});
+
+test("the last admin can't be demoted", async () => {
+  const admin = await login(ADMIN);
+  assert.equal((await call("PUT", "/api/users/ana", { cookie: admin, body: { role: "analyst" } })).status, 200);
+  const demote = await call("PUT", "/api/users/admin", { cookie: admin, body: { role: "analyst" } });
+  assert.equal(demote.status, 409);
+});
@@ -0,0 +1,21 @@
+// lib/analyze.js detectCurrencyInText: which labels, number formats and text cells name a currency
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { detectCurrencyInText } = require("../lib/analyze");
+
+test("detectCurrencyInText finds codes in header position, next to amounts and symbols", () => {
+  assert.equal(detectCurrencyInText("Spend (USD)"), "USD");
+  assert.equal(detectCurrencyInText("Spend - EUR"), "EUR");
+  assert.equal(detectCurrencyInText("Revenue in GBP"), "GBP");
+  assert.equal(detectCurrencyInText("USD 1,200"), "USD");
+  assert.equal(detectCurrencyInText('#,##0 "CHF";[Red]-#,##0 "CHF"'), "CHF");
+  assert.equal(detectCurrencyInText("[$USD-409] #,##0"), "USD");
+  assert.equal(detectCurrencyInText("[$€-407] #,##0.00"), "EUR");
+  assert.equal(detectCurrencyInText("₱1,200"), "PHP");
+});
+
+test("detectCurrencyInText ignores words that only look like codes", () => {
+  for (const v of ["TOP accounts", "World CUP sales", "PEN sales", "ALL channels", "TOP 10 ACCOUNTS", "Revenue"]) {
+    assert.equal(detectCurrencyInText(v), null, v);
+  }
+});
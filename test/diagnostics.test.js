@@ -0,0 +1,45 @@
+// Sheet diagnostics: cached formula errors in .xlsx and .ods workbooks
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const XLSX = require("xlsx");
+const Analyze = require("../lib/analyze");
+
+// Feb CAC is =C2/C3 with no customers; `errorCell` is how the reader hands it over
+function workbookBuffer(bookType, errorCell) {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ["Metric", "Jan 2024", "Feb 2024", "Mar 2024"],
+    ["Ad Spent", 100, 200, 300],
+    ["No. of Customers", 2, 0, 3],
+    ["CAC", 50, null, 100],
+  ]);
+  sheet.C4 = errorCell;
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, "Sheet1");
+  return XLSX.write(workbook, { type: "buffer", bookType });
+}
+
+const diagnose = (buf, fileName) => Analyze.analyzeWorkbook(Analyze.readWorkbookBuffer(buf, fileName), {}).diagnostics;
+
+test("an .xlsx error cell is listed under formulaErrors", () => {
+  const { formulaErrors, counts } = diagnose(workbookBuffer("xlsx", { t: "e", v: 0x07, f: "C2/C3", w: "#DIV/0!" }), "err.xlsx");
+  assert.deepEqual(formulaErrors, [{ address: "C4", r: 3, c: 2, metric: "CAC", error: "#DIV/0!", formula: "=C2/C3" }]);
+  assert.equal(counts.nonNumericCells, 0);
+});
+
+test("an .ods error cell (read back as formula text) is a formula error, not a non-numeric cell", () => {
+  for (const error of ["#DIV/0!", "Err:502"]) {
+    const buf = workbookBuffer("ods", { t: "s", v: error, f: "C2/C3" });
+    const { formulaErrors, counts } = diagnose(buf, "err.ods");
+    assert.deepEqual(formulaErrors, [{ address: "C4", r: 3, c: 2, metric: "CAC", error, formula: "=C2/C3" }]);
+    assert.equal(counts.nonNumericCells, 0);
+  }
+});
+
+test("typed text that looks like an error but has no formula stays a non-numeric cell", () => {
+  const { formulaErrors, nonNumericCells } = diagnose(workbookBuffer("ods", { t: "s", v: "#N/A" }), "typed.ods");
+  assert.deepEqual(formulaErrors, []);
+  assert.deepEqual(
+    nonNumericCells.map(({ address, reason }) => ({ address, reason })),
+    [{ address: "C4", reason: "error value" }]
+  );
+});
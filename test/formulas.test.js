@@ -0,0 +1,108 @@
+// public/formulas.js: parsing, validation and evaluation of calculated metrics
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Formulas = require("../public/formulas");
+
+const ctx = {
+  labels: ["Jan 24", "Feb 24", "Mar 24"],
+  series: {
+    "Ad Spent": [100, 200, 300],
+    "Total Revenue": [1000, 1500, 0],
+    "No. of Messages": [50, 100, 50],
+    "New Customers": [5, 20, 5],
+  },
+  metricKeys: { spent: "Ad Spent", revenue: "Total Revenue", messages: "No. of Messages", customers: "New Customers" },
+};
+
+function evaluate(formula) {
+  const [metric] = Formulas.evaluateMetrics([{ id: "m1", name: "Test", formula }], ctx);
+  return metric;
+}
+
+// -------------------------
+// Parsing + validation
+// -------------------------
+test("parseFormula reports syntax errors with their position", () => {
+  assert.throws(() => Formulas.parseFormula("revenue - "), Formulas.FormulaError);
+  assert.throws(() => Formulas.parseFormula("(spent"), Formulas.FormulaError);
+  assert.throws(() => Formulas.parseFormula("spent $ 2"), /at character 7/);
+});
+
+test("parseFormula checks function names and argument counts", () => {
+  assert.throws(() => Formulas.parseFormula("MEDIAN(spent)"), Formulas.FormulaError);
+  assert.throws(() => Formulas.parseFormula("IF(spent > 1, 2)"), Formulas.FormulaError);
+  assert.doesNotThrow(() => Formulas.parseFormula("IF(PREV(spent, 2) > 0, ABS(spent - PREV(spent, 2)), 0)"));
+});
+
+test("validateMetrics accepts a well-formed list", () => {
+  const list = [
+    { id: "profit", name: "Profit", formula: "revenue - spent", format: "money", display: "kpi" },
+    { id: "aov", name: "AOV", formula: "revenue / customers", format: "money", display: "both" },
+    { id: "gap", name: "Spend <> Target", formula: "spent - 1000", format: "money", display: "kpi" },
+  ];
+  assert.deepEqual(Formulas.validateMetrics(list), []);
+});
+
+test("validateMetrics reports field-level errors", () => {
+  assert.deepEqual(Formulas.validateMetrics("nope"), ["metrics: must be an array"]);
+
+  const errors = Formulas.validateMetrics([
+    { id: "a", name: "Profit", formula: "revenue - spent", format: "money", display: "kpi" },
+    { id: "b", name: " profit ", formula: "revenue -", format: "money", display: "kpi" },
+    { id: "c", name: "   ", formula: "1", format: "money", display: "kpi" },
+  ]);
+  assert.ok(errors.includes('metrics[1].name: "profit" is already used'), errors.join("\n"));
+  assert.ok(errors.some((e) => e.startsWith("metrics[1].formula: ")), errors.join("\n"));
+  assert.ok(errors.includes("metrics[2].name: 1-60 characters"), errors.join("\n"));
+});
+
+// -------------------------
+// Evaluation
+// -------------------------
+test("metrics are evaluated per period and over the whole range", () => {
+  const profit = evaluate("revenue - spent");
+  assert.equal(profit.error, null);
+  assert.deepEqual(profit.series, [900, 1300, -300]);
+  assert.equal(profit.value, 1900);
+});
+
+test("ratios aggregate as blended rates, not averages of the per-period ratios", () => {
+  const rate = evaluate("customers / messages");
+  assert.deepEqual(rate.series, [0.1, 0.2, 0.1]);
+  assert.equal(rate.value, 30 / 200);
+});
+
+test("rows can be referenced by name in brackets", () => {
+  assert.deepEqual(evaluate("[Ad Spent] * 2").series, [200, 400, 600]);
+});
+
+test("division by zero and missing periods give null instead of failing", () => {
+  const roas = evaluate("spent / revenue");
+  assert.equal(roas.error, null);
+  assert.equal(roas.series[2], null);
+  assert.deepEqual(evaluate("spent - PREV(spent)").series, [null, 100, 100]);
+});
+
+test("PREV metrics aggregate to their last period; SUM and IF work per period", () => {
+  const growth = evaluate("spent - PREV(spent)");
+  assert.equal(growth.value, 100);
+  assert.deepEqual(evaluate("spent / SUM(spent)").series, [100 / 600, 200 / 600, 300 / 600]);
+  assert.deepEqual(evaluate("IF(revenue > spent, 1, 0)").series, [1, 1, 0]);
+});
+
+test("later metrics can use earlier ones; unknown references become the metric's error", () => {
+  const [profit, margin] = Formulas.evaluateMetrics(
+    [
+      { id: "p", name: "Profit", formula: "revenue - spent" },
+      { id: "m", name: "Margin", formula: "Profit / revenue" },
+    ],
+    ctx
+  );
+  assert.equal(profit.value, 1900);
+  assert.equal(margin.value, 1900 / 2500);
+
+  const broken = evaluate("[Not a row] + 1");
+  assert.match(broken.error, /Unknown series "Not a row"/);
+  assert.deepEqual(broken.series, []);
+  assert.equal(broken.value, null);
+});
@@ -0,0 +1,96 @@
+// Starts a real server.js on a free port with its own DATA_DIR (signed-in admin: admin / admin-pass-123)
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const ADMIN = { username: "admin", password: "admin-pass-123" };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on("error", reject);
+  });
+}
+
+/**
+ * { base, call(method, url, { cookie, body, form }), login({ username, password }), stop() }
+ * `body` is sent as JSON, `form` as multipart (a FormData); `env` adds to / overrides the server's environment
+ */
+async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-dash-test-"));
+  const port = await freePort();
+  const base = `http://localhost:${port}`;
+  const server = spawn(process.execPath, [path.join(__dirname, "..", "..", "server.js")], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      ADMIN_USERNAME: ADMIN.username,
+      ADMIN_PASSWORD: ADMIN.password,
+      WATCH_DIR: "",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  const stop = () => {
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  await new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(() => {
+      stop();
+      reject(new Error(`server.js did not start:\n${output}`));
+    }, 10000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    server.stdout.on("data", onData);
+    server.stderr.on("data", onData);
+    server.on("exit", (code) => reject(new Error(`server.js exited (${code}):\n${output}`)));
+  });
+
+  async function call(method, url, { cookie, body, form } = {}) {
+    const headers = {};
+    if (cookie) headers.cookie = cookie;
+    if (body !== undefined) headers["content-type"] = "application/json";
+    const res = await fetch(base + url, {
+      method,
+      headers,
+      body: form || (body === undefined ? undefined : JSON.stringify(body)),
+      redirect: "manual",
+    });
+    const text = await res.text();
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = text;
+    }
+    return { status: res.status, headers: res.headers, data };
+  }
+
+  async function login({ username, password } = ADMIN) {
+    const res = await call("POST", "/api/auth/login", { body: { username, password } });
+    assert.equal(res.status, 200, JSON.stringify(res.data));
+    const cookie = res.headers.getSetCookie().find((c) => c.startsWith("dash_session="));
+    assert.ok(cookie, "login sets the session cookie");
+    return cookie.split(";")[0];
+  }
+
+  return { base, call, login, stop };
+}
+
+module.exports = { ADMIN, startServer };
@@ -0,0 +1,85 @@
+// lib/analyze.js workbook limits: container checks and the zip-bomb guard
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const XLSX = require("xlsx");
+const { readWorkbookBuffer, DEFAULT_WORKBOOK_LIMITS } = require("../lib/analyze");
+
+// Minimal ZIP writer; `size` overrides the declared uncompressed size (to fake a lying header)
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  entries.forEach(({ name, data, store = false, size = data.length }) => {
+    const body = store ? data : zlib.deflateRawSync(data);
+    const nameBuf = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(store ? 0 : 8, 8);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(store ? 0 : 8, 10);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, body);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + body.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function assertLimit(fn, status, code) {
+  assert.throws(fn, (err) => err.status === status && err.extra?.code === code);
+}
+
+test("a real xlsx passes the container checks", () => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([["Metric", "Jan 24"], ["Ad Spent", 100]]), "Overview");
+  const workbook = readWorkbookBuffer(XLSX.write(wb, { type: "buffer", bookType: "xlsx" }), "ok.xlsx");
+  assert.deepEqual(workbook.SheetNames, ["Overview"]);
+});
+
+test("an entry that compresses suspiciously well is rejected as a zip bomb", () => {
+  const bomb = buildZip([{ name: "xl/worksheets/sheet1.xml", data: Buffer.alloc(4 * 1024 * 1024) }]);
+  assertLimit(() => readWorkbookBuffer(bomb, "bomb.xlsx"), 413, "UNZIPPED_TOO_LARGE");
+});
+
+test("an entry that inflates past its declared size is rejected", () => {
+  const liar = buildZip([{ name: "xl/worksheets/sheet1.xml", data: Buffer.alloc(4 * 1024 * 1024), size: 1000 }]);
+  assertLimit(() => readWorkbookBuffer(liar, "liar.xlsx"), 413, "UNZIPPED_TOO_LARGE");
+});
+
+test("the total unzipped size and entry count are capped", () => {
+  const data = Buffer.from("x".repeat(600));
+  const zip = buildZip([
+    { name: "a.xml", data, store: true },
+    { name: "b.xml", data, store: true },
+    { name: "c.xml", data, store: true },
+  ]);
+  assertLimit(() => readWorkbookBuffer(zip, "big.xlsx", undefined, { ...DEFAULT_WORKBOOK_LIMITS, maxUnzippedBytes: 1000 }), 413, "UNZIPPED_TOO_LARGE");
+  assertLimit(() => readWorkbookBuffer(zip, "many.xlsx", undefined, { ...DEFAULT_WORKBOOK_LIMITS, maxZipEntries: 2 }), 413, "UNZIPPED_TOO_LARGE");
+});
+
+test("bytes that aren't the container the extension promises are rejected", () => {
+  assertLimit(() => readWorkbookBuffer(Buffer.from("Metric,Jan 24\nAd Spent,1\n"), "fake.xlsx"), 415, "INVALID_CONTENT");
+  assertLimit(() => readWorkbookBuffer(Buffer.from([0x50, 0x4b, 0x03, 0x04, 0, 0, 0, 0]), "broken.xlsx"), 415, "INVALID_CONTENT");
+});
@@ -0,0 +1,117 @@
+// Column mapping: canonical metrics resolved from aliases, request mappings and the client's saved mappings
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Analyze = require("../lib/analyze");
+const { startServer } = require("./helpers/server");
+
+const { resolveMetricKeys, describeMetricResolution, computeKPIsFromSeries } = Analyze;
+
+// Tagalog labels and "Leads": none of them match the built-in aliases
+const CSV = [
+  "Metric,Jan 2024,Feb 2024,Mar 2024",
+  "Gastos sa Ads,100,200,300",
+  "Leads,10,20,30",
+  "Benta,1000,2000,3000",
+  "Mga Bagong Kliyente,1,2,3",
+].join("\n");
+const MAPPING = { spent: "Gastos sa Ads", messages: "Leads", revenue: "Benta", customers: "Mga Bagong Kliyente" };
+
+const series = {
+  "Gastos sa Ads": [100, 200, 300],
+  Leads: [10, 20, 30],
+  Benta: [1000, 2000, 3000],
+  "Mga Bagong Kliyente": [1, 2, 3],
+};
+
+// -------------------------
+// resolveMetricKeys / describeMetricResolution
+// -------------------------
+test("aliases resolve exact and partial row names", () => {
+  const keys = resolveMetricKeys({ "Amount spent (PHP)": [1], "No. of Messages": [1], "Link CTR": [1], Other: [1] });
+  assert.equal(keys.spent, "Amount spent (PHP)");
+  assert.equal(keys.messages, "No. of Messages");
+  assert.equal(keys.ctr, "Link CTR");
+  assert.equal(keys.revenue, null);
+});
+
+test("unrecognised rows are reported as candidates for the missing metrics", () => {
+  const keys = resolveMetricKeys(series);
+  assert.deepEqual(Object.values(keys), [null, null, null, null, null, null]);
+  assert.deepEqual(describeMetricResolution(series, keys), {
+    unresolvedMetrics: ["spent", "messages", "revenue", "customers", "cac", "ctr"],
+    candidateRows: Object.keys(series),
+  });
+});
+
+test("a mapping wins over the aliases; mapped rows leave the candidate list", () => {
+  const keys = resolveMetricKeys({ ...series, "Total Ad Spent": [1, 1, 1] }, { spent: "Gastos sa Ads", messages: "Leads" });
+  assert.equal(keys.spent, "Gastos sa Ads");
+  assert.equal(keys.messages, "Leads");
+
+  const { unresolvedMetrics, candidateRows } = describeMetricResolution(series, resolveMetricKeys(series, MAPPING));
+  assert.deepEqual(unresolvedMetrics, ["cac", "ctr"]);
+  assert.deepEqual(candidateRows, []);
+});
+
+test("a mapping that names a row the sheet doesn't have falls back to the aliases", () => {
+  const keys = resolveMetricKeys({ "Ad Spent": [1] }, { spent: "Spend (PHP)" });
+  assert.equal(keys.spent, "Ad Spent");
+});
+
+test("KPIs follow the mapping", () => {
+  const { totals, kpis } = computeKPIsFromSeries(["Jan 24", "Feb 24", "Mar 24"], series, MAPPING);
+  assert.deepEqual(totals, { spent: 600, messages: 60, revenue: 6000, customers: 6 });
+  assert.equal(kpis.costPerMessage, 10);
+  assert.equal(kpis.roas, 10);
+  assert.equal(kpis.cac, 100);
+});
+
+test("analyzeWorkbook applies the mapping to a parsed sheet", () => {
+  const workbook = Analyze.readWorkbookBuffer(Buffer.from(CSV), "tl.csv");
+  const unmapped = Analyze.analyzeWorkbook(workbook, {});
+  assert.equal(unmapped.kpis.totals.spent, null);
+  assert.deepEqual(unmapped.candidateRows, Object.keys(series));
+
+  const mapped = Analyze.analyzeWorkbook(workbook, { mapping: MAPPING });
+  assert.deepEqual(mapped.metricKeys, { ...MAPPING, cac: null, ctr: null });
+  assert.equal(mapped.kpis.totals.revenue, 6000);
+});
+
+// -------------------------
+// Saved per-client mappings (server.js)
+// -------------------------
+test("a client's saved mapping is applied to later uploads, and a sent mapping overrides it", async (t) => {
+  const server = await startServer();
+  t.after(server.stop);
+  const cookie = await server.login();
+
+  const client = await server.call("POST", "/api/clients", { cookie, body: { name: "Kainan" } });
+  assert.equal(client.status, 201);
+  const saved = await server.call("PUT", `/api/clients/${client.data.id}`, {
+    cookie,
+    body: { mappings: { ...MAPPING, bogus: "Leads", ctr: "" } },
+  });
+  assert.equal(saved.status, 200);
+  assert.deepEqual(saved.data.mappings, MAPPING);
+
+  const upload = (fields) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([k, v]) => form.append(k, v));
+    form.append("excel", new Blob([CSV], { type: "text/csv" }), "tl.csv");
+    return server.call("POST", "/api/upload", { cookie, form });
+  };
+
+  const plain = await upload({});
+  assert.equal(plain.status, 200, JSON.stringify(plain.data));
+  assert.equal(plain.data.kpis.totals.spent, null);
+
+  const withClient = await upload({ clientId: client.data.id });
+  assert.equal(withClient.status, 200, JSON.stringify(withClient.data));
+  assert.deepEqual(withClient.data.kpis.totals, { spent: 600, messages: 60, revenue: 6000, customers: 6 });
+  assert.deepEqual(withClient.data.unresolvedMetrics, ["cac", "ctr"]);
+
+  const overridden = await upload({ clientId: client.data.id, mapping: JSON.stringify({ spent: "Benta" }) });
+  assert.equal(overridden.status, 200, JSON.stringify(overridden.data));
+  assert.equal(overridden.data.metricKeys.spent, "Benta");
+  assert.equal(overridden.data.kpis.totals.spent, 6000);
+});
@@ -0,0 +1,39 @@
+// lib/analyze.js toNumber: text and numeric cells -> numbers
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { toNumber, resolveNumberSettings } = require("../lib/analyze");
+
+test("toNumber reads plain, grouped and decimal numbers", () => {
+  assert.equal(toNumber(42), 42);
+  assert.equal(toNumber("1,234.56"), 1234.56);
+  assert.equal(toNumber("1,234,567"), 1234567);
+  assert.equal(toNumber(" 12.5 "), 12.5);
+});
+
+test("toNumber keeps blanks and text as null", () => {
+  for (const v of [null, undefined, "", "   ", "n/a", "abc", NaN]) assert.equal(toNumber(v), null, String(v));
+});
+
+test("toNumber handles accounting negatives, trailing minus and percentages", () => {
+  assert.equal(toNumber("(500)"), -500);
+  assert.equal(toNumber("500-"), -500);
+  assert.equal(toNumber("2.5%"), 2.5);
+});
+
+test("toNumber strips currency symbols and ISO codes around the amount", () => {
+  assert.equal(toNumber("₱1,200"), 1200);
+  assert.equal(toNumber("USD 1,200"), 1200);
+  assert.equal(toNumber("(EUR 500)"), -500);
+  assert.equal(toNumber("PHP -300"), -300);
+});
+
+test("toNumber doesn't treat other three-letter words as currency codes", () => {
+  for (const v of ["Day 5", "day 5", "top 5", "ABC 5", "Q1 abc", "5 days"]) assert.equal(toNumber(v), null, v);
+});
+
+test("toNumber follows the locale's decimal mark", () => {
+  const { numberFormat } = resolveNumberSettings({ locale: "de-DE", currency: "EUR" });
+  assert.equal(toNumber("1.234,56", numberFormat), 1234.56);
+  assert.equal(toNumber("€1.234,56", numberFormat), 1234.56);
+  assert.equal(toNumber("1,5", numberFormat), 1.5);
+});
@@ -0,0 +1,34 @@
+// lib/analyze.js periods: labels for the overview layout, gaps and caps in the tidy (row-per-date) layout
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Analyze = require("../lib/analyze");
+
+test("month headers get one label format whether or not the CSV reader made them dates", () => {
+  const csv = "Metric,Jan 2024,Feb 2024,March 2024,2024-04,May-24\nAd Spent,1,2,3,4,5\n";
+  const result = Analyze.analyzeWorkbook(Analyze.readWorkbookBuffer(Buffer.from(csv), "months.csv"), {});
+  assert.deepEqual(result.labels, ["Jan 24", "Feb 24", "Mar 24", "Apr 24", "May 24"]);
+});
+
+test("tidy sheets keep periods without rows as blanks", () => {
+  const csv = "Date,Amount spent,Messages\n2024-01-01,10,1\n2024-01-03,10,1\n2024-01-29,5,2\n2024-03-04,1,1\n";
+  const workbook = Analyze.readWorkbookBuffer(Buffer.from(csv), "daily.csv");
+
+  const weekly = Analyze.analyzeWorkbook(workbook, { granularity: "week" });
+  assert.equal(weekly.labels.length, 10);
+  assert.deepEqual(weekly.labels.slice(0, 5), ["Wk Jan 1, 24", "Wk Jan 8, 24", "Wk Jan 15, 24", "Wk Jan 22, 24", "Wk Jan 29, 24"]);
+  assert.deepEqual(weekly.series["Amount spent"], [20, null, null, null, 5, null, null, null, null, 1]);
+
+  const monthly = Analyze.analyzeWorkbook(workbook, { granularity: "month" });
+  assert.deepEqual(monthly.labels, ["Jan 24", "Feb 24", "Mar 24"]);
+  assert.deepEqual(monthly.series.Messages, [4, null, 1]);
+  assert.deepEqual(monthly.periodMonths, ["2024-01", "2024-02", "2024-03"]);
+});
+
+test("a tidy date range with too many periods is a 422, not millions of blanks", () => {
+  const workbook = Analyze.readWorkbookBuffer(Buffer.from("Date,Ad Spent\n2000-01-01,1\n2030-01-01,2\n"), "span.csv");
+  assert.throws(
+    () => Analyze.analyzeWorkbook(workbook, { granularity: "day" }),
+    (err) => err.status === 422 && err.extra?.code === "TOO_MANY_PERIODS"
+  );
+  assert.equal(Analyze.analyzeWorkbook(workbook, { granularity: "month" }).labels.length, 361);
+});
@@ -0,0 +1,61 @@
+// Upload vs analysis rate limits: which requests count as new uploads (per IP) and which as analyses (per user)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+const CSV = "Metric,Jan 2024,Feb 2024,Mar 2024\nAd Spent,100,200,300\nNo. of Messages,10,20,30\n";
+
+test("only re-analysing one's own upload skips the upload limit; every new workbook counts", async (t) => {
+  const server = await startServer({ UPLOAD_RATE_LIMIT: "2", ANALYSIS_RATE_LIMIT: "50" });
+  t.after(server.stop);
+  const cookie = await server.login();
+
+  const upload = (query = "", fileName = "spend.csv") => {
+    const form = new FormData();
+    form.append("excel", new Blob([CSV], { type: "text/csv" }), fileName);
+    return server.call("POST", `/api/upload${query}`, { cookie, form });
+  };
+
+  // 1st upload
+  const first = await upload();
+  assert.equal(first.status, 200, JSON.stringify(first.data));
+  const reportId = first.data.reportId;
+
+  // re-analysis of that report: analysis budget, same report
+  for (let i = 0; i < 3; i++) {
+    const again = await upload(`?replaceReportId=${reportId}`);
+    assert.equal(again.status, 200, JSON.stringify(again.data));
+    assert.equal(again.data.reportId, reportId);
+  }
+
+  // 2nd upload: an id that doesn't resolve is a new upload
+  const bogus = await upload("?replaceReportId=bogus");
+  assert.equal(bogus.status, 200, JSON.stringify(bogus.data));
+  assert.notEqual(bogus.data.reportId, reportId);
+
+  // 3rd: a real id with another file is a new upload too, and over the limit
+  const otherFile = await upload(`?replaceReportId=${reportId}`, "other.csv");
+  assert.equal(otherFile.status, 429);
+  assert.equal(otherFile.data.code, "RATE_LIMITED");
+
+  // workbooks sent to /api/analyze and /api/report count as uploads
+  const base64 = await server.call("POST", "/api/analyze", {
+    cookie,
+    body: { workbook: { data: Buffer.from(CSV).toString("base64"), fileName: "spend.csv" } },
+  });
+  assert.equal(base64.status, 429);
+
+  const form = new FormData();
+  form.append("excel", new Blob([CSV], { type: "text/csv" }), "spend.csv");
+  assert.equal((await server.call("POST", "/api/report/pdf", { cookie, form })).status, 429);
+
+  // data already on the server still works
+  const series = await server.call("POST", "/api/analyze", {
+    cookie,
+    body: { labels: ["Jan 24", "Feb 24"], series: { "Ad Spent": [1, 2] } },
+  });
+  assert.equal(series.status, 200, JSON.stringify(series.data));
+  const stored = await server.call("POST", "/api/report/pdf", { cookie, body: { reportId } });
+  assert.equal(stored.status, 200, JSON.stringify(stored.data).slice(0, 300));
+  assert.equal((await upload(`?replaceReportId=${reportId}`)).status, 200);
+});
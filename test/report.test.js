@@ -0,0 +1,42 @@
+// POST /api/report/pdf: server-rendered reports
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { startServer } = require("./helpers/server");
+
+// Text drawn on the pages: the (...) strings of every Flate content stream
+function pdfText(buf) {
+  const raw = buf.toString("latin1");
+  return [...raw.matchAll(/stream\r?\n([\s\S]*?)endstream/g)]
+    .map((m) => {
+      try {
+        return zlib.inflateSync(Buffer.from(m[1], "latin1")).toString("latin1");
+      } catch {
+        return "";
+      }
+    })
+    .join("\n");
+}
+
+test("the CAC card says how CAC was worked out", async (t) => {
+  const server = await startServer();
+  t.after(server.stop);
+  const cookie = await server.login();
+
+  const render = async (csv) => {
+    const form = new FormData();
+    form.append("excel", new Blob([csv], { type: "text/csv" }), "report.csv");
+    const res = await fetch(`${server.base}/api/report/pdf`, { method: "POST", headers: { cookie }, body: form });
+    assert.equal(res.status, 200, await res.clone().text());
+    assert.equal(res.headers.get("content-type"), "application/pdf");
+    return pdfText(Buffer.from(await res.arrayBuffer()));
+  };
+
+  const head = "Metric,Jan 2024,Feb 2024,Mar 2024\nAd Spent,100,200,300\nNo. of Customers,1,2,3\n";
+  const blended = await render(head);
+  assert.match(blended, /\\\(Spent ÷ Customers\\\)/);
+  assert.doesNotMatch(blended, /Avg of CAC row values/);
+
+  const fromRow = await render(`${head}CAC,90,110,100\n`);
+  assert.match(fromRow, /\\\(Avg of CAC row values\\\)/);
+});